@@ -5,3 +5,27 @@ export const STATUS = {
   DISPUTE_CREATED: 3,
   RESOLVED: 4
 }
+
+// Actions of the parties of an ArbitrableTransaction, named after the methods taking them
+export const ACTION = {
+  PAY: 'pay',
+  REIMBURSE: 'reimburse',
+  PAY_ARBITRATION_FEE_BY_PARTY_A: 'payArbitrationFeeByPartyA',
+  PAY_ARBITRATION_FEE_BY_PARTY_B: 'payArbitrationFeeByPartyB',
+  SUBMIT_EVIDENCE: 'submitEvidence',
+  CALL_TIMEOUT_PARTY_A: 'callTimeOutPartyA',
+  CALL_TIMEOUT_PARTY_B: 'callTimeOutPartyB',
+  // through the arbitrator, see KlerosPOC.appealRuling
+  APPEAL: 'appeal'
+}
+
+// Events of an ArbitrableTransaction
+export const EVENT = {
+  HAS_TO_PAY_FEE: 'HasToPayFee',
+  DISPUTE: 'Dispute',
+  EVIDENCE: 'Evidence',
+  CONTRACT_HASH: 'ContractHash'
+}
+
+// Parties of an ArbitrableTransaction, in the order of the Party enum of HasToPayFee
+export const PARTY = ['partyA', 'partyB']
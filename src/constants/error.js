@@ -21,10 +21,26 @@ export const MISSING_CONTRACT_PARAMETERS =
 // Implementation
 export const CONTRACT_INSTANCE_NOT_SET =
   'No contract instance. Use setContractInstance'
+export const TRANSACTION_FAILED = txHash => `Transaction ${txHash} failed.`
+export const TRANSACTION_CANCELLED = txHash =>
+  `Transaction ${txHash} was cancelled.`
+export const TRANSACTION_NOT_MINED = (txHash, maxBlocks) =>
+  `Transaction ${txHash} was not mined within ${maxBlocks} blocks.`
+export const TRANSACTION_NOT_PENDING = txHash =>
+  `Transaction ${txHash} is not pending in the queue.`
+export const GAS_ESTIMATE_EXCEEDS_CAP = (methodName, estimate, cap) =>
+  `Gas estimate ${estimate} for ${methodName} is over the cap of ${cap}.`
 
 // PinakionPOC
 export const UNABLE_TO_SET_KLEROS = 'Unable to set Kleros.'
 export const UNABLE_TO_TRANSFER_OWNERSHIP = 'Unable to transfer ownership.'
+export const UNABLE_TO_TRANSFER_PNK =
+  'Unable to transfer PNK, are you sure you have enough?'
+export const UNABLE_TO_APPROVE_PNK = 'Unable to approve PNK.'
+export const APPROVE_AND_CALL_NOT_SUPPORTED =
+  'Unable to approve and call, the token has no approveAndCall. See setContractInstance to use the artifact of a token that has it.'
+export const NOT_A_TOKEN_EVENT = eventName =>
+  `${eventName} is not a token event.`
 
 // KlerosPOC
 export const UNABLE_TO_BUY_PNK =
@@ -42,6 +58,8 @@ export const UNABLE_TO_SUBMIT_VOTES = 'Unable to submit votes.'
 export const UNABLE_TO_APPEAL = 'Unable to appeal.'
 export const UNABLE_TO_REPARTITION_TOKENS = 'Unable to repartition tokens.'
 export const UNABLE_TO_EXECUTE_RULING = 'Unable to execute ruling.'
+export const UNABLE_TO_WITHDRAW_PNK =
+  'Unable to withdraw PNK, are you sure they are not locked or activated?'
 export const ACCOUNT_NOT_A_JUROR_FOR_CONTRACT = (account, contractAddress) =>
   `${account} is not a juror for contract ${contractAddress}`
 export const PERIOD_OUT_OF_RANGE = periodNumber =>
@@ -59,6 +77,32 @@ export const CONTRACT_IS_NOT_WAITING_ON_OTHER_PARTY =
   'Unable to call timeout, because the contract is not waiting on the other party.'
 export const TIMEOUT_NOT_REACHED =
   'Unable to call timeout, because it has not been reached yet.'
+export const ACCOUNT_NOT_A_PARTY = (account, party) =>
+  `${account} is not ${party} of the contract.`
+export const ACTION_NOT_ALLOWED_IN_STATUS = (action, status) =>
+  `Unable to ${action} while the contract status is ${status}.`
+export const UNABLE_TO_REIMBURSE =
+  'Unable to reimburse partyA, are you sure you have enough ETH?'
+export const NOTHING_LEFT_TO_PAY = 'Unable to pay, the amount was already paid.'
+export const NOTHING_LEFT_TO_REIMBURSE =
+  'Unable to reimburse, the amount was already paid.'
+export const AMOUNT_EXCEEDS_ESCROW = (amount, remainingAmount) =>
+  `Unable to release ${amount} ETH, only ${remainingAmount} ETH is left in escrow.`
+export const PARTIAL_PAYMENT_NOT_SUPPORTED =
+  'Unable to pay part of the amount, the contract can only pay all of it. See setContractInstance to use the artifact of an escrow variant.'
+export const REIMBURSEMENT_NOT_SUPPORTED =
+  'Unable to reimburse, the contract has no reimburse function.'
+export const NOT_AN_ARBITRABLE_TRANSACTION_EVENT = eventName =>
+  `${eventName} is not an ArbitrableTransaction event.`
+export const RULING_NOT_APPEALABLE =
+  'Unable to appeal, the ruling can not be appealed.'
+
+// ArbitrableRegistry
+export const NOT_AN_ARBITRABLE_CONTRACT = contractAddress =>
+  `${contractAddress} does not implement a known arbitrable interface.`
+
+// Evidence
+export const INVALID_EVIDENCE = reason => `Invalid evidence: ${reason}.`
 
 // AbstractContract
 export const NO_ARBITRATOR_IMPLEMENTATION_SPECIFIED =
@@ -68,14 +112,43 @@ export const NO_ARBITRABLE_IMPLEMENTATION_SPECIFIED =
 export const NO_STORE_PROVIDER_SPECIFIED =
   'No Store Provider Specified. Please call setStoreProvider'
 
+// Arbitrator
+export const NOT_IN_PERIOD = (expectedPeriod, period) =>
+  `This can only be done in period ${expectedPeriod}, the arbitrator is in period ${period}.`
+export const ACCOUNT_NOT_DRAWN_FOR_DISPUTE = (account, disputeId) =>
+  `${account} was not drawn for dispute ${disputeId} this session.`
+export const ACCOUNT_ALREADY_VOTED = (account, disputeId) =>
+  `${account} already voted on dispute ${disputeId} this session.`
+export const NO_TOKENS_TO_ACTIVATE = account =>
+  `${account} has no tokens that can be activated.`
+export const TOKENS_ALREADY_ACTIVATED = account =>
+  `${account} already activated tokens this session.`
+
 // Disputes
 export const NO_STORE_DATA_FOR_DISPUTE = account =>
   `Account ${account} does not have store data for dispute`
+export const ARBITRATOR_NOT_REGISTERED = arbitratorAddress =>
+  `No arbitrator instance registered for ${arbitratorAddress}. Please call addArbitratorInstance.`
 
 // Notifications
 export const MISSING_STORE_PROVIDER =
   'This method requires the use of an off chain store. Please call setStoreProviderInstance.'
 
+// Keeper
+export const KEEPER_ACTION_ALREADY_DONE = method =>
+  `${method} was already done, possibly by another keeper.`
+
+// Signers
+export const UNABLE_TO_DECRYPT_KEYSTORE = error =>
+  `Unable to decrypt keystore: ${error}`
+export const SYNCHRONOUS_REQUEST_NOT_SUPPORTED = method =>
+  `${method} can not be sent synchronously with a signer. Use a callback.`
+
+// Amounts
+export const INVALID_AMOUNT = amount => `${amount} is not a valid amount.`
+export const AMOUNT_TOO_PRECISE = (amount, unit) =>
+  `${amount} ${unit} is not a whole number of wei.`
+
 // Event Listener
 export const MISSING_CONTRACT_INSTANCE = contractAddress =>
   `No contract instance stored for ${contractAddress}. Please call addContractInstance.`
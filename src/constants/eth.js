@@ -1,6 +1,5 @@
 export const LOCALHOST_ETH_PROVIDER = 'http://localhost:8545'
-export const LOCALHOST_STORE_PROVIDER = 'https://kleros.in'
-// export const LOCALHOST_STORE_PROVIDER = 'http://localhost:3001'
+export const LOCALHOST_STORE_PROVIDER = 'http://localhost:3001'
 
 export const NULL_ADDRESS = '0x'
 
@@ -8,3 +7,19 @@ export const TRANSACTION = {
   GAS: 4400000,
   VALUE: 0
 }
+
+// Handled event logs are remembered this many blocks deep so they can be reverted on a reorg
+export const MAX_REORG_DEPTH = 100
+
+// Number of blocks fetched at once when fetching past event logs
+export const LOG_CHUNK_SIZE = 5000
+
+// Milliseconds between checks for the receipt of a sent transaction
+export const RECEIPT_POLL_INTERVAL = 1000
+
+// Blocks to wait for a sent transaction to be mined before its receipt rejects. About three
+// hours, after which nodes drop pending transactions by default
+export const RECEIPT_MAX_BLOCKS = 750
+
+// Selector of Error(string), the data returned by a revert with a reason
+export const REVERT_REASON_SELECTOR = '0x08c379a0'
@@ -0,0 +1,13 @@
+// Version of the evidence format. It is part of the hashed document
+export const STANDARD = 'kleros-evidence/1.0'
+
+// Fields of an evidence document, in the order they are hashed in
+export const FIELDS = [
+  'standard',
+  'title',
+  'description',
+  'fileURI',
+  'fileHash',
+  'fileType',
+  'submitter'
+]
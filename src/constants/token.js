@@ -0,0 +1,4 @@
+export const EVENT = {
+  TRANSFER: 'Transfer',
+  APPROVAL: 'Approval'
+}
@@ -22,6 +22,8 @@ class AbstractContract {
   ) {
     this._StoreProvider = storeProviderInstance
     this._contractImplementation = implementationInstance
+    // dry runs of the implementation's write methods, if it has them
+    this.simulate = implementationInstance.simulate
     delegateCalls(this, implementationInstance)
   }
 
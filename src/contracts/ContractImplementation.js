@@ -3,7 +3,13 @@ import _ from 'lodash'
 
 import isRequired from '../utils/isRequired'
 import * as errorConstants from '../constants/error'
+import * as ethConstants from '../constants/eth'
 import Web3Wrapper from '../utils/Web3Wrapper'
+import Transaction from '../utils/Transaction'
+import GasPolicy from '../utils/GasPolicy'
+import ContractCache from '../utils/ContractCache'
+import decodeRevertReason from '../utils/decodeRevertReason'
+import SignerProvider from '../utils/SignerProvider'
 
 /**
  * ContractImplementation is a parent class for on chain contracts. It loads the contract from the
@@ -19,6 +25,16 @@ class ContractImplementation {
     this.artifact = artifact
     this.contractInstance = null
     this._Web3Wrapper = new Web3Wrapper(web3Provider)
+    // blocks to wait for before the receipt of a sent transaction resolves
+    this.confirmations = 0
+    // blocks to wait for a sent transaction to be mined before its receipt rejects
+    this.receiptMaxBlocks = ethConstants.RECEIPT_MAX_BLOCKS
+    this._gasPolicy = new GasPolicy()
+    // TransactionQueue that sends transactions if set. See setTransactionQueue
+    this._transactionQueue = null
+    this._cache = new ContractCache()
+    // map eventName -> function returning the cached calls a log invalidates. See registerCacheInvalidation
+    this._cacheInvalidations = {}
     // loading params
     this._contractLoadedResolver = null
     this._contractLoadedRejecter = null
@@ -56,6 +72,318 @@ class ContractImplementation {
    */
   getBlock = async blockNumber => this._Web3Wrapper.getBlock(blockNumber)
 
+  /**
+   * Get the number of the most recent block.
+   * @returns {Promise} - Resolves to the block number.
+   */
+  getBlockNumber = async () => this._Web3Wrapper.getBlockNumber()
+
+  /**
+   * Watch for new blocks.
+   * @param {function} callback - Called with (error, blockHash) for every new block.
+   * @returns {object} - The block filter. Call stopWatching() on it to stop.
+   */
+  watchBlocks = callback => this._Web3Wrapper.watchBlocks(callback)
+
+  /**
+   * Get the receipt of a transaction.
+   * @param {string} txHash - Hash of the transaction.
+   * @returns {Promise} - Resolves to the receipt or null if the transaction is not mined yet.
+   */
+  getTransactionReceipt = async txHash =>
+    this._Web3Wrapper.getTransactionReceipt(txHash)
+
+  /**
+   * Decode the logs of a transaction receipt that were emitted by this contract.
+   * @param {object[]} logs - Raw logs from a transaction receipt.
+   * @returns {object[]} - Decoded logs, with event and args like truffle logs.
+   */
+  decodeLogs = logs =>
+    this._Web3Wrapper.decodeLogs(
+      this.contractInstance.abi,
+      this.contractAddress,
+      logs
+    )
+
+  /**
+   * Make several constant calls to the contract in one JSON-RPC batch. The contract must be loaded.
+   * @param {Array[]} calls - [methodName, ...args] of each call.
+   * @param {number|string} block - Block the calls are made at.
+   * @returns {Promise[]} - One promise per call, resolving to its result or rejecting with its error.
+   */
+  _batchCall = (calls, block = 'latest') =>
+    this._Web3Wrapper.batchRequest(
+      calls.map(([methodName, ...args]) =>
+        this.contractInstance.contract[methodName].request(...args)
+      ),
+      block
+    )
+
+  /**
+   * Whether the ABI of the contract has a function. Contracts of the same kind do not all
+   * implement the same functions, e.g. arbitrable contracts only share the standard.
+   * @param {string} name - Name of the function.
+   * @param {number} inputCount - Number of parameters of the function.
+   * @returns {bool} - True if the artifact has the function.
+   */
+  _hasFunction = (name, inputCount = 0) =>
+    _.some(
+      this.artifact.abi,
+      item =>
+        item.type === 'function' &&
+        item.name === name &&
+        item.inputs.length === inputCount
+    )
+
+  /**
+   * Set the number of confirmations the receipt of sent transactions waits for.
+   * @param {number} confirmations - Number of blocks mined on top of the transaction's block.
+   */
+  setConfirmations = confirmations => {
+    this.confirmations = confirmations
+  }
+
+  /**
+   * Set the number of blocks after which the receipt of a sent transaction that is still not
+   * mined rejects.
+   * @param {number} maxBlocks - Number of blocks mined since the transaction was sent.
+   */
+  setReceiptMaxBlocks = maxBlocks => {
+    this.receiptMaxBlocks = maxBlocks
+  }
+
+  /**
+   * Sign the transactions of this contract locally instead of on the node. Transactions
+   * from the signer's account are sent raw, and it becomes the default account.
+   * @param {object} signer - The signer. See utils/signers.
+   */
+  setSigner = (signer = isRequired('signer')) => {
+    this._Web3Wrapper = new Web3Wrapper(
+      new SignerProvider(this.getWeb3Provider(), signer)
+    )
+    // reload the contract with the new provider
+    this.contractInstance = null
+  }
+
+  /**
+   * Send the transactions of this contract through a queue that assigns nonces and resends
+   * stuck transactions. Share a queue between contracts that send from the same accounts.
+   * @param {object} transactionQueue - TransactionQueue instance or null to let the node assign nonces.
+   */
+  setTransactionQueue = transactionQueue => {
+    this._transactionQueue = transactionQueue
+  }
+
+  /**
+   * Get the queue transactions of this contract are sent through.
+   * @returns {object} - TransactionQueue instance or null.
+   */
+  getTransactionQueue = () => this._transactionQueue
+
+  /**
+   * Set the gas policy used for the transactions of this contract.
+   * @param {object} gasPolicy - GasPolicy instance.
+   */
+  setGasPolicy = (gasPolicy = isRequired('gasPolicy')) => {
+    this._gasPolicy = gasPolicy
+  }
+
+  /**
+   * Get the gas policy used for the transactions of this contract.
+   * @returns {object} - GasPolicy instance.
+   */
+  getGasPolicy = () => this._gasPolicy
+
+  /**
+   * Set the cache for constant calls of this contract.
+   * @param {object} cache - ContractCache instance, see utils/ContractCache.
+   */
+  setCache = (cache = isRequired('cache')) => {
+    this._cache = cache
+  }
+
+  /**
+   * Get the cache for constant calls of this contract.
+   * @returns {object} - The ContractCache instance.
+   */
+  getCache = () => this._cache
+
+  /**
+   * Invalidate cached calls of this contract when its events are handled by an EventListener.
+   * Register it before other handlers so they read fresh data.
+   * @param {object} eventListener - The EventListener instance. See utils/EventListener.js.
+   */
+  registerCacheInvalidation = (eventListener = isRequired('eventListener')) => {
+    _.forEach(this._cacheInvalidations, (getInvalidatedCalls, eventName) => {
+      // [] invalidates every call of the contract
+      const invalidate = log =>
+        getInvalidatedCalls(log).forEach(([methodName, ...args]) =>
+          this._cache.invalidate(this.contractAddress, methodName, args)
+        )
+
+      eventListener.addEventHandler(this, eventName, invalidate, invalidate)
+    })
+  }
+
+  /**
+   * Cache the results of constant methods. Calls with the same arguments are answered from
+   * the cache until they expire or are invalidated.
+   * @param {string[]} methodNames - Names of the methods to cache.
+   */
+  _cacheMethods = methodNames => {
+    methodNames.forEach(methodName => {
+      const method = this[methodName]
+
+      this[methodName] = (...args) =>
+        this._cache.get(this.contractAddress, methodName, args, () =>
+          method(...args)
+        )
+    })
+  }
+
+  /**
+   * Invalidate the cached calls of this contract once a transaction it sent is mined or fails.
+   * @param {object} transaction - The Transaction handle.
+   * @returns {object} - The Transaction handle.
+   */
+  _invalidateCacheOnReceipt = transaction => {
+    const invalidate = () => this._cache.invalidate(this.contractAddress)
+    transaction.receipt.then(invalidate, invalidate)
+
+    return transaction
+  }
+
+  /**
+   * Send a transaction to a non-constant contract function without waiting for it to be mined.
+   * Gas and gas price come from the gas policy unless they are overridden in txOptions.
+   * @param {string} methodName - Name of the contract function.
+   * @param {any[]} args - Arguments of the contract function.
+   * @param {object} txParams - Transaction params. e.g. { from, value }
+   * @param {object} txOptions - Per call overrides. { gas, gasPrice, gasPolicy, estimateGas, simulate }
+   * @returns {Promise} - Resolves to a Transaction handle. { txHash, receipt, logs, gasUsed }
+   * or to the result of a dry run if txOptions.simulate is set, see _simulateTransaction.
+   */
+  _sendTransaction = async (
+    methodName,
+    args = [],
+    txParams = {},
+    txOptions = {}
+  ) => {
+    await this.loadContract()
+
+    if (txOptions.simulate)
+      return this._simulateTransaction(methodName, args, txParams, txOptions)
+
+    const method = this.contractInstance[methodName].original
+    const gasPolicy = txOptions.gasPolicy || this._gasPolicy
+    // estimating also checks for possible failures
+    const gasParams = await gasPolicy.getGasParams(
+      methodName,
+      () => method.estimateGas(...args, txParams),
+      txOptions
+    )
+
+    if (this._transactionQueue)
+      return this._transactionQueue
+        .send(
+          this._Web3Wrapper,
+          {
+            ...txParams,
+            ...gasParams,
+            to: this.contractAddress,
+            data: this.contractInstance.contract[methodName].getData(...args)
+          },
+          this._createTransaction
+        )
+        .then(this._invalidateCacheOnReceipt)
+
+    const txHash = await method.sendTransaction(...args, {
+      ...txParams,
+      ...gasParams
+    })
+
+    return this._invalidateCacheOnReceipt(this._createTransaction(txHash))
+  }
+
+  /**
+   * Create the handle of a sent transaction with the receipt settings of this contract.
+   * @param {string} txHash - Hash of the sent transaction.
+   * @returns {object} - The Transaction handle.
+   */
+  _createTransaction = txHash =>
+    new Transaction(
+      txHash,
+      this,
+      this.confirmations,
+      ethConstants.RECEIPT_POLL_INTERVAL,
+      this.receiptMaxBlocks
+    )
+
+  /**
+   * Dry run a transaction with eth_call and a gas estimate, without broadcasting it.
+   * @param {string} methodName - Name of the contract function.
+   * @param {any[]} args - Arguments of the contract function.
+   * @param {object} txParams - Transaction params. e.g. { from, value }
+   * @param {object} txOptions - Per call overrides. { gas, gasPrice, gasPolicy, estimateGas }
+   * @returns {Promise} - Resolves to { success, gas, value, reason }. value is in ether, reason
+   * is the revert reason or node error if the transaction would fail.
+   */
+  _simulateTransaction = async (
+    methodName,
+    args = [],
+    txParams = {},
+    txOptions = {}
+  ) => {
+    const method = this.contractInstance[methodName].original
+    const gasPolicy = txOptions.gasPolicy || this._gasPolicy
+    const value = this._Web3Wrapper.fromWei(txParams.value || 0, 'ether')
+
+    try {
+      const result = await this._Web3Wrapper.call({
+        ...txParams,
+        to: this.contractAddress,
+        data: this.contractInstance.contract[methodName].getData(...args)
+      })
+      const reason = decodeRevertReason(result)
+      if (reason !== null) return { success: false, gas: null, value, reason }
+
+      const { gas } = await gasPolicy.getGasParams(
+        methodName,
+        () => method.estimateGas(...args, txParams),
+        txOptions
+      )
+
+      return { success: true, gas, value, reason: null }
+    } catch (err) {
+      return { success: false, gas: null, value, reason: err.message }
+    }
+  }
+
+  /**
+   * Create the simulate variants of write methods. They take the same arguments as the
+   * write method and resolve to the result of a dry run instead of sending the transaction.
+   * Preconditions checked by the write method are reported as the reason.
+   * @param {object} txOptionsPositions - map methodName -> index of the txOptions parameter of the method.
+   * @returns {object} - map methodName -> simulate function.
+   */
+  _createSimulations = txOptionsPositions =>
+    _.mapValues(
+      txOptionsPositions,
+      (txOptionsPosition, methodName) => async (...args) => {
+        const callArgs = [...args]
+        callArgs[txOptionsPosition] = {
+          ...args[txOptionsPosition],
+          simulate: true
+        }
+
+        try {
+          return await this[methodName](...callArgs)
+        } catch (err) {
+          return { success: false, gas: null, value: null, reason: err.message }
+        }
+      }
+    )
+
   /**
    * Set a new contract instance
    * @param {string} contractAddress - The address of the contract
@@ -106,7 +434,7 @@ class ContractImplementation {
         ? await c.deployed()
         : await c.at(address)
 
-      // Estimate gas before sending transactions
+      // Use the gas policy for transactions sent directly through the contract instance
       for (const funcABI of contractInstance.abi) {
         // Check for non-constant functions
         if (funcABI.type === 'function' && funcABI.constant === false) {
@@ -114,8 +442,14 @@ class ContractImplementation {
 
           // eslint-disable-next-line no-loop-func
           contractInstance[funcABI.name] = async (...args) => {
-            await func.estimateGas(...args) // Estimate gas (also checks for possible failures)
-            return func(...args) // Call original function
+            const txParams = _.isPlainObject(_.last(args)) ? args.pop() : {}
+            // Estimate gas (also checks for possible failures)
+            const gasParams = await this._gasPolicy.getGasParams(
+              funcABI.name,
+              () => func.estimateGas(...args, txParams)
+            )
+            // Call original function. Gas params passed by the caller take precedence
+            return func(...args, { ...gasParams, ...txParams })
           }
 
           // Keep reference to the original function for special cases
@@ -1,4 +1,14 @@
+import _ from 'lodash'
+
+import * as errorConstants from '../../constants/error'
 import AbstractContract from '../AbstractContract'
+import isRequired from '../../utils/isRequired'
+import PromiseQueue from '../../utils/PromiseQueue'
+import {
+  createEvidence,
+  hashEvidence,
+  verifyEvidence
+} from '../../utils/evidence'
 
 /**
  * Arbitrable Abstract Contarct API. This wraps an arbitrable contract. It provides
@@ -7,6 +17,128 @@ import AbstractContract from '../AbstractContract'
  * object.
  */
 class ArbitrableContract extends AbstractContract {
+  // map contractAddress -> ArbitrableContract instance. See getInstanceForAddress
+  _instancesByAddress = {}
+
+  // ArbitrableRegistry picking the implementation of other contracts. See setRegistry
+  _registry = null
+
+  // Evidence logs fetched up to toBlock, so each block is only scanned once. See _getEvidenceLogs
+  _evidenceLogs = { toBlock: -1, logs: [] }
+
+  // fetches of new evidence logs are queued so that concurrent callers do not fetch the same range
+  _evidenceLogsQueue = new PromiseQueue()
+
+  /**
+   * Get an instance for another contract of the same kind as the current contract
+   * implementation. Each address gets its own instance, so contracts can be used in
+   * parallel without changing the contract instance of a shared object. Instances are cached.
+   * @param {string} contractAddress - Address of the arbitrable contract.
+   * @returns {object} - ArbitrableContract instance for the contract.
+   */
+  getInstanceForAddress = (contractAddress = isRequired('contractAddress')) => {
+    const key = contractAddress.toLowerCase()
+    if (!this._instancesByAddress[key])
+      this._instancesByAddress[key] = this._createInstance(
+        this._contractImplementation.constructor,
+        contractAddress
+      )
+
+    return this._instancesByAddress[key]
+  }
+
+  /**
+   * Get an instance for any arbitrable contract. The implementation is picked by the registry,
+   * see setRegistry. Without a registry it is the same as getInstanceForAddress.
+   * @param {string} contractAddress - Address of the arbitrable contract.
+   * @returns {Promise} - Resolves to the ArbitrableContract instance for the contract.
+   */
+  getInstanceForAddressAsync = async (
+    contractAddress = isRequired('contractAddress')
+  ) => {
+    if (!this._registry) return this.getInstanceForAddress(contractAddress)
+
+    const Implementation = await this._registry.getImplementationClass(
+      this._contractImplementation.getWeb3Provider(),
+      contractAddress
+    )
+    const key = contractAddress.toLowerCase()
+    const instance = this._instancesByAddress[key]
+    if (
+      !instance ||
+      instance._contractImplementation.constructor !== Implementation
+    )
+      this._instancesByAddress[key] = this._createInstance(
+        Implementation,
+        contractAddress
+      )
+
+    return this._instancesByAddress[key]
+  }
+
+  /**
+   * Set the registry used to pick the implementation of other contracts, see
+   * getInstanceForAddressAsync.
+   * @param {object} registry - ArbitrableRegistry instance.
+   */
+  setRegistry = registry => {
+    this._registry = registry
+  }
+
+  /**
+   * Create an instance for a contract that shares the settings of the current contract.
+   * @param {object} Implementation - Contract implementation class.
+   * @param {string} contractAddress - Address of the arbitrable contract.
+   * @returns {object} - ArbitrableContract instance for the contract.
+   */
+  _createInstance = (Implementation, contractAddress) => {
+    const contractImplementation = new Implementation(
+      this._contractImplementation.getWeb3Provider(),
+      contractAddress
+    )
+    contractImplementation.setGasPolicy(
+      this._contractImplementation.getGasPolicy()
+    )
+    contractImplementation.setTransactionQueue(
+      this._contractImplementation.getTransactionQueue()
+    )
+
+    return new ArbitrableContract(contractImplementation, this._StoreProvider)
+  }
+
+  /**
+   * Set store provider instance. Also used by the instances from getInstanceForAddress.
+   * @param {object} storeProviderInstance - instance of store provider wrapper.
+   */
+  setStoreProviderInstance = storeProviderInstance => {
+    this._StoreProvider = storeProviderInstance
+    _.values(this._instancesByAddress).forEach(instance =>
+      instance.setStoreProviderInstance(storeProviderInstance)
+    )
+  }
+
+  /**
+   * Set the gas policy. Also used by the instances from getInstanceForAddress.
+   * @param {object} gasPolicy - GasPolicy instance.
+   */
+  setGasPolicy = gasPolicy => {
+    this._contractImplementation.setGasPolicy(gasPolicy)
+    _.values(this._instancesByAddress).forEach(instance =>
+      instance.setGasPolicy(gasPolicy)
+    )
+  }
+
+  /**
+   * Set the transaction queue. Also used by the instances from getInstanceForAddress.
+   * @param {object} transactionQueue - TransactionQueue instance.
+   */
+  setTransactionQueue = transactionQueue => {
+    this._contractImplementation.setTransactionQueue(transactionQueue)
+    _.values(this._instancesByAddress).forEach(instance =>
+      instance.setTransactionQueue(transactionQueue)
+    )
+  }
+
   /**
    * Deploy a contract and add to the Store.
    * @param {string} account - Ethereum address.
@@ -66,30 +198,31 @@ class ArbitrableContract extends AbstractContract {
   }
 
   /**
-   * Submit evidence.
+   * Submit evidence. Its hash is submitted on chain and the document is added to the store.
    * @param {string} account - ETH address of user.
-   * @param {string} name - Name of evidence.
-   * @param {string} description - Description of evidence.
-   * @param {string} url - A link to an evidence using its URI.
-   * @returns {string} - txHash Hash transaction.
+   * @param {object} evidence - { title, description, fileURI, fileHash, fileType }. See utils/evidence.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
-  submitEvidence = async (account, name, description = '', url) => {
-    const txHash = await this._contractImplementation.submitEvidence(
+  submitEvidence = async (account, evidence, txOptions = {}) => {
+    const document = createEvidence({ ...evidence, submitter: account })
+    const transaction = await this._contractImplementation.submitEvidence(
       account,
-      name,
-      description,
-      url
+      document,
+      txOptions
     )
 
     await this._StoreProvider.addEvidenceContract(
       this._contractImplementation.contractAddress,
       account,
-      name,
-      description,
-      url
+      {
+        ...document,
+        evidenceHash: hashEvidence(document),
+        txHash: transaction.txHash
+      }
     )
 
-    return txHash
+    return transaction
   }
 
   /**
@@ -105,37 +238,132 @@ class ArbitrableContract extends AbstractContract {
   }
 
   /**
-   * Get evidence for contract.
-   * @param {string} contractAddress - Address of arbitrable contract.
-   * @returns {object[]} - Array of evidence objects.
+   * Get evidence for contract. Evidence is read from the Evidence logs of the contract, with
+   * the documents from the store merged in when they are available. Chain evidence is verified,
+   * evidence that is only in the store, or doesn't match its submission on chain, is not.
+   * @returns {object[]} - Evidence, by dispute and party, then the store-only evidence.
+   * { ...document, evidence, submitter, disputeId, blockNumber, transactionHash, verified }.
+   * evidence is the submitted string, the hash of the document. Store-only evidence has no
+   * disputeId.
    */
   getEvidenceForArbitrableContract = async () => {
-    const arbitrableContractData = await this._contractImplementation.getData()
-    const partyAContractData = await this._StoreProvider.getContractByAddress(
-      arbitrableContractData.partyA,
-      this._contractImplementation.contractAddress
+    const [arbitrableContractData, evidenceLogs] = await Promise.all([
+      this._contractImplementation.getData(),
+      this._getEvidenceLogs()
+    ])
+    // contracts that only implement the standard don't tell their parties, the evidence does
+    const parties = _.uniqBy(
+      [...arbitrableContractData.parties, ..._.map(evidenceLogs, 'party')],
+      _.toLower
     )
-    const partyBContractData = await this._StoreProvider.getContractByAddress(
-      arbitrableContractData.partyB,
-      this._contractImplementation.contractAddress
+    const storedEvidence = _.flatten(
+      await Promise.all(
+        parties.map(async party =>
+          (await this._getStoredEvidence(party)).map(evidence => ({
+            // evidence of a party's profile only counts if the party submitted it
+            document: evidence,
+            party
+          }))
+        )
+      )
     )
 
-    const partyAEvidence = (partyAContractData
-      ? partyAContractData.evidences
-      : []
-    ).map(evidence => {
-      evidence.submitter = arbitrableContractData.partyA
-      return evidence
+    const chainEvidence = _.sortBy(evidenceLogs, [
+      log => log.disputeId,
+      log => _.indexOf(parties.map(_.toLower), _.toLower(log.party)),
+      log => log.blockNumber
+    ]).map(log => {
+      const stored = _.find(
+        storedEvidence,
+        ({ document, party }) =>
+          _.toLower(document.submitter) === _.toLower(party) &&
+          verifyEvidence(document, [log])
+      )
+
+      return {
+        ...(stored ? stored.document : {}),
+        evidence: log.evidence,
+        submitter: log.party,
+        disputeId: log.disputeId,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        verified: true
+      }
     })
-    const partyBEvidence = (partyBContractData
-      ? partyBContractData.evidences
-      : []
-    ).map(evidence => {
-      evidence.submitter = arbitrableContractData.partyB
-      return evidence
+    const storeOnlyEvidence = storedEvidence
+      .filter(
+        ({ document, party }) =>
+          _.toLower(document.submitter) !== _.toLower(party) ||
+          !verifyEvidence(document, evidenceLogs)
+      )
+      .map(({ document, party }) => ({
+        ...document,
+        submitter: party,
+        disputeId: null,
+        verified: false
+      }))
+
+    return chainEvidence.concat(storeOnlyEvidence)
+  }
+
+  /**
+   * Get the evidence submitted in each dispute of the contract, by party.
+   * See getEvidenceForArbitrableContract.
+   * @returns {object} - map disputeId -> submitter -> evidence. Store-only evidence is left out.
+   */
+  getEvidenceByDispute = async () => {
+    const evidence = await this.getEvidenceForArbitrableContract()
+
+    return _.mapValues(
+      _.groupBy(evidence.filter(item => item.verified), 'disputeId'),
+      disputeEvidence => _.groupBy(disputeEvidence, 'submitter')
+    )
+  }
+
+  /**
+   * Get the evidence logs of the contract. Only the blocks after the last fetch are scanned,
+   * the logs of the previous ones are kept.
+   * @returns {object[]} - Evidence logs, oldest first. See Arbitrable.getEvidenceLogs.
+   */
+  _getEvidenceLogs = () =>
+    this._evidenceLogsQueue.fetch(async () => {
+      const toBlock = await this._contractImplementation.getBlockNumber()
+      if (toBlock > this._evidenceLogs.toBlock) {
+        const newLogs = await this._contractImplementation.getEvidenceLogs(
+          this._evidenceLogs.toBlock + 1,
+          toBlock
+        )
+        this._evidenceLogs = {
+          toBlock,
+          logs: this._evidenceLogs.logs.concat(newLogs)
+        }
+      }
+
+      return this._evidenceLogs.logs
     })
 
-    return partyAEvidence.concat(partyBEvidence)
+  /**
+   * Get the evidence documents in the store profile of a party of the contract.
+   * @param {string} party - Address of the party.
+   * @returns {object[]} - Evidence documents. Empty without a store or profile. Other store
+   * failures are thrown.
+   */
+  _getStoredEvidence = async party => {
+    if (!this._StoreProvider || !this._StoreProvider.getContractByAddress)
+      return []
+
+    let contractData
+    try {
+      contractData = await this._StoreProvider.getContractByAddress(
+        party,
+        this._contractImplementation.contractAddress
+      )
+    } catch (err) {
+      // a party without a profile has no evidence in the store
+      if (err.message !== errorConstants.PROFILE_NOT_FOUND(party)) throw err
+    }
+
+    return (contractData && contractData.evidences) || []
   }
 
   /**
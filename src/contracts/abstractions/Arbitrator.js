@@ -1,7 +1,9 @@
 import _ from 'lodash'
 
 import * as arbitratorConstants from '../../constants/arbitrator'
+import * as errorConstants from '../../constants/error'
 import AbstractContract from '../AbstractContract'
+import { compareAmounts } from '../../utils/amounts'
 
 /**
  * Arbitrator Abstract Contarct API. This wraps an arbitrator contract. It provides
@@ -10,6 +12,34 @@ import AbstractContract from '../AbstractContract'
  * object.
  */
 class Arbitrator extends AbstractContract {
+  /**
+   * Create a new Arbitrator. The store is also used to persist the dispute index of the
+   * contract implementation, if it keeps one.
+   * @param {object} implementationInstance - Contract Implementation object to extend
+   * @param {object} storeProviderInstance - StoreProvider wrapper object.
+   */
+  constructor(implementationInstance, storeProviderInstance) {
+    super(implementationInstance, storeProviderInstance)
+    this._setDisputeIndexStore()
+  }
+
+  /**
+   * Set store provider instance. Also used to persist the dispute index.
+   * @param {object} storeProviderInstance - instance of store provider wrapper.
+   */
+  setStoreProviderInstance = storeProviderInstance => {
+    this._StoreProvider = storeProviderInstance
+    this._setDisputeIndexStore()
+  }
+
+  /**
+   * Pass the store to the contract implementation to persist its dispute index.
+   */
+  _setDisputeIndexStore = () => {
+    if (this._contractImplementation.setDisputeIndexStore)
+      this._contractImplementation.setDisputeIndexStore(this._StoreProvider)
+  }
+
   /**
    * Get disputes for user with extra data from arbitrated transaction and store
    * @param {string} account address of user
@@ -22,9 +52,14 @@ class Arbitrator extends AbstractContract {
       this._contractImplementation.getSession()
     ])
 
+    const arbitratorAddress = this._contractImplementation.getContractAddress()
+    // the store holds disputes of all arbitrators
     const _getDisputesForUserFromStore = async account =>
       Promise.all(
-        (await this._StoreProvider.getDisputesForUser(account)).map(dispute =>
+        _.filter(
+          await this._StoreProvider.getDisputesForUser(account),
+          dispute => dispute.arbitratorAddress === arbitratorAddress
+        ).map(dispute =>
           this._contractImplementation.getDispute(dispute.disputeId, account)
         )
       )
@@ -35,7 +70,9 @@ class Arbitrator extends AbstractContract {
     }
 
     let profile = await this._StoreProvider.setUpUserProfile(account)
-    if (currentSession !== profile.session) {
+    // the last session the disputes were updated in, for each arbitrator
+    const sessions = profile.sessions || {}
+    if (currentSession !== sessions[arbitratorAddress]) {
       // get disputes for juror
       const myDisputes = await this._contractImplementation.getDisputesForJuror(
         account
@@ -57,7 +94,7 @@ class Arbitrator extends AbstractContract {
       )
 
       this._StoreProvider.updateUserProfile(account, {
-        session: currentSession
+        sessions: { ...sessions, [arbitratorAddress]: currentSession }
       })
     }
 
@@ -71,9 +108,175 @@ class Arbitrator extends AbstractContract {
    * @returns {object[]} - Balance of user.
    */
   buyPNK = async (amount, account) => {
-    await this._contractImplementation.buyPNK(amount, account)
+    const transaction = await this._contractImplementation.buyPNK(
+      amount,
+      account
+    )
+    await transaction.receipt
+
     return this._contractImplementation.getPNKBalance(account)
   }
+
+  // **************************** //
+  // *          Jurors          * //
+  // **************************** //
+  // These read the draws from the contract and work with or without a store provider.
+  // If there is one, the draws are saved to the juror's dispute profiles.
+
+  /**
+   * Get the disputes of the current session a juror still has to vote on.
+   * @param {string} account - Address of the juror.
+   * @returns {object[]} - Dispute data with the draws of the juror. Empty outside of the vote period.
+   */
+  getPendingVotes = async account => {
+    const period = await this._contractImplementation.getPeriod()
+    if (period !== arbitratorConstants.PERIOD.VOTE) return []
+
+    const disputes = await this._getJurorDisputesForSession(account)
+
+    return disputes.filter(dispute => !dispute.hasVoted)
+  }
+
+  /**
+   * Vote on a dispute with all the draws of a juror in the current session.
+   * @param {number} disputeId - The index of the dispute.
+   * @param {number} ruling - The ruling to vote for.
+   * @param {string} account - Address of the juror.
+   * @param {object} txOptions - Per call overrides. See ContractImplementation._sendTransaction.
+   * @returns {object} - The Transaction handle.
+   */
+  vote = async (disputeId, ruling, account, txOptions = {}) => {
+    await this._requirePeriod(arbitratorConstants.PERIOD.VOTE)
+
+    const draws = await this._contractImplementation.getDrawsForJuror(
+      disputeId,
+      account
+    )
+    if (draws.length === 0)
+      throw new Error(
+        errorConstants.ACCOUNT_NOT_DRAWN_FOR_DISPUTE(account, disputeId)
+      )
+    if (
+      !await this._contractImplementation.canRuleDispute(
+        disputeId,
+        draws,
+        account
+      )
+    )
+      throw new Error(errorConstants.ACCOUNT_ALREADY_VOTED(account, disputeId))
+
+    return this._contractImplementation.submitVotes(
+      disputeId,
+      ruling,
+      draws,
+      account,
+      txOptions
+    )
+  }
+
+  /**
+   * Activate all the tokens of a juror for the current session.
+   * @param {string} account - Address of the juror.
+   * @param {object} txOptions - Per call overrides. See ContractImplementation._sendTransaction.
+   * @returns {object} - The Transaction handle.
+   */
+  activateMaxPNK = async (account, txOptions = {}) => {
+    await this._requirePeriod(arbitratorConstants.PERIOD.ACTIVATION)
+
+    const balance = await this._contractImplementation.getPNKBalance(account)
+    if (compareAmounts(balance.activatedTokens, 0) > 0)
+      throw new Error(errorConstants.TOKENS_ALREADY_ACTIVATED(account))
+    if (compareAmounts(balance.tokenBalance, 0) <= 0)
+      throw new Error(errorConstants.NO_TOKENS_TO_ACTIVATE(account))
+
+    return this._contractImplementation.activatePNK(
+      balance.tokenBalance,
+      account,
+      txOptions
+    )
+  }
+
+  /**
+   * Get the state of the current session for a juror.
+   * @param {string} account - Address of the juror.
+   * @returns {object} - { arbitratorAddress, session, period, periodDeadline, tokenBalance,
+   * activatedTokens, lockedTokens, disputes, pendingVotes }. disputes are the disputes the
+   * juror was drawn in, with draws and hasVoted, once the vote period started.
+   */
+  getSessionSummary = async account => {
+    const [period, session, balance] = await Promise.all([
+      this._contractImplementation.getPeriod(),
+      this._contractImplementation.getSession(),
+      this._contractImplementation.getPNKBalance(account)
+    ])
+    // draws are only known once the vote period started
+    const [periodDeadline, disputes] = await Promise.all([
+      this._contractImplementation.getDeadlineForOpenDispute(period),
+      period >= arbitratorConstants.PERIOD.VOTE
+        ? this._getJurorDisputesForSession(account)
+        : []
+    ])
+
+    return {
+      arbitratorAddress: this._contractImplementation.getContractAddress(),
+      session,
+      period,
+      periodDeadline,
+      ...balance,
+      disputes,
+      pendingVotes:
+        period === arbitratorConstants.PERIOD.VOTE
+          ? disputes.filter(dispute => !dispute.hasVoted).length
+          : 0
+    }
+  }
+
+  /**
+   * Get the disputes of the current session a juror was drawn in.
+   * @param {string} account - Address of the juror.
+   * @returns {object[]} - Dispute data with the draws of the juror and if the juror voted.
+   */
+  _getJurorDisputesForSession = async account => {
+    const disputes = _.filter(
+      await this._contractImplementation.getDisputesForJuror(account),
+      dispute => dispute.appealDraws[dispute.numberOfAppeals].length > 0
+    )
+
+    if (this._StoreProvider)
+      await Promise.all(
+        disputes.map(dispute =>
+          this._StoreProvider.updateDisputeProfile(
+            account,
+            dispute.arbitratorAddress,
+            dispute.disputeId,
+            { appealDraws: dispute.appealDraws }
+          )
+        )
+      )
+
+    return Promise.all(
+      disputes.map(async dispute => {
+        const draws = dispute.appealDraws[dispute.numberOfAppeals]
+        const canVote = await this._contractImplementation.canRuleDispute(
+          dispute.disputeId,
+          draws,
+          account
+        )
+
+        return { ...dispute, draws, hasVoted: !canVote }
+      })
+    )
+  }
+
+  /**
+   * Throw if the arbitrator is not in a period.
+   * @param {number} expectedPeriod - The period required.
+   */
+  _requirePeriod = async expectedPeriod => {
+    const period = await this._contractImplementation.getPeriod()
+    if (period !== expectedPeriod)
+      throw new Error(errorConstants.NOT_IN_PERIOD(expectedPeriod, period))
+  }
 }
 
 export default Arbitrator
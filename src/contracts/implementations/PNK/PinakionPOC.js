@@ -3,6 +3,7 @@ import _ from 'lodash'
 
 import * as ethConstants from '../../../constants/eth'
 import * as errorConstants from '../../../constants/error'
+import * as tokenConstants from '../../../constants/token'
 import ContractImplementation from '../../ContractImplementation'
 import deployContractAsync from '../../../utils/deployContractAsync'
 
@@ -17,20 +18,32 @@ class PinakionPOC extends ContractImplementation {
    */
   constructor(web3Provider, contractAddress) {
     super(web3Provider, PinakionPOCArtifact, contractAddress)
+
+    // dry runs of the write methods. map methodName -> position of its txOptions parameter
+    this.simulate = this._createSimulations({
+      setKleros: 2,
+      transferOwnership: 2,
+      transfer: 3,
+      approve: 3,
+      approveAndCall: 4
+    })
   }
 
   /**
    * Deploy a new instance of PinakionPOC.
    * @param {string} account - account of user
    * @param {object} web3Provider - web3 provider object
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
    * @returns {object} - 'truffle-contract' Object | err The contract object or error deploy.
    */
-  static deploy = async (account, web3Provider) => {
+  static deploy = async (account, web3Provider, txOptions = {}) => {
     const contractDeployed = await deployContractAsync(
       account,
       ethConstants.TRANSACTION.VALUE,
       PinakionPOCArtifact,
-      web3Provider
+      web3Provider,
+      [],
+      txOptions
     )
 
     return contractDeployed
@@ -40,19 +53,23 @@ class PinakionPOC extends ContractImplementation {
    * Change the kleros contract variable in instance of PinakionPOC.
    * @param {string} klerosAddress - Address of Kleros POC contract.
    * @param {string} account - Address of user.
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   setKleros = async (
     klerosAddress,
-    account = this._Web3Wrapper.getAccount(0)
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
   ) => {
     await this.loadContract()
 
     try {
-      return this.contractInstance.setKleros(klerosAddress, {
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS
-      })
+      return await this._sendTransaction(
+        'setKleros',
+        [klerosAddress],
+        { from: account },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_SET_KLEROS)
@@ -63,25 +80,196 @@ class PinakionPOC extends ContractImplementation {
    * Transfer ownership of the PNK contract to the kleros POC contract.
    * @param {string} klerosAddress - Address of Kleros POC contract.
    * @param {string} account - Address of user.
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   transferOwnership = async (
     klerosAddress,
-    account = this._Web3Wrapper.getAccount(0)
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
   ) => {
     await this.loadContract()
 
     try {
-      return this.contractInstance.transferOwnership(klerosAddress, {
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS
-      })
+      return await this._sendTransaction(
+        'transferOwnership',
+        [klerosAddress],
+        { from: account },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_TRANSFER_OWNERSHIP)
     }
   }
 
+  /**
+   * Transfer PNK to another account.
+   * @param {string} to - Address of the recipient.
+   * @param {number} amount - Number of PNK to transfer.
+   * @param {string} account - Address of user.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
+   */
+  transfer = async (
+    to,
+    amount,
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
+  ) => {
+    await this.loadContract()
+
+    try {
+      return await this._sendTransaction(
+        'transfer',
+        [to, this._Web3Wrapper.toWei(amount, 'ether')],
+        { from: account },
+        txOptions
+      )
+    } catch (err) {
+      console.error(err)
+      throw new Error(errorConstants.UNABLE_TO_TRANSFER_PNK)
+    }
+  }
+
+  /**
+   * Allow another account to spend PNK of the user.
+   * @param {string} spender - Address of the account allowed to spend.
+   * @param {number} amount - Number of PNK it can spend.
+   * @param {string} account - Address of user.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
+   */
+  approve = async (
+    spender,
+    amount,
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
+  ) => {
+    await this.loadContract()
+
+    try {
+      return await this._sendTransaction(
+        'approve',
+        [spender, this._Web3Wrapper.toWei(amount, 'ether')],
+        { from: account },
+        txOptions
+      )
+    } catch (err) {
+      console.error(err)
+      throw new Error(errorConstants.UNABLE_TO_APPROVE_PNK)
+    }
+  }
+
+  /**
+   * Allow a contract to spend PNK of the user and notify it in the same transaction. Only
+   * tokens with approveAndCall, e.g. MiniMe tokens, support it. Load them with their artifact.
+   * @param {string} spender - Address of the contract allowed to spend. It is called with receiveApproval.
+   * @param {number} amount - Number of PNK it can spend.
+   * @param {string} extraData - Data passed on to the contract.
+   * @param {string} account - Address of user.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
+   */
+  approveAndCall = async (
+    spender,
+    amount,
+    extraData = '0x',
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
+  ) => {
+    if (!this._hasFunction('approveAndCall', 3))
+      throw new Error(errorConstants.APPROVE_AND_CALL_NOT_SUPPORTED)
+    await this.loadContract()
+
+    try {
+      return await this._sendTransaction(
+        'approveAndCall',
+        [spender, this._Web3Wrapper.toWei(amount, 'ether'), extraData],
+        { from: account },
+        txOptions
+      )
+    } catch (err) {
+      console.error(err)
+      throw new Error(errorConstants.UNABLE_TO_APPROVE_PNK)
+    }
+  }
+
+  /**
+   * Get the PNK balance of an account. Unlike KlerosPOC.getPNKBalance these are the tokens
+   * held by the account, not the ones deposited in Kleros.
+   * @param {string} account - Address of the account.
+   * @returns {string} - Number of PNK.
+   */
+  balanceOf = async (account = this._Web3Wrapper.getAccount(0)) => {
+    await this.loadContract()
+
+    const balance = await this.contractInstance.balanceOf(account)
+
+    return this._Web3Wrapper.fromWei(balance, 'ether')
+  }
+
+  /**
+   * Get the number of PNK in existence.
+   * @returns {string} - Number of PNK.
+   */
+  totalSupply = async () => {
+    await this.loadContract()
+
+    const totalSupply = await this.contractInstance.totalSupply()
+
+    return this._Web3Wrapper.fromWei(totalSupply, 'ether')
+  }
+
+  /**
+   * Get the number of PNK an account is allowed to spend for another.
+   * @param {string} owner - Address of the account holding the PNK.
+   * @param {string} spender - Address of the account allowed to spend.
+   * @returns {string} - Number of PNK.
+   */
+  allowance = async (owner, spender) => {
+    await this.loadContract()
+
+    const allowance = await this.contractInstance.allowance(owner, spender)
+
+    return this._Web3Wrapper.fromWei(allowance, 'ether')
+  }
+
+  /**
+   * Decode a Transfer or Approval log of the token, with the amount in PNK.
+   * @param {object} log - The event log.
+   * @returns {object} - { event, from, to, amount } for transfers or { event, owner, spender, amount }
+   * for approvals, with the transactionHash and blockNumber of the log.
+   */
+  decodeTokenEvent = log => {
+    // token contracts name the arguments differently, only their order is standard
+    const [firstAddress, secondAddress, amount] = _.values(log.args)
+    const { transactionHash, blockNumber } = log
+
+    switch (log.event) {
+      case tokenConstants.EVENT.TRANSFER:
+        return {
+          event: log.event,
+          from: firstAddress,
+          to: secondAddress,
+          amount: this._Web3Wrapper.fromWei(amount, 'ether'),
+          transactionHash,
+          blockNumber
+        }
+      case tokenConstants.EVENT.APPROVAL:
+        return {
+          event: log.event,
+          owner: firstAddress,
+          spender: secondAddress,
+          amount: this._Web3Wrapper.fromWei(amount, 'ether'),
+          transactionHash,
+          blockNumber
+        }
+      default:
+        throw new Error(errorConstants.NOT_A_TOKEN_EVENT(log.event))
+    }
+  }
+
   /**
    * Get data from PNK contract.
    * @returns {object} - Data from PNK contract.
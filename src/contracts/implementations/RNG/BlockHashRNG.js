@@ -22,14 +22,17 @@ class BlockHashRNG extends ContractImplementation {
    * BlockHashRNG deploy.
    * @param {string} account - users account
    * @param {object} web3Provider - web3 provider object
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
    * @returns {object} - truffle-contract Object | err The contract object or error deploy
    */
-  static deploy = async (account, web3Provider) => {
+  static deploy = async (account, web3Provider, txOptions = {}) => {
     const contractDeployed = await deployContractAsync(
       account,
       ethConstants.TRANSACTION.VALUE,
       BlockHashRNGArtifact,
-      web3Provider
+      web3Provider,
+      [],
+      txOptions
     )
 
     return contractDeployed
@@ -0,0 +1,176 @@
+import arbitrableArtifact from 'kleros-interaction/build/contracts/Arbitrable'
+import _ from 'lodash'
+
+import ContractImplementation from '../../ContractImplementation'
+import EventListener from '../../../utils/EventListener'
+import isRequired from '../../../utils/isRequired'
+
+/**
+ * Provides interaction with any arbitrable contract. Only the standard arbitrable interface
+ * is used: the arbitrator, its extra data and the Dispute, Ruling, Evidence and MetaEvidence
+ * events. Implementations of specific arbitrable contracts extend it.
+ */
+class Arbitrable extends ContractImplementation {
+  static artifact = arbitrableArtifact
+
+  /**
+   * Constructor Arbitrable.
+   * @param {object} web3Provider instance
+   * @param {string} contractAddress of the contract
+   * @param {object} artifact of the contract. (default standard Arbitrable)
+   */
+  constructor(web3Provider, contractAddress, artifact = arbitrableArtifact) {
+    super(web3Provider, artifact, contractAddress)
+
+    this.simulate = this._createSimulations({})
+  }
+
+  /**
+   * Data of the contract. The parties are not part of the standard, so there are none. The
+   * arbitrator extra data isn't either, it is empty if the contract has no getter for it.
+   * @returns {object} - { address, arbitrator, arbitratorExtraData, extraData, parties }.
+   */
+  getData = async () => {
+    await this.loadContract()
+
+    const hasExtraData = this._hasFunction('arbitratorExtraData')
+    const [arbitrator, arbitratorExtraData = ''] = await Promise.all(
+      this._batchCall([
+        ['arbitrator'],
+        ...(hasExtraData ? [['arbitratorExtraData']] : [])
+      ])
+    )
+
+    return {
+      address: this.getContractAddress(),
+      arbitrator,
+      arbitratorExtraData,
+      extraData: arbitratorExtraData,
+      parties: []
+    }
+  }
+
+  /**
+   * Fetch the disputes created by the contract.
+   * @param {number} fromBlock - Block to start looking for disputes from.
+   * @param {number|string} toBlock - Last block to look for disputes in.
+   * @returns {object[]} - { arbitrator, disputeId, rulingOptions, metaEvidenceId, blockNumber,
+   * transactionHash } for each dispute, oldest first. rulingOptions and metaEvidenceId are
+   * undefined if the Dispute event of the contract doesn't have them.
+   */
+  getDisputeLogs = async (fromBlock = 0, toBlock = 'latest') => {
+    const logs = await this._getStandardEventLogs('Dispute', fromBlock, toBlock)
+
+    return logs.map(log => ({
+      arbitrator: log.args._arbitrator,
+      disputeId: log.args._disputeID.toNumber(),
+      rulingOptions: log.args._rulingOptions,
+      metaEvidenceId: log.args._metaEvidenceID
+        ? log.args._metaEvidenceID.toNumber()
+        : undefined,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash
+    }))
+  }
+
+  /**
+   * Fetch the rulings the contract received.
+   * @param {number} fromBlock - Block to start looking for rulings from.
+   * @returns {object[]} - { arbitrator, disputeId, ruling, blockNumber, transactionHash } for each
+   * ruling, oldest first.
+   */
+  getRulingLogs = async (fromBlock = 0) => {
+    const logs = await this._getStandardEventLogs('Ruling', fromBlock)
+
+    return logs.map(log => ({
+      arbitrator: log.args._arbitrator,
+      disputeId: log.args._disputeID.toNumber(),
+      ruling: log.args._ruling.toNumber(),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash
+    }))
+  }
+
+  /**
+   * Fetch the evidence submitted on chain.
+   * @param {number} fromBlock - Block to start looking for evidence from.
+   * @param {number|string} toBlock - Last block to look for evidence in.
+   * @returns {object[]} - { party, evidence, disputeId, blockNumber, transactionHash } for each
+   * submission, oldest first. evidence is the submitted string, the hash of the document.
+   */
+  getEvidenceLogs = async (fromBlock = 0, toBlock = 'latest') => {
+    const logs = await this._getStandardEventLogs(
+      'Evidence',
+      fromBlock,
+      toBlock
+    )
+
+    return logs.map(log => ({
+      party: log.args._party,
+      evidence: log.args._evidence,
+      disputeId: log.args._disputeID.toNumber(),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash
+    }))
+  }
+
+  /**
+   * Fetch the meta evidence of the contract, the context of its disputes.
+   * @param {number} fromBlock - Block to start looking for meta evidence from.
+   * @returns {object[]} - { metaEvidenceId, evidence, blockNumber, transactionHash } for each
+   * meta evidence, oldest first.
+   */
+  getMetaEvidenceLogs = async (fromBlock = 0) => {
+    const logs = await this._getStandardEventLogs('MetaEvidence', fromBlock)
+
+    return logs.map(log => ({
+      metaEvidenceId: log.args._metaEvidenceID.toNumber(),
+      evidence: log.args._evidence,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash
+    }))
+  }
+
+  /**
+   * Get ruling options from dispute via event
+   * @param {string} arbitratorAddress address of arbitrator contract
+   * @param {number} disputeId index of dispute
+   * @param {number} creationBlock block the dispute was created in. The Dispute event is only
+   * looked for in it. See KlerosPOC.getDisputeCreationBlock.
+   * @returns {object[]} an array of objects that specify the name and value of the resolution option
+   */
+  getRulingOptions = async (
+    arbitratorAddress,
+    disputeId,
+    creationBlock = isRequired('creationBlock')
+  ) => {
+    const disputeOption = _.filter(
+      await this.getDisputeLogs(creationBlock, creationBlock),
+      dispute =>
+        _.toLower(dispute.arbitrator) === _.toLower(arbitratorAddress) &&
+        dispute.disputeId === disputeId
+    )
+    // should only be 1 at this point
+    if (disputeOption.length !== 1 || !disputeOption[0].rulingOptions) return []
+
+    return disputeOption[0].rulingOptions
+      .split(';')
+      .map((option, index) => ({ name: option, value: index + 1 }))
+  }
+
+  /**
+   * Fetch the logs of a standard event. Contracts that don't emit the event have none.
+   * @param {string} eventName - Name of the event.
+   * @param {number} fromBlock - Block to start looking for logs from.
+   * @param {number|string} toBlock - Last block to look for logs in.
+   * @returns {object[]} - The logs, oldest first.
+   */
+  _getStandardEventLogs = async (eventName, fromBlock, toBlock = 'latest') => {
+    const contractInstance = await this.loadContract()
+    if (!contractInstance[eventName]) return []
+
+    return EventListener.getEventLogs(this, eventName, fromBlock, toBlock)
+  }
+}
+
+export default Arbitrable
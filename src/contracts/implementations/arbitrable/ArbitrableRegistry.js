@@ -0,0 +1,129 @@
+import { sha3, bufferToHex } from 'ethereumjs-util'
+import _ from 'lodash'
+
+import * as errorConstants from '../../../constants/error'
+import Web3Wrapper from '../../../utils/Web3Wrapper'
+
+import Arbitrable from './Arbitrable'
+import ArbitrableTransaction from './ArbitrableTransaction'
+
+/**
+ * Get the selectors of the functions of an ABI.
+ * @param {object[]} abi - The ABI.
+ * @returns {string[]} - Hex selectors, without 0x.
+ */
+const getSelectors = abi =>
+  abi
+    .filter(item => item.type === 'function')
+    .map(item =>
+      bufferToHex(
+        sha3(`${item.name}(${item.inputs.map(input => input.type).join(',')})`)
+      ).slice(2, 10)
+    )
+
+/**
+ * Picks the implementation of an arbitrable contract. An implementation is used for a contract
+ * if every function of its ABI is in the ABI or the bytecode of the contract. The most specific
+ * implementation is picked, the generic Arbitrable implementation is the fallback for contracts
+ * that only implement the standard.
+ */
+class ArbitrableRegistry {
+  /**
+   * Create a new ArbitrableRegistry.
+   * @param {object[]} implementations - Implementation classes. They need a static artifact.
+   */
+  constructor(implementations = [ArbitrableTransaction, Arbitrable]) {
+    // [{ implementation, selectors }]
+    this._implementations = []
+    // map contractAddress -> Promise resolving to the implementation class
+    this._detected = {}
+    implementations.forEach(implementation => this.register(implementation))
+  }
+
+  /**
+   * Add an implementation class.
+   * @param {object} implementation - Class extending the Arbitrable implementation.
+   * @param {object[]} abi - ABI the contracts need to have. (default ABI of its static artifact)
+   */
+  register = (implementation, abi = implementation.artifact.abi) => {
+    this._implementations = _.sortBy(
+      [
+        ...this._implementations,
+        { implementation, selectors: getSelectors(abi) }
+      ],
+      entry => -entry.selectors.length
+    )
+    this._detected = {}
+  }
+
+  /**
+   * Pick the implementation class for a contract. The bytecode is fetched once per contract.
+   * @param {object} web3Provider - Web3 provider.
+   * @param {string} contractAddress - Address of the contract.
+   * @param {object[]} abi - ABI of the contract, if known. Its bytecode is used otherwise.
+   * @returns {Promise} - Resolves to the implementation class.
+   */
+  getImplementationClass = async (web3Provider, contractAddress, abi) => {
+    if (abi) {
+      const selectors = getSelectors(abi)
+
+      return this._match(
+        selector => _.includes(selectors, selector),
+        contractAddress
+      )
+    }
+
+    const key = _.toLower(contractAddress)
+    if (!this._detected[key]) {
+      this._detected[key] = new Web3Wrapper(web3Provider)
+        .getCode(contractAddress)
+        .then(code =>
+          this._match(
+            selector => _.includes(_.toLower(code), selector),
+            contractAddress
+          )
+        )
+      // detect again next time if the node failed
+      this._detected[key].catch(() => delete this._detected[key])
+    }
+
+    return this._detected[key]
+  }
+
+  /**
+   * Create an implementation instance for a contract.
+   * @param {object} web3Provider - Web3 provider.
+   * @param {string} contractAddress - Address of the contract.
+   * @param {object[]} abi - ABI of the contract, if known.
+   * @returns {Promise} - Resolves to the implementation instance.
+   */
+  getImplementation = async (web3Provider, contractAddress, abi) => {
+    const Implementation = await this.getImplementationClass(
+      web3Provider,
+      contractAddress,
+      abi
+    )
+
+    return new Implementation(web3Provider, contractAddress)
+  }
+
+  /**
+   * Find the most specific implementation whose functions the contract has.
+   * @param {function} hasSelector - Whether the contract has a function, by selector.
+   * @param {string} contractAddress - Address of the contract.
+   * @returns {object} - The implementation class.
+   */
+  _match = (hasSelector, contractAddress) => {
+    const entry = _.find(this._implementations, ({ selectors }) =>
+      selectors.every(hasSelector)
+    )
+    if (!entry)
+      throw new Error(
+        errorConstants.NOT_AN_ARBITRABLE_CONTRACT(contractAddress)
+      )
+
+    return entry.implementation
+  }
+}
+
+export default ArbitrableRegistry
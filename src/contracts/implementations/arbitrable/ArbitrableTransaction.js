@@ -2,22 +2,46 @@ import arbitrableTransactionArtifact from 'kleros-interaction/build/contracts/Ar
 import _ from 'lodash'
 
 import * as ethConstants from '../../../constants/eth'
-import * as contractConstants from '../../../constants/contract'
+import { ACTION, EVENT, PARTY } from '../../../constants/contract'
 import * as errorConstants from '../../../constants/error'
-import ContractImplementation from '../../ContractImplementation'
 import deployContractAsync from '../../../utils/deployContractAsync'
+import { isLegacyAmounts } from '../../../utils/amounts'
+import { createEvidence, hashEvidence } from '../../../utils/evidence'
+import * as stateMachine from '../../../utils/arbitrableTransactionStateMachine'
+import isRequired from '../../../utils/isRequired'
+
+import Arbitrable from './Arbitrable'
 
 /**
  * Provides interaction with an Arbitrable Transaction contract deployed on the blockchain.
  */
-class ArbitrableTransaction extends ContractImplementation {
+class ArbitrableTransaction extends Arbitrable {
+  static artifact = arbitrableTransactionArtifact
+
   /**
    * Constructor ArbitrableTransaction.
    * @param {object} web3Provider instance
    * @param {string} contractAddress of the contract
+   * @param {object} artifact of the contract, e.g. of an escrow variant. (default ArbitrableTransaction)
    */
-  constructor(web3Provider, contractAddress) {
-    super(web3Provider, arbitrableTransactionArtifact, contractAddress)
+  constructor(
+    web3Provider,
+    contractAddress,
+    artifact = arbitrableTransactionArtifact
+  ) {
+    super(web3Provider, contractAddress, artifact)
+
+    // dry runs of the write methods. map methodName -> position of its txOptions parameter
+    this.simulate = this._createSimulations({
+      pay: 1,
+      payAmount: 2,
+      reimburse: 2,
+      payArbitrationFeeByPartyA: 2,
+      payArbitrationFeeByPartyB: 2,
+      submitEvidence: 2,
+      callTimeOutPartyA: 1,
+      callTimeOutPartyB: 1
+    })
   }
 
   /**
@@ -30,6 +54,7 @@ class ArbitrableTransaction extends ContractImplementation {
    * @param {string} partyB The recipient of the transaction. (default account[1])
    * @param {bytes} arbitratorExtraData Extra data for the arbitrator. (default empty string)
    * @param {object} web3Provider web3 provider object
+   * @param {object} txOptions per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
    * @returns {object} truffle-contract Object | err The deployed contract or an error
    */
   static deploy = async (
@@ -40,18 +65,16 @@ class ArbitrableTransaction extends ContractImplementation {
     timeout,
     partyB,
     arbitratorExtraData = '',
-    web3Provider
+    web3Provider,
+    txOptions = {}
   ) => {
     const contractDeployed = await deployContractAsync(
       account,
       value,
       arbitrableTransactionArtifact,
       web3Provider,
-      arbitratorAddress,
-      hashContract,
-      timeout,
-      partyB,
-      arbitratorExtraData
+      [arbitratorAddress, hashContract, timeout, partyB, arbitratorExtraData],
+      txOptions
     )
 
     return contractDeployed
@@ -60,42 +83,181 @@ class ArbitrableTransaction extends ContractImplementation {
   /**
    * Pay the party B. To be called when the good is delivered or the service rendered.
    * @param {string} account - Ethereum account (default account[0]).
-   * @param {string} contractAddress - The address of the arbitrator contract.
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
-  pay = async (account = this._Web3Wrapper.getAccount(0)) => {
-    await this.loadContract()
+  pay = async (account = this._Web3Wrapper.getAccount(0), txOptions = {}) => {
+    await this._checkAction(ACTION.PAY, account)
+
+    try {
+      // escrow variants pay an amount, all of it here
+      return await this._sendTransaction(
+        'pay',
+        this._hasFunction('pay', 1)
+          ? [await this.contractInstance.amount()]
+          : [],
+        { from: account, value: 0 },
+        txOptions
+      )
+    } catch (err) {
+      console.error(err)
+      throw new Error(errorConstants.UNABLE_TO_PAY_SELLER)
+    }
+  }
+
+  /**
+   * Pay part of the amount to the party B. Only escrow variants whose pay function takes an
+   * amount support it, load them with their artifact.
+   * @param {string} account - Ethereum account (default account[0]).
+   * @param {string} amount - Amount to pay in ether.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
+   */
+  payAmount = async (
+    account = this._Web3Wrapper.getAccount(0),
+    amount = isRequired('amount'),
+    txOptions = {}
+  ) => {
+    if (!this._hasFunction('pay', 1))
+      throw new Error(errorConstants.PARTIAL_PAYMENT_NOT_SUPPORTED)
+    await this._checkAction(ACTION.PAY, account, amount)
 
     try {
-      return this.contractInstance.pay({
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS,
-        value: 0
-      })
+      return await this._sendTransaction(
+        'pay',
+        [this._Web3Wrapper.toWei(amount, 'ether')],
+        { from: account, value: 0 },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_PAY_SELLER)
     }
   }
 
+  /**
+   * Reimburse the party A, e.g. when the good can not be delivered. Contracts without a
+   * reimburse function don't support it.
+   * @param {string} account - Ethereum account (default account[1]).
+   * @param {string} amount - Amount to reimburse in ether. (default all of it)
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
+   */
+  reimburse = async (
+    account = this._Web3Wrapper.getAccount(1),
+    amount = null,
+    txOptions = {}
+  ) => {
+    if (!this._hasFunction('reimburse', 1))
+      throw new Error(errorConstants.REIMBURSEMENT_NOT_SUPPORTED)
+    await this._checkAction(ACTION.REIMBURSE, account, amount)
+
+    try {
+      return await this._sendTransaction(
+        'reimburse',
+        [
+          _.isNil(amount)
+            ? await this.contractInstance.amount()
+            : this._Web3Wrapper.toWei(amount, 'ether')
+        ],
+        { from: account, value: 0 },
+        txOptions
+      )
+    } catch (err) {
+      console.error(err)
+      throw new Error(errorConstants.UNABLE_TO_REIMBURSE)
+    }
+  }
+
+  /**
+   * Get the amount left in escrow, to be paid to the party B or reimbursed to the party A.
+   * @returns {string} - The amount in ether.
+   */
+  getRemainingAmount = async () => {
+    await this.loadContract()
+
+    return this._Web3Wrapper.fromWei(
+      await this.contractInstance.amount(),
+      'ether'
+    )
+  }
+
+  /**
+   * Decode a log of the contract. See contractConstants.EVENT.
+   * @param {object} log - The event log.
+   * @returns {object} - { event, party } for HasToPayFee, where party is the one that has to pay,
+   * partyA or partyB. { event, arbitrator, disputeId, rulingOptions } for Dispute.
+   * { event, arbitrator, disputeId, party, evidence } for Evidence. { event, contractHash } for
+   * ContractHash. All with the transactionHash and blockNumber of the log.
+   */
+  decodeEvent = log => {
+    const { event, args, transactionHash, blockNumber } = log
+
+    switch (event) {
+      case EVENT.HAS_TO_PAY_FEE:
+        return {
+          event,
+          party: PARTY[args._party.toNumber()],
+          transactionHash,
+          blockNumber
+        }
+      case EVENT.DISPUTE:
+        return {
+          event,
+          arbitrator: args._arbitrator,
+          disputeId: args._disputeID.toNumber(),
+          rulingOptions: args._rulingOptions,
+          transactionHash,
+          blockNumber
+        }
+      case EVENT.EVIDENCE:
+        return {
+          event,
+          arbitrator: args._arbitrator,
+          disputeId: args._disputeID.toNumber(),
+          party: args._party,
+          evidence: args._evidence,
+          transactionHash,
+          blockNumber
+        }
+      case EVENT.CONTRACT_HASH:
+        return {
+          event,
+          contractHash: args._contractHash,
+          transactionHash,
+          blockNumber
+        }
+      default:
+        throw new Error(
+          errorConstants.NOT_AN_ARBITRABLE_TRANSACTION_EVENT(event)
+        )
+    }
+  }
+
   /**
    * Pay the arbitration fee to raise a dispute. To be called by the party A.
    * @param {string} account - Ethereum account (default account[0]).
    * @param {number} arbitrationCost - Amount to pay the arbitrator. (default 10000 wei).
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   payArbitrationFeeByPartyA = async (
     account = this._Web3Wrapper.getAccount(0),
-    arbitrationCost = 0.15
+    arbitrationCost = 0.15,
+    txOptions = {}
   ) => {
-    await this.loadContract()
+    await this._checkAction(ACTION.PAY_ARBITRATION_FEE_BY_PARTY_A, account)
 
     try {
-      return this.contractInstance.payArbitrationFeeByPartyA({
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS,
-        value: this._Web3Wrapper.toWei(arbitrationCost, 'ether')
-      })
+      return await this._sendTransaction(
+        'payArbitrationFeeByPartyA',
+        [],
+        {
+          from: account,
+          value: this._Web3Wrapper.toWei(arbitrationCost, 'ether')
+        },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_PAY_ARBITRATION_FEE)
@@ -106,20 +268,26 @@ class ArbitrableTransaction extends ContractImplementation {
    * Pay the arbitration fee to raise a dispute. To be called by the party B.
    * @param {string} account Ethereum account (default account[1]).
    * @param {number} arbitrationCost Amount to pay the arbitrator. (default 10000 wei).
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   payArbitrationFeeByPartyB = async (
     account = this._Web3Wrapper.getAccount(1),
-    arbitrationCost = 0.15
+    arbitrationCost = 0.15,
+    txOptions = {}
   ) => {
-    await this.loadContract()
+    await this._checkAction(ACTION.PAY_ARBITRATION_FEE_BY_PARTY_B, account)
 
     try {
-      return this.contractInstance.payArbitrationFeeByPartyB({
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS,
-        value: this._Web3Wrapper.toWei(arbitrationCost, 'ether')
-      })
+      return await this._sendTransaction(
+        'payArbitrationFeeByPartyB',
+        [],
+        {
+          from: account,
+          value: this._Web3Wrapper.toWei(arbitrationCost, 'ether')
+        },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_PAY_ARBITRATION_FEE)
@@ -127,57 +295,49 @@ class ArbitrableTransaction extends ContractImplementation {
   }
 
   /**
-   * Submit evidence.
+   * Submit evidence. Only the hash of the evidence document is submitted, keep the document
+   * off chain, e.g. with Arbitrable.submitEvidence which adds it to the store.
    * @param {string} account ETH address of user.
-   * @param {string} name name of evidence.
-   * @param {string} description description of evidence.
-   * @param {string} url A link to an evidence using its URI.
-   * @returns {string} txHash Hash transaction.
+   * @param {object} evidence { title, description, fileURI, fileHash, fileType }, see utils/evidence.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   submitEvidence = async (
     account = this._Web3Wrapper.getAccount(0),
-    name,
-    description = '',
-    url
+    evidence = isRequired('evidence'),
+    txOptions = {}
   ) => {
-    await this.loadContract()
+    await this._checkAction(ACTION.SUBMIT_EVIDENCE, account)
 
-    const txHashObj = await this.contractInstance.submitEvidence(
-      JSON.stringify(name, description, url),
-      {
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS,
-        value: 0
-      }
-    )
+    const document = createEvidence({ ...evidence, submitter: account })
 
-    return txHashObj.tx
+    return this._sendTransaction(
+      'submitEvidence',
+      [hashEvidence(document)],
+      { from: account, value: 0 },
+      txOptions
+    )
   }
 
   /**
-   * Call by partyA if partyB is timeout
+   * Call by partyA if partyB did not pay the arbitration fee before the timeout.
    * @param {string} account ETH address of user
-   * @returns {object} The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} The transaction handle. { txHash, receipt, logs, gasUsed }
    */
-  callTimeOutPartyA = async (account = this._Web3Wrapper.getAccount(0)) => {
-    await this.loadContract()
-
-    const status = (await this.contractInstance.status()).toNumber()
-    const timeout = (await this.contractInstance.timeout()).toNumber()
-    const lastInteraction = (await this.contractInstance.lastInteraction()).toNumber()
-
-    if (status !== contractConstants.STATUS.WAITING_PARTY_B) {
-      throw new Error(errorConstants.CONTRACT_IS_NOT_WAITING_ON_OTHER_PARTY)
-    } else if (Date.now() >= lastInteraction + timeout) {
-      throw new Error(errorConstants.TIMEOUT_NOT_REACHED)
-    }
+  callTimeOutPartyA = async (
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
+  ) => {
+    await this._checkAction(ACTION.CALL_TIMEOUT_PARTY_A, account)
 
     try {
-      return this.contractInstance.timeOutByPartyA({
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS,
-        value: 0
-      })
+      return await this._sendTransaction(
+        'timeOutByPartyA',
+        [],
+        { from: account, value: 0 },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_CALL_TIMEOUT)
@@ -185,86 +345,30 @@ class ArbitrableTransaction extends ContractImplementation {
   }
 
   /**
-   * Call by partyB if partyA is timeout.
+   * Call by partyB if partyA did not pay the arbitration fee before the timeout.
    * @param {string} account - ETH address of user.
-   * @param {string} contractAddress - ETH address of contract.
-   * @returns {object} The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} The transaction handle. { txHash, receipt, logs, gasUsed }
    */
-  callTimeOutPartyB = async (account = this._Web3Wrapper.getAccount(1)) => {
-    await this.loadContract()
-
-    const status = await this.contractInstance.status()
-    const timeout = await this.contractInstance.timeout()
-    const lastInteraction = await this.contractInstance.lastInteraction()
-
-    if (status !== contractConstants.STATUS.WAITING_PARTY_A) {
-      throw new Error(errorConstants.CONTRACT_IS_NOT_WAITING_ON_OTHER_PARTY)
-    } else if (Date.now() >= lastInteraction + timeout) {
-      throw new Error(errorConstants.TIMEOUT_NOT_REACHED)
-    }
+  callTimeOutPartyB = async (
+    account = this._Web3Wrapper.getAccount(1),
+    txOptions = {}
+  ) => {
+    await this._checkAction(ACTION.CALL_TIMEOUT_PARTY_B, account)
 
     try {
-      return this.contractInstance.timeOutByPartyB({
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS,
-        value: 0
-      })
+      return await this._sendTransaction(
+        'timeOutByPartyB',
+        [],
+        { from: account, value: 0 },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_CALL_TIMEOUT)
     }
   }
 
-  /**
-   * Get ruling options from dispute via event
-   * @param {string} arbitratorAddress address of arbitrator contract
-   * @param {number} disputeId index of dispute
-   * @returns {object[]} an array of objects that specify the name and value of the resolution option
-   */
-  getRulingOptions = async (arbitratorAddress, disputeId) => {
-    await this.loadContract()
-
-    // fetch dispute resolution options
-    const statusNumber = (await this.contractInstance.status()).toNumber()
-
-    // should this just be !== ?
-    if (statusNumber < contractConstants.STATUS.DISPUTE_CREATED) return []
-
-    // FIXME we should have a block number to start from so we don't have to rip through the entire chain
-    const disputeEvents = await new Promise((resolve, reject) => {
-      this.contractInstance
-        .Dispute({}, { fromBlock: 0, toBlock: 'latest' })
-        .get((error, eventResult) => {
-          if (error) reject(error)
-
-          resolve(eventResult)
-        })
-    })
-
-    const disputeOption = _.filter(disputeEvents, event => {
-      const optionDisputeId = event.args._disputeID.toNumber()
-      // filter by arbitrator address and disputeId
-      return (
-        event.args._arbitrator === arbitratorAddress &&
-        optionDisputeId === disputeId
-      )
-    })
-    // should only be 1 at this point
-    if (disputeOption.length !== 1) return []
-
-    const rulingOptions = disputeOption[0].args._rulingOptions.split(';')
-    let optionIndex = 0
-    const resolutionOptions = rulingOptions.map(option => {
-      optionIndex += 1
-      return {
-        name: option,
-        value: optionIndex
-      }
-    })
-
-    return resolutionOptions
-  }
-
   /**
    * Data of the contract
    * @returns {object} Object Data of the contract.
@@ -274,49 +378,120 @@ class ArbitrableTransaction extends ContractImplementation {
 
     const [
       arbitrator,
-      extraData,
+      arbitratorExtraData,
       timeout,
       partyA,
       partyB,
       status,
-      arbitratorExtraData,
       disputeId,
       partyAFee,
       partyBFee,
       lastInteraction,
       amount
-    ] = await Promise.all([
-      this.contractInstance.arbitrator(),
-      this.contractInstance.arbitratorExtraData(),
-      //  this.contractInstance.hashContract(),
-      this.contractInstance.timeout(),
-      this.contractInstance.partyA(),
-      this.contractInstance.partyB(),
-      this.contractInstance.status(),
-      this.contractInstance.arbitratorExtraData(),
-      this.contractInstance.disputeID(),
-      this.contractInstance.partyAFee(),
-      this.contractInstance.partyBFee(),
-      this.contractInstance.lastInteraction(),
-      this.contractInstance.amount()
-    ])
+    ] = await Promise.all(
+      this._batchCall([
+        ['arbitrator'],
+        ['arbitratorExtraData'],
+        ['timeout'],
+        ['partyA'],
+        ['partyB'],
+        ['status'],
+        ['disputeID'],
+        ['partyAFee'],
+        ['partyBFee'],
+        ['lastInteraction'],
+        ['amount']
+      ])
+    )
 
     return {
       address: this.getContractAddress(),
       arbitrator,
-      extraData,
+      extraData: arbitratorExtraData,
       timeout: timeout.toNumber(),
       partyA,
       partyB,
+      parties: [partyA, partyB],
       status: status.toNumber(),
       arbitratorExtraData,
       disputeId: disputeId.toNumber(),
       partyAFee: this._Web3Wrapper.fromWei(partyAFee, 'ether'),
       partyBFee: this._Web3Wrapper.fromWei(partyBFee, 'ether'),
       lastInteraction: lastInteraction.toNumber(),
-      amount: amount.toNumber()
+      // in wei before amounts were exact
+      amount: isLegacyAmounts()
+        ? amount.toNumber()
+        : this._Web3Wrapper.fromWei(amount, 'ether')
     }
   }
+
+  /**
+   * Get the actions an account can currently take on the contract, e.g. to know whether to
+   * offer to pay, reimburse, pay the arbitration fee, call the timeout or appeal.
+   * @param {string} account - ETH address of user.
+   * @param {string} arbitrationCost - Current arbitration cost in ether, for the fee left to pay.
+   * See KlerosPOC.getArbitrationCost. (default unknown)
+   * @param {object} appeal - { cost, deadline } if the arbitrator accepts an appeal of the ruling.
+   * @returns {object[]} - { action, deadline, value, reason, nextStatus } for each allowed action.
+   * See utils/arbitrableTransactionStateMachine. Reimbursing is left out for contracts without
+   * a reimburse function. Timeouts are checked against the time of the latest block.
+   */
+  getAllowedActions = async (
+    account = isRequired('account'),
+    arbitrationCost = null,
+    appeal = null
+  ) => {
+    const [data, now] = await Promise.all([
+      this._getStateData(),
+      this._getChainTime()
+    ])
+
+    return stateMachine
+      .getAllowedActions(data, account, { now, arbitrationCost, appeal })
+      .filter(
+        ({ action }) =>
+          action !== ACTION.REIMBURSE || this._hasFunction('reimburse', 1)
+      )
+  }
+
+  /**
+   * Check an action of a write method against the state machine of the contract.
+   * @param {string} action - Action, see contractConstants.ACTION.
+   * @param {string} account - ETH address of the account taking it.
+   * @param {string} amount - Part of the escrow in ether the action pays or reimburses.
+   */
+  _checkAction = async (action, account, amount) => {
+    const [data, now] = await Promise.all([
+      this._getStateData(),
+      this._getChainTime()
+    ])
+    const { allowed, reason } = stateMachine.checkAction(
+      action,
+      data,
+      account,
+      { now, amount }
+    )
+    if (!allowed) throw new Error(reason)
+  }
+
+  /**
+   * Time of the latest block. The contract checks timeouts against the block timestamp, which
+   * can differ from the local clock.
+   * @returns {number} - Timestamp in milliseconds.
+   */
+  _getChainTime = async () => (await this.getBlock('latest')).timestamp * 1000
+
+  /**
+   * Data of the contract for the state machine. The amount is in ether, also in legacy mode.
+   * @returns {object} - Data of the contract. See getData.
+   */
+  _getStateData = async () => {
+    const data = await this.getData()
+
+    return isLegacyAmounts()
+      ? { ...data, amount: this._Web3Wrapper.fromWei(data.amount, 'ether') }
+      : data
+  }
 }
 
 export default ArbitrableTransaction
@@ -1,3 +1,5 @@
+import Arbitrable from './Arbitrable'
 import ArbitrableTransaction from './ArbitrableTransaction'
+import ArbitrableRegistry from './ArbitrableRegistry'
 
-export { ArbitrableTransaction }
+export { Arbitrable, ArbitrableTransaction, ArbitrableRegistry }
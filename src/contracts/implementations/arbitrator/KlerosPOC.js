@@ -6,6 +6,9 @@ import * as errorConstants from '../../../constants/error'
 import * as arbitratorConstants from '../../../constants/arbitrator'
 import ContractImplementation from '../../ContractImplementation'
 import deployContractAsync from '../../../utils/deployContractAsync'
+import DisputeIndex from '../../../utils/DisputeIndex'
+import EventListener from '../../../utils/EventListener'
+import isRequired from '../../../utils/isRequired'
 
 /**
  * Provides interaction with a KlerosPOC contract on the blockchain.
@@ -18,6 +21,37 @@ class KlerosPOC extends ContractImplementation {
    */
   constructor(web3Provider, contractAddress) {
     super(web3Provider, klerosArtifact, contractAddress)
+    // store the dispute index is persisted in, see setDisputeIndexStore
+    this._disputeIndexStore = null
+
+    // dry runs of the write methods. map methodName -> position of its txOptions parameter
+    this.simulate = this._createSimulations({
+      buyPNK: 2,
+      activatePNK: 2,
+      withdrawPNK: 2,
+      passPeriod: 1,
+      submitVotes: 4,
+      appealRuling: 3,
+      repartitionJurorTokens: 2,
+      executeRuling: 2
+    })
+
+    this._cacheMethods([
+      'getPeriod',
+      'getSession',
+      'getDispute',
+      'getArbitrationCost'
+    ])
+    const invalidateDispute = log => [
+      ['getDispute', log.args._disputeID.toNumber()]
+    ]
+    this._cacheInvalidations = {
+      // the status of every dispute depends on the period
+      NewPeriod: () => [[]],
+      AppealDecision: invalidateDispute,
+      TokenShift: invalidateDispute,
+      ArbitrationReward: invalidateDispute
+    }
   }
 
   /**
@@ -28,6 +62,7 @@ class KlerosPOC extends ContractImplementation {
    * @param {string} account address of user
    * @param {number} value amout of eth to send to contract
    * @param {object} web3Provider web3 provider object NOTE: NOT Kleros Web3Wrapper
+   * @param {object} txOptions per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
    * @returns {object} truffle-contract Object | err The contract object or error deploy
    */
   static deploy = async (
@@ -36,16 +71,16 @@ class KlerosPOC extends ContractImplementation {
     timesPerPeriod = [1, 1, 1, 1, 1],
     account,
     value = ethConstants.TRANSACTION.VALUE,
-    web3Provider
+    web3Provider,
+    txOptions = {}
   ) => {
     const contractDeployed = await deployContractAsync(
       account,
       value,
       klerosArtifact,
       web3Provider,
-      pnkAddress,
-      rngAddress,
-      timesPerPeriod
+      [pnkAddress, rngAddress, timesPerPeriod],
+      txOptions
     )
 
     return contractDeployed
@@ -55,17 +90,26 @@ class KlerosPOC extends ContractImplementation {
    * Purchase PNK.
    * @param {string} amount - The number of pinakion to buy.
    * @param {string} account - The address of the user.
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
-  buyPNK = async (amount, account = this._Web3Wrapper.getAccount(0)) => {
+  buyPNK = async (
+    amount,
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
+  ) => {
     await this.loadContract()
 
     try {
-      return this.contractInstance.buyPinakion({
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS,
-        value: this._Web3Wrapper.toWei(amount, 'ether')
-      })
+      return await this._sendTransaction(
+        'buyPinakion',
+        [],
+        {
+          from: account,
+          value: this._Web3Wrapper.toWei(amount, 'ether')
+        },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_BUY_PNK)
@@ -94,10 +138,10 @@ class KlerosPOC extends ContractImplementation {
 
     // Activated Tokens
     const currentSession = await this.contractInstance.session()
-    let activatedTokens = 0
+    let activatedTokens = this._Web3Wrapper.fromWei(0, 'ether')
     if (juror[2].toNumber() === currentSession.toNumber())
       activatedTokens = this._Web3Wrapper.fromWei(
-        juror[4].toNumber() - juror[3].toNumber(),
+        juror[4].minus(juror[3]),
         'ether'
       )
 
@@ -115,34 +159,138 @@ class KlerosPOC extends ContractImplementation {
    * Activate Pinakion tokens to be eligible to be a juror.
    * @param {string} amount - number of tokens to activate.
    * @param {string} account - address of user.
-   * @returns {object} - PNK balance.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   activatePNK = async (
     amount, // amount in ether
-    account = this._Web3Wrapper.getAccount(0)
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
   ) => {
     await this.loadContract()
 
     try {
-      await this.contractInstance.activateTokens(
-        this._Web3Wrapper.toWei(amount, 'ether'),
-        {
-          from: account,
-          gas: ethConstants.TRANSACTION.GAS
-        }
+      return await this._sendTransaction(
+        'activateTokens',
+        [this._Web3Wrapper.toWei(amount, 'ether')],
+        { from: account },
+        txOptions
       )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_ACTIVATE_PNK)
     }
+  }
+
+  /**
+   * Withdraw deposited Pinakion tokens to the account. Tokens at stake in disputes can not be
+   * withdrawn, and no tokens can be withdrawn in a session tokens were activated in.
+   * See getWithdrawablePNK.
+   * @param {number} amount - Number of tokens to withdraw.
+   * @param {string} account - Address of user.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
+   */
+  withdrawPNK = async (
+    amount,
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
+  ) => {
+    await this.loadContract()
+
+    try {
+      return await this._sendTransaction(
+        'withdraw',
+        [this._Web3Wrapper.toWei(amount, 'ether')],
+        { from: account },
+        txOptions
+      )
+    } catch (err) {
+      console.error(err)
+      throw new Error(errorConstants.UNABLE_TO_WITHDRAW_PNK)
+    }
+  }
+
+  /**
+   * Get the number of deposited tokens an account can withdraw now.
+   * @param {string} account - Address of user.
+   * @returns {string} - Number of tokens. Locked tokens are not included, and it is 0 in a session
+   * the account activated tokens in.
+   */
+  getWithdrawablePNK = async (account = this._Web3Wrapper.getAccount(0)) => {
+    await this.loadContract()
 
-    return this.getPNKBalance(account)
+    const [juror, session] = await Promise.all(
+      this._batchCall([['jurors', account], ['session']])
+    )
+    // jurors can't withdraw tokens they could lose in the current session
+    if (juror[2].toNumber() === session.toNumber())
+      return this._Web3Wrapper.fromWei(0, 'ether')
+
+    const withdrawable = juror[0].minus(juror[1])
+    if (withdrawable.isNegative()) return this._Web3Wrapper.fromWei(0, 'ether')
+
+    return this._Web3Wrapper.fromWei(withdrawable, 'ether')
+  }
+
+  /**
+   * Get the tokens an account activated in each session. The jurors struct only holds the last
+   * activation, so it is read at the end of the activation period of each session, which
+   * requires a node that keeps the state of old blocks, e.g. an archive node for blocks older
+   * than the last 128.
+   * @param {string} account - Address of user.
+   * @param {number} fromBlock - Block to start looking for sessions from, e.g. the block the
+   * account first deposited tokens in. Required so the whole chain isn't scanned and read.
+   * @returns {object[]} - { session, activatedTokens, blockNumber } for each session the account
+   * activated tokens in, oldest first. blockNumber is null while the activation period is not over.
+   */
+  getActivationHistory = async (
+    account = this._Web3Wrapper.getAccount(0),
+    fromBlock = isRequired('fromBlock')
+  ) => {
+    await this.loadContract()
+
+    // the activation period of a session ends with the change to its draw period
+    const drawLogs = _.filter(
+      await EventListener.getEventLogs(this, 'NewPeriod', fromBlock),
+      log => log.args._period.toNumber() === arbitratorConstants.PERIOD.DRAW
+    )
+    const [jurorsAtDraw, currentJuror] = await Promise.all([
+      Promise.all(
+        drawLogs.map(async log => ({
+          juror: await this._batchCall(
+            [['jurors', account]],
+            log.blockNumber
+          )[0],
+          blockNumber: log.blockNumber
+        }))
+      ),
+      this.contractInstance.jurors(account)
+    ])
+    const activations = [
+      ...jurorsAtDraw,
+      { juror: currentJuror, blockNumber: null }
+    ].map(({ juror, blockNumber }) => ({
+      session: juror[2].toNumber(),
+      activatedTokens: this._Web3Wrapper.fromWei(
+        juror[4].minus(juror[3]),
+        'ether'
+      ),
+      blockNumber
+    }))
+
+    // an activation is read again at every later draw until the next activation. The
+    // first read is at the end of its activation period. Session 0 means no activation
+    return _.uniqBy(
+      activations.filter(activation => activation.session > 0),
+      activation => activation.session
+    )
   }
 
   /**
    * Fetch the cost of arbitration.
    * @param {bytes} contractExtraData - extra data from arbitrable contract.
-   * @returns {number} - The cost of arbitration.
+   * @returns {string} - The cost of arbitration in ether.
    */
   getArbitrationCost = async contractExtraData => {
     await this.loadContract()
@@ -162,17 +310,23 @@ class KlerosPOC extends ContractImplementation {
   /**
    * Call contract to move on to the next period.
    * @param {string} account - address of user.
-   * @returns {Promise} - resulting object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
-  passPeriod = async (account = this._Web3Wrapper.getAccount(0)) => {
+  passPeriod = async (
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
+  ) => {
     await this.loadContract()
 
     try {
-      await this.contractInstance.passPeriod.original({
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS
-      })
-      return this.getData()
+      // gas estimation is skipped for passPeriod
+      return await this._sendTransaction(
+        'passPeriod',
+        [],
+        { from: account },
+        { estimateGas: false, ...txOptions }
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_PASS_PERIOD)
@@ -185,21 +339,25 @@ class KlerosPOC extends ContractImplementation {
    * @param {number} ruling - int representing the jurors decision.
    * @param {number[]} votes - int[] of drawn votes for dispute.
    * @param {string} account - address of user.
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   submitVotes = async (
     disputeId,
     ruling,
     votes,
-    account = this._Web3Wrapper.getAccount(0)
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
   ) => {
     await this.loadContract()
 
     try {
-      return this.contractInstance.voteRuling(disputeId, ruling, votes, {
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS
-      })
+      return await this._sendTransaction(
+        'voteRuling',
+        [disputeId, ruling, votes],
+        { from: account },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_SUBMIT_VOTES)
@@ -211,21 +369,27 @@ class KlerosPOC extends ContractImplementation {
    * @param {number} disputeId - Index of the dispute.
    * @param {string} extraData - Extra data.
    * @param {string} account - Address of user.
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   appealRuling = async (
     disputeId,
     extraData,
-    account = this._Web3Wrapper.getAccount(0)
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
   ) => {
     await this.loadContract()
 
     try {
-      return this.contractInstance.appeal(disputeId, extraData, {
-        from: account,
-        value: await this.contractInstance.appealCost(disputeId, extraData),
-        gas: ethConstants.TRANSACTION.GAS
-      })
+      return await this._sendTransaction(
+        'appeal',
+        [disputeId, extraData],
+        {
+          from: account,
+          value: await this.contractInstance.appealCost(disputeId, extraData)
+        },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_APPEAL)
@@ -236,19 +400,23 @@ class KlerosPOC extends ContractImplementation {
    * Repartition juror tokens.
    * @param {number} disputeId - index of the dispute.
    * @param {string} account - address of user.
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   repartitionJurorTokens = async (
     disputeId,
-    account = this._Web3Wrapper.getAccount(0)
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
   ) => {
     await this.loadContract()
 
     try {
-      return this.contractInstance.oneShotTokenRepartition(disputeId, {
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS
-      })
+      return await this._sendTransaction(
+        'oneShotTokenRepartition',
+        [disputeId],
+        { from: account },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_REPARTITION_TOKENS)
@@ -259,19 +427,23 @@ class KlerosPOC extends ContractImplementation {
    * Execute ruling on dispute
    * @param {number} disputeId - index of the dispute.
    * @param {string} account - address of user.
-   * @returns {object} - The result transaction object.
+   * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
+   * @returns {object} - The transaction handle. { txHash, receipt, logs, gasUsed }
    */
   executeRuling = async (
     disputeId,
-    account = this._Web3Wrapper.getAccount(0)
+    account = this._Web3Wrapper.getAccount(0),
+    txOptions = {}
   ) => {
     await this.loadContract()
 
     try {
-      return this.contractInstance.executeRuling(disputeId, {
-        from: account,
-        gas: ethConstants.TRANSACTION.GAS
-      })
+      return await this._sendTransaction(
+        'executeRuling',
+        [disputeId],
+        { from: account },
+        txOptions
+      )
     } catch (err) {
       console.error(err)
       throw new Error(errorConstants.UNABLE_TO_EXECUTE_RULING)
@@ -313,23 +485,19 @@ class KlerosPOC extends ContractImplementation {
       const numberOfAppeals = dispute[2].toNumber()
       const rulingChoices = dispute[3].toNumber()
 
-      let voteCounters = []
-      let status
-      for (let appeal = 0; appeal <= numberOfAppeals; appeal++) {
-        const voteCounts = []
+      // vote counts of every appeal and choice and the status in one batch
+      const voteCountCalls = []
+      for (let appeal = 0; appeal <= numberOfAppeals; appeal++)
         for (let choice = 0; choice <= rulingChoices; choice++)
-          voteCounts.push(
-            this.contractInstance
-              .getVoteCount(disputeId, appeal, choice)
-              .then(v => v.toNumber())
-          )
-        voteCounters.push(voteCounts)
-      }
+          voteCountCalls.push(['getVoteCount', disputeId, appeal, choice])
 
-      ;[voteCounters, status] = await Promise.all([
-        Promise.all(voteCounters.map(voteCounts => Promise.all(voteCounts))),
-        this.contractInstance.disputeStatus(disputeId)
-      ])
+      const [status, ...voteCounts] = await Promise.all(
+        this._batchCall([['disputeStatus', disputeId], ...voteCountCalls])
+      )
+      const voteCounters = _.chunk(
+        voteCounts.map(voteCount => voteCount.toNumber()),
+        rulingChoices + 1
+      )
 
       return {
         arbitratorAddress: this.contractAddress,
@@ -477,10 +645,10 @@ class KlerosPOC extends ContractImplementation {
         const draws = await this.getDrawsForJuror(disputeId, account)
 
         const disputeData = await this.getDispute(disputeId)
-        disputeData.appealDraws = []
-        disputeData.appealDraws[disputeData.numberOfAppeals] = draws
+        const appealDraws = []
+        appealDraws[disputeData.numberOfAppeals] = draws
 
-        return disputeData
+        return { ...disputeData, appealDraws }
       })
     )
 
@@ -493,59 +661,77 @@ class KlerosPOC extends ContractImplementation {
    * @param {string} account - Potential jurors address.
    * @returns {number[]} - Array of integers indicating the draw.
    */
-  getDrawsForJuror = async (disputeId, account) => {
+  getDrawsForJuror = async (
+    disputeId,
+    account = this._Web3Wrapper.getAccount(0)
+  ) => {
     await this.loadContract()
 
     const numberOfJurors = await this.getAmountOfJurorsForDispute(disputeId)
-    const draws = []
-    for (let draw = 1; draw <= numberOfJurors; draw++) {
-      const isJuror = await this.isJurorDrawnForDispute(
-        disputeId,
-        draw,
-        account
-      )
-      if (isJuror) {
-        draws.push(draw)
-      }
-    }
-    return draws
+    const draws = _.range(1, numberOfJurors + 1)
+    const isDrawn = await Promise.all(
+      this._batchCall(draws.map(draw => ['isDrawn', disputeId, account, draw]))
+    )
+
+    return draws.filter((_draw, index) => isDrawn[index])
   }
 
-  /** Get all disputes that are active this session.
+  /**
+   * Get all disputes that are open in a session. Disputes are looked up in the dispute
+   * index, which is brought up to date with the latest logs first.
+   * @param {number} session - The session. Defaults to the current session.
    * @returns {int[]} - array of active disputeId
    */
-  getOpenDisputesForSession = async () => {
+  getOpenDisputesForSession = async session => {
     await this.loadContract()
 
-    const currentSession = await this.getSession()
-    const openDisputes = []
-
-    let disputeId = 0
-    let dispute
-    while (1) {
-      // Iterate over all the disputes
-      // TODO: Implement a more performant solution
-      try {
-        dispute = await this.getDispute(disputeId)
-      } catch (err) {
-        // Dispute out of range, break
-        if (err.message === errorConstants.UNABLE_TO_FETCH_DISPUTE) break
-        console.error(err)
-        throw err
-      }
+    const [currentSession, disputeIndex] = await Promise.all([
+      _.isNil(session) ? this.getSession() : session,
+      this._getDisputeIndex()
+    ])
+
+    return disputeIndex.getOpenDisputesForSession(currentSession)
+  }
+
+  /**
+   * Get the block a dispute was created in, to look for its logs from there instead of
+   * scanning the whole chain. See Arbitrable.getRulingOptions.
+   * @param {number} disputeId - The index of the dispute.
+   * @returns {number} - The block number, null if the dispute doesn't exist.
+   */
+  getDisputeCreationBlock = async disputeId => {
+    const disputeIndex = await this._getDisputeIndex()
 
-      // Dispute has no arbitrable contract, break
-      if (dispute.arbitrableContractAddress === ethConstants.NULL_ADDRESS) break
+    return disputeIndex.getDisputeCreationBlock(disputeId)
+  }
 
-      // If dispute is in the current session, add it to the result array
-      if (dispute.firstSession + dispute.numberOfAppeals === currentSession)
-        openDisputes.push(disputeId)
+  /**
+   * Set the store the dispute index is persisted in, so it is resumed from the stored block
+   * instead of being rebuilt from the first block by every new instance. The index is only
+   * kept in memory if no store is set.
+   * @param {object} storeProviderInstance - StoreProvider wrapper object.
+   */
+  setDisputeIndexStore = storeProviderInstance => {
+    this._disputeIndexStore = storeProviderInstance
+    // loaded from the new store on next use
+    this._disputeIndex = null
+  }
 
-      // Advance to the next dispute
-      disputeId++
-    }
+  /**
+   * Get the dispute index for the current contract, updated to the latest block.
+   * @returns {Promise} - The DisputeIndex instance.
+   */
+  _getDisputeIndex = async () => {
+    // the contract instance might have been changed since the index was built
+    if (
+      !this._disputeIndex ||
+      this._disputeIndex.arbitratorAddress !== this.contractAddress
+    )
+      this._disputeIndex = new DisputeIndex(this, this._disputeIndexStore)
+
+    await this._disputeIndex.update()
 
-    return openDisputes
+    return this._disputeIndex
   }
 
   /**
@@ -1,9 +1,11 @@
 import isRequired from './utils/isRequired'
+import ArbitratorRegistry from './utils/ArbitratorRegistry'
 import Web3Wrapper from './utils/Web3Wrapper'
 import StoreProviderWrapper from './utils/StoreProviderWrapper'
 import * as contracts from './contracts'
 import * as resources from './resources'
 import EventListener from './utils/EventListener'
+import { setLegacyAmounts } from './utils/amounts'
 
 /**
  * The Kleros Api provides access to the full suite of functionality. It will initialize
@@ -19,6 +21,9 @@ class Kleros {
 
   eventListener = null
 
+  // { account, callback } of the current watchForEvents, to watch arbitrators added later
+  _watchParams = null
+
   /**
    * Instantiates a new Kelros instance that provides the public interface
    * to Kleros contracts and library. All params are required. To use an individual
@@ -26,9 +31,10 @@ class Kleros {
    * @param {string} ethereumProvider - The Web3.js Provider instance you would like the
    *                 Kleros.js library to use for interacting with the
    *                 Ethereum network.
-   * @param {string} storeUri - The storage provider uri used to
+   * @param {string|object} storeUri - The storage provider uri used to
    *                      get metadata from the cloud for the UI. e.g. Kleros-Store,
-   *                      IPFS, Swarm etc.
+   *                      IPFS, Swarm etc. A store adapter instance can be passed
+   *                      instead, see utils/storeAdapters.
    * @param {string} arbitratorAddress - Address of the arbitrator contract we should
    *                 use when initializing KlerosPOC
    * @param {string} arbitrableContractAddress - Address of the arbitrator contract we should
@@ -61,25 +67,75 @@ class Kleros {
       _klerosPOC,
       this.storeWrapper
     )
+    // the default arbitrator and the ones added with addArbitrator, shared with the apis below
+    this.arbitratorRegistry = new ArbitratorRegistry(this.arbitrator)
     // ARBITRABLE CONTRACTS
+    this.arbitrableRegistry = new contracts.implementations.arbitrable.ArbitrableRegistry()
     this.arbitrable = new contracts.abstractions.Arbitrable(
       _arbitrableTransaction,
       this.storeWrapper
     )
+    // disputes and notifications use it for contracts other than ArbitrableTransaction
+    this.arbitrable.setRegistry(this.arbitrableRegistry)
     // DISPUTES
     this.disputes = new resources.Disputes(
       this.arbitrator,
       this.arbitrable,
       this.storeWrapper
     )
+    this.disputes.setArbitratorRegistry(this.arbitratorRegistry)
     // NOTIFICATIONS
     this.notifications = new resources.Notifications(
       this.arbitrator,
       this.arbitrable,
       this.storeWrapper
     )
+    this.notifications.setArbitratorRegistry(this.arbitratorRegistry)
+  }
+
+  /**
+   * Add an arbitrator. Disputes and notifications of all added arbitrators are handled
+   * next to the ones of the default arbitrator. If events are watched, its events are
+   * caught up on and watched too. A failure to fetch them is passed to the onError of
+   * watchForEvents.
+   * @param {string} arbitratorAddress - Address of the KlerosPOC arbitrator contract.
+   * @returns {object} - The Arbitrator instance for the contract.
+   */
+  addArbitrator = (arbitratorAddress = isRequired('arbitratorAddress')) => {
+    const existingArbitrator = this.getArbitrator(arbitratorAddress)
+    if (existingArbitrator) return existingArbitrator
+
+    const arbitrator = this.arbitratorRegistry.add(
+      new contracts.abstractions.Arbitrator(
+        new contracts.implementations.arbitrator.KlerosPOC(
+          this.web3Wrapper.getProvider(),
+          arbitratorAddress
+        ),
+        this.storeWrapper
+      )
+    )
+    if (this._watchParams) this._watchArbitrator(arbitrator)
+
+    return arbitrator
   }
 
+  /**
+   * Get an arbitrator of the Kleros instance.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @returns {object} - The Arbitrator instance or undefined if the arbitrator has not been added.
+   */
+  getArbitrator = (arbitratorAddress = isRequired('arbitratorAddress')) =>
+    this.arbitratorRegistry.find(arbitratorAddress)
+
+  /**
+   * Get the arbitrable api for any arbitrable contract. Its implementation is picked from
+   * its bytecode by arbitrableRegistry, register your own implementations there.
+   * @param {string} contractAddress - Address of the arbitrable contract.
+   * @returns {Promise} - Resolves to the Arbitrable instance for the contract.
+   */
+  getArbitrable = (contractAddress = isRequired('contractAddress')) =>
+    this.arbitrable.getInstanceForAddressAsync(contractAddress)
+
   /**
    * Set a new arbitrable contract for Kleros instance of arbitrableContracts
    * @param {string} contractAddress - Address of arbitrable contract
@@ -94,50 +150,160 @@ class Kleros {
    * store for metadata.
    * @param {string} account Address of the user
    * @param {function} callback The function to be called once a notification
+   * @param {number} confirmations Number of blocks to wait for before handling a log.
+   * @param {function} onError Called with (error, { contractAddress, log, halted }) when a log
+   * fails after its retries. Logs of a halted arbitrator are handled again after watchForEvents.
+   * @returns {Promise} - Resolves once the missed logs are handled and new ones are watched.
+   * Rejects if the missed logs can't be fetched.
    */
   watchForEvents = async (
     account,
-    callback // for notification callback
+    callback, // for notification callback
+    confirmations = 0,
+    onError
   ) => {
     // stop current event listeners
     if (this.eventListener) {
       this.eventListener.stopWatchingForEvents()
     }
-    // reinitialize with current arbitrator contract instance
-    this.eventListener = new EventListener([this.arbitrator])
-    // add handlers for notifications
-    this.notifications.registerArbitratorNotifications(
-      account,
-      this.eventListener,
-      callback
+    // reinitialize with current arbitrator contract instances
+    this.eventListener = new EventListener(
+      this.arbitratorRegistry.getAll(),
+      confirmations,
+      { onError }
     )
-    // add handlers for event driven store updates
-    this.disputes.registerStoreUpdateEventListeners(account, this.eventListener)
-    // fetch last block for user
+    this._watchParams = { account, callback, onError }
+    this.arbitratorRegistry
+      .getAll()
+      .forEach(arbitrator => this._registerArbitratorHandlers(arbitrator))
+    // resume from the last handled log of the user
+    this.eventListener.setEventCursorStore(this.storeWrapper, account)
+    // fetch last block for user. Used if no log has been handled yet
     const fromBlock = await this.storeWrapper.getLastBlock(account)
-    // start event listener
-    this.eventListener.watchForEvents(fromBlock)
+    // catch up on missed logs and start event listener
+    return this.eventListener.backfillAndWatch(fromBlock)
   }
 
   /**
-   * Stop watching for events on the Arbitrator initialized in the Kleros Instance.
+   * Stop watching for events on the Arbitrators of the Kleros Instance.
    */
   stopWatchingForEvents = () => {
-    this.eventListener.stopWatchingForEvents(this.arbitrator)
+    this.eventListener.stopWatchingForEvents()
+    this._watchParams = null
   }
 
   /**
-   * Sets the store provider uri for all higher level apis in the Kleros Instance.
-   * @param {string} storeUri - The URI that the store provider will use
+   * Sets the store provider for all higher level apis in the Kleros Instance.
+   * @param {string|object} storeUri - The URI that the store provider will use or a
+   *                                   store adapter instance, see utils/storeAdapters.
    */
   setStoreProvider = storeUri => {
     this.storeWrapper = new StoreProviderWrapper(storeUri)
 
     this.disputes.setStoreProviderInstance(this.storeWrapper)
     this.arbitrable.setStoreProviderInstance(this.storeWrapper)
-    this.arbitrator.setStoreProviderInstance(this.storeWrapper)
+    this._getArbitrators().forEach(arbitrator =>
+      arbitrator.setStoreProviderInstance(this.storeWrapper)
+    )
     this.notifications.setStoreProviderInstance(this.storeWrapper)
   }
+
+  /**
+   * Sets the gas policy for the transactions of all contracts in the Kleros Instance.
+   * @param {object} gasPolicy - GasPolicy instance, see utils/GasPolicy.
+   */
+  setGasPolicy = gasPolicy => {
+    this.arbitrable.setGasPolicy(gasPolicy)
+    this._getArbitrators().forEach(arbitrator =>
+      arbitrator.setGasPolicy(gasPolicy)
+    )
+  }
+
+  /**
+   * Sends the transactions of all contracts in the Kleros Instance through one queue, so
+   * nonces of an account are assigned in order and stuck transactions are resent.
+   * @param {object} transactionQueue - TransactionQueue instance, see utils/TransactionQueue.
+   */
+  setTransactionQueue = transactionQueue => {
+    this.arbitrable.setTransactionQueue(transactionQueue)
+    this._getArbitrators().forEach(arbitrator =>
+      arbitrator.setTransactionQueue(transactionQueue)
+    )
+  }
+
+  /**
+   * Sets the cache for constant calls of all arbitrators in the Kleros Instance. Pass
+   * new ContractCache({ enabled: true }) to enable caching, it is off by default.
+   * @param {object} cache - ContractCache instance, see utils/ContractCache.
+   */
+  setCache = cache => {
+    this._getArbitrators().forEach(arbitrator => arbitrator.setCache(cache))
+  }
+
+  /**
+   * Return ETH and PNK amounts as numbers, like before amounts were exact decimal strings.
+   * Numbers lose precision for large amounts. The mode applies to the whole library.
+   * @param {bool} enabled - True to return numbers.
+   */
+  setLegacyAmounts = enabled => {
+    setLegacyAmounts(enabled)
+  }
+
+  /**
+   * Get the default arbitrator and all added arbitrators.
+   * @returns {object[]} - Arbitrator instances.
+   */
+  _getArbitrators = () => this.arbitratorRegistry.getAll()
+
+  /**
+   * Add the handlers of the Kleros instance for the logs of an arbitrator to the event listener.
+   * @param {object} arbitrator - Arbitrator instance.
+   */
+  _registerArbitratorHandlers = arbitrator => {
+    const { account, callback } = this._watchParams
+    // invalidate cached contract calls before other handlers read them
+    arbitrator.registerCacheInvalidation(this.eventListener)
+    // add handlers for notifications
+    this.notifications.registerArbitratorNotifications(
+      account,
+      this.eventListener,
+      callback,
+      [arbitrator]
+    )
+    // add handlers for event driven store updates
+    this.disputes.registerStoreUpdateEventListeners(
+      account,
+      this.eventListener,
+      [arbitrator]
+    )
+  }
+
+  /**
+   * Watch the events of an arbitrator added while the others are watched. Its logs are caught
+   * up on from its stored cursor, or the last block of the user.
+   * @param {object} arbitrator - Arbitrator instance.
+   */
+  _watchArbitrator = async arbitrator => {
+    const { account, onError } = this._watchParams
+    const eventListener = this.eventListener
+    eventListener.addContractImplementation(arbitrator)
+    this._registerArbitratorHandlers(arbitrator)
+
+    try {
+      await eventListener.backfillAndWatchContract(
+        arbitrator,
+        await this.storeWrapper.getLastBlock(account)
+      )
+    } catch (err) {
+      if (onError)
+        onError(err, {
+          contractAddress: arbitrator.getContractAddress(),
+          log: null,
+          halted: false
+        })
+      else console.error(err)
+    }
+  }
 }
 
 export default Kleros
@@ -2,11 +2,19 @@ import _ from 'lodash'
 
 import * as arbitratorConstants from '../constants/arbitrator'
 import * as disputeConstants from '../constants/dispute'
+import ArbitratorRegistry from '../utils/ArbitratorRegistry'
 import isRequired from '../utils/isRequired'
+import {
+  isLegacyAmounts,
+  fromWei,
+  addAmounts,
+  multiplyAmount
+} from '../utils/amounts'
 
 /**
  * Disputes API. Provides cross arbitrator and arbitrable contracts functionality.
- * Requires Store Provider to be set.
+ * Requires Store Provider to be set. Disputes of several arbitrators can be handled by
+ * adding their instances with addArbitratorInstance.
  */
 class Disputes {
   constructor(
@@ -14,16 +22,31 @@ class Disputes {
     arbitrableInstance = isRequired('arbitrableInstance'),
     storeProviderInstance = isRequired('storeProviderInstance')
   ) {
-    this._ArbitratorInstance = arbitratorInstance
+    // default arbitrator and added arbitrators. Kleros shares its registry, see setArbitratorRegistry
+    this._ArbitratorRegistry = new ArbitratorRegistry(arbitratorInstance)
     this._ArbitrableInstance = arbitrableInstance
     this._StoreProviderInstance = storeProviderInstance
   }
   /**
-   * Set arbitrator instance.
+   * Set arbitrator instance. It is used when no arbitrator address is specified.
    * @param {object} arbitratorInstance - instance of an arbitrator contract.
    */
   setArbitratorInstance = arbitratorInstance => {
-    this._ArbitratorInstance = arbitratorInstance
+    this._ArbitratorRegistry.setDefault(arbitratorInstance)
+  }
+  /**
+   * Add an arbitrator instance. Its disputes and event logs are handled next to the ones of the default arbitrator.
+   * @param {object} arbitratorInstance - instance of an arbitrator contract.
+   */
+  addArbitratorInstance = arbitratorInstance => {
+    this._ArbitratorRegistry.add(arbitratorInstance)
+  }
+  /**
+   * Use a registry shared with other apis for the default and added arbitrators.
+   * @param {object} arbitratorRegistry - ArbitratorRegistry instance, see utils/ArbitratorRegistry.
+   */
+  setArbitratorRegistry = arbitratorRegistry => {
+    this._ArbitratorRegistry = arbitratorRegistry
   }
   /**
    * Set arbitrable instance.
@@ -48,26 +71,38 @@ class Disputes {
    * Method to register all dispute handlers to an EventListener.
    * @param {string} account - The address of the user.
    * @param {object} eventListener - The EventListener instance. See utils/EventListener.js.
+   * @param {object[]} arbitratorInstances - Arbitrators to register the handlers for. Defaults to all arbitrators.
    */
   registerStoreUpdateEventListeners = (
     account = isRequired('account'),
-    eventListener = isRequired('eventListener')
+    eventListener = isRequired('eventListener'),
+    arbitratorInstances = this._ArbitratorRegistry.getAll()
   ) => {
     const eventHandlerMap = {
       DisputeCreation: [this._storeNewDisputeHandler],
       TokenShift: [this._storeTokensMovedForJuror],
       NewPeriod: [this._storeDisputeRuledAtTimestamp, this._storeAppealDeadline]
     }
+    // handlers that have to be undone if their log is dropped by a reorg
+    const eventRevertHandlerMap = {
+      TokenShift: this._revertTokensMovedForJuror
+    }
 
-    for (let event in eventHandlerMap) {
-      if (eventHandlerMap.hasOwnProperty(event)) {
-        eventHandlerMap[event].forEach(handler => {
-          eventListener.addEventHandler(this._ArbitratorInstance, event, args =>
-            handler(args, account)
-          )
-        })
+    arbitratorInstances.forEach(arbitratorInstance => {
+      for (let event in eventHandlerMap) {
+        if (eventHandlerMap.hasOwnProperty(event)) {
+          eventHandlerMap[event].forEach(handler => {
+            const revertHandler = eventRevertHandlerMap[event]
+            eventListener.addEventHandler(
+              arbitratorInstance,
+              event,
+              args => handler(args, account),
+              revertHandler && (args => revertHandler(args, account))
+            )
+          })
+        }
       }
-    }
+    })
   }
 
   /**
@@ -79,7 +114,8 @@ class Disputes {
     // There is no need to handle this event if we are not using the store
     const disputeId = event.args._disputeID.toNumber()
 
-    const contractAddress = this._ArbitratorInstance.getContractAddress()
+    const arbitratorInstance = this._ArbitratorRegistry.get(event.address)
+    const contractAddress = arbitratorInstance.getContractAddress()
     const existingDispute = await this._StoreProviderInstance.getDispute(
       contractAddress,
       disputeId
@@ -88,14 +124,17 @@ class Disputes {
     // Add dispute to store if not there
     if (_.isNull(existingDispute)) {
       // arbitrator data
-      const disputeData = await this.getDataForDispute(disputeId, account)
+      const disputeData = await this.getDataForDispute(
+        disputeId,
+        account,
+        contractAddress
+      )
       // arbitrable contract data
-      await this._ArbitrableInstance.setContractInstance(
+      const arbitrableContractData = await (await this._ArbitrableInstance.getInstanceForAddressAsync(
         disputeData.arbitrableContractAddress
-      )
-      const arbitrableContractData = await this._ArbitrableInstance.getData()
+      )).getData()
       // timestamp
-      const blockTimestamp = (await this._ArbitratorInstance.getBlock(
+      const blockTimestamp = (await arbitratorInstance.getBlock(
         event.blockNumber
       )).timestamp
 
@@ -120,17 +159,37 @@ class Disputes {
    * Event listener handler that add or substract the stored Net PNK won/lost for a juror.
    * @param {string} event - The event log.
    * @param {string} account - The account.
+   * @returns {Promise} - Resolves when the store has been updated.
+   */
+  _storeTokensMovedForJuror = async (event, account) =>
+    this._updateNetPNKForJuror(event, account, event.args._amount)
+
+  /**
+   * Event listener revert handler that undoes a Net PNK update when its log is dropped by a reorg.
+   * @param {string} event - The event log.
+   * @param {string} account - The account.
+   * @returns {Promise} - Resolves when the store has been updated.
+   */
+  _revertTokensMovedForJuror = async (event, account) =>
+    this._updateNetPNKForJuror(event, account, event.args._amount.neg())
+
+  /**
+   * Add an amount to the stored Net PNK won/lost for a juror.
+   * @param {string} event - The TokenShift event log.
+   * @param {string} account - The account.
+   * @param {object} weiShift - BigNumber of the wei to add.
    */
-  _storeTokensMovedForJuror = async (event, account) => {
+  _updateNetPNKForJuror = async (event, account, weiShift) => {
     const disputeId = event.args._disputeID.toNumber()
     const address = event.args._account
-    const amountShift = event.args._amount.toNumber()
     // juror won/lost tokens
     if (address === account) {
       const userProfile = await this._StoreProviderInstance.setUpUserProfile(
         account
       )
-      const contractAddress = this._ArbitratorInstance.getContractAddress()
+      const contractAddress = this._ArbitratorRegistry
+        .get(event.address)
+        .getContractAddress()
       const disputeIndex = _.findIndex(
         userProfile.disputes,
         dispute =>
@@ -146,7 +205,10 @@ class Disputes {
         dispute.arbitratorAddress,
         dispute.disputeId,
         {
-          netPNK: (dispute.netPNK || 0) + amountShift
+          // in wei before amounts were exact
+          netPNK: isLegacyAmounts()
+            ? (dispute.netPNK || 0) + weiShift.toNumber()
+            : addAmounts(dispute.netPNK || 0, fromWei(weiShift))
         }
       )
     }
@@ -158,15 +220,16 @@ class Disputes {
    * @param {string} account - The users eth account.
    */
   _storeDisputeRuledAtTimestamp = async (event, account) => {
+    const arbitratorInstance = this._ArbitratorRegistry.get(event.address)
     // we fetch the current period in case we are consuming old events from previous sessions
-    const newPeriod = await this._ArbitratorInstance.getPeriod()
+    const newPeriod = await arbitratorInstance.getPeriod()
     // send appeal possible notifications
     if (newPeriod === arbitratorConstants.PERIOD.APPEAL) {
       const disputes = await this._StoreProviderInstance.getDisputesForUser(
         account
       )
-      const openDisputes = await this._ArbitratorInstance.getOpenDisputesForSession()
-      const contractAddress = this._ArbitratorInstance.getContractAddress()
+      const openDisputes = await arbitratorInstance.getOpenDisputesForSession()
+      const contractAddress = arbitratorInstance.getContractAddress()
 
       await Promise.all(
         openDisputes.map(async disputeId => {
@@ -180,11 +243,15 @@ class Disputes {
           ) {
             // get ruledAt from block timestamp
             const blockNumber = event.blockNumber
-            const blockTimestamp = (await this._ArbitratorInstance.getBlock(
+            const blockTimestamp = (await arbitratorInstance.getBlock(
               blockNumber
             )).timestamp
 
-            const disputeData = await this.getDataForDispute(disputeId, account)
+            const disputeData = await this.getDataForDispute(
+              disputeId,
+              account,
+              contractAddress
+            )
             const appealRuledAt = disputeData.appealRuledAt
             appealRuledAt[disputeData.numberOfAppeals] = blockTimestamp * 1000
 
@@ -203,20 +270,21 @@ class Disputes {
 
   /**
    * Event listener handler that sets the deadline for an appeal
-   * @param {object} _ - The event log. Unused in function.
+   * @param {object} event - The event log.
    * @param {string} account - The users eth account.
    */
-  _storeAppealDeadline = async (_, account) => {
+  _storeAppealDeadline = async (event, account) => {
+    const arbitratorInstance = this._ArbitratorRegistry.get(event.address)
     // we fetch the current period in case we are consuming old events from previous sessions
-    const newPeriod = await this._ArbitratorInstance.getPeriod()
+    const newPeriod = await arbitratorInstance.getPeriod()
     // send appeal possible notifications
     if (newPeriod === arbitratorConstants.PERIOD.VOTE) {
       const disputes = await this._StoreProviderInstance.getDisputesForUser(
         account
       )
       // contract data
-      const openDisputes = await this._ArbitratorInstance.getOpenDisputesForSession()
-      const contractAddress = this._ArbitratorInstance.getContractAddress()
+      const openDisputes = await arbitratorInstance.getOpenDisputesForSession()
+      const contractAddress = arbitratorInstance.getContractAddress()
       await Promise.all(
         openDisputes.map(async disputeId => {
           if (
@@ -227,8 +295,12 @@ class Disputes {
                 dispute.arbitratorAddress === contractAddress
             ) >= 0
           ) {
-            const deadline = await this._ArbitratorInstance.getDeadlineForOpenDispute()
-            const disputeData = await this.getDataForDispute(disputeId, account)
+            const deadline = await arbitratorInstance.getDeadlineForOpenDispute()
+            const disputeData = await this.getDataForDispute(
+              disputeId,
+              account,
+              contractAddress
+            )
             const appealDeadlines = disputeData.appealDeadlines
             appealDeadlines[disputeData.numberOfAppeals] = deadline
 
@@ -248,48 +320,74 @@ class Disputes {
   // **************************** //
   // *          Public          * //
   // **************************** //
+  /**
+   * Get the disputes of a user with data from the arbitrator contracts and the store.
+   * @param {string} account - The address of the user.
+   * @param {string} arbitratorAddress - Only get disputes of this arbitrator. Defaults to all arbitrators.
+   * @returns {object[]} - Dispute data objects, see Arbitrator.getDisputesForUser.
+   */
+  getDisputesForUser = async (account, arbitratorAddress) => {
+    const arbitratorInstances = arbitratorAddress
+      ? [this._ArbitratorRegistry.get(arbitratorAddress)]
+      : this._ArbitratorRegistry.getAll()
+
+    return _.flatten(
+      await Promise.all(
+        arbitratorInstances.map(arbitratorInstance =>
+          arbitratorInstance.getDisputesForUser(account)
+        )
+      )
+    )
+  }
+
   /**
    * Fetch the shared dispute data from the store.
    * @param {string} disputeId - The index of the dispute.
+   * @param {string} arbitratorAddress - Address of the arbitrator. Defaults to the default arbitrator.
    * @returns {Promise} The dispute data in the store.
    */
-  getDisputeFromStore = disputeId => {
-    const arbitratorAddress = this._ArbitratorInstance.getContractAddress()
-
-    return this._StoreProviderInstance.getDispute(arbitratorAddress, disputeId)
-  }
+  getDisputeFromStore = (disputeId, arbitratorAddress) =>
+    this._StoreProviderInstance.getDispute(
+      this._ArbitratorRegistry.get(arbitratorAddress).getContractAddress(),
+      disputeId
+    )
 
   /**
    * Get data for a dispute. This method provides data from the store as well as both
    * arbitrator and arbitrable contracts. Used to get all relevant data on a dispute.
    * @param {number} disputeId - The dispute's ID.
    * @param {string} account - The juror's address.
+   * @param {string} arbitratorAddress - Address of the arbitrator. Defaults to the default arbitrator.
    * @returns {object} - Data object for the dispute that uses data from the contract and the store.
    */
-  getDataForDispute = async (disputeId, account) => {
-    const arbitratorAddress = this._ArbitratorInstance.getContractAddress()
+  getDataForDispute = async (disputeId, account, arbitratorAddress) => {
+    const arbitratorInstance = this._ArbitratorRegistry.get(arbitratorAddress)
+    arbitratorAddress = arbitratorInstance.getContractAddress()
     // Get dispute data from contract. Also get the current session and period.
     const [dispute, period, session] = await Promise.all([
-      this._ArbitratorInstance.getDispute(disputeId),
-      this._ArbitratorInstance.getPeriod(),
-      this._ArbitratorInstance.getSession()
+      arbitratorInstance.getDispute(disputeId),
+      arbitratorInstance.getPeriod(),
+      arbitratorInstance.getSession()
     ])
 
     // Get arbitrable contract data and evidence
     const arbitrableContractAddress = dispute.arbitrableContractAddress
-    await this._ArbitrableInstance.setContractInstance(
+    const arbitrableInstance = await this._ArbitrableInstance.getInstanceForAddressAsync(
       arbitrableContractAddress
     )
     const [arbitrableContractData, evidence] = await Promise.all([
-      this._ArbitrableInstance.getData(),
-      this._ArbitrableInstance.getEvidenceForArbitrableContract(
-        arbitrableContractAddress
-      )
+      arbitrableInstance.getData(),
+      arbitrableInstance.getEvidenceForArbitrableContract()
     ])
-    const contractStoreData = await this._StoreProviderInstance.getContractByAddress(
-      arbitrableContractData.partyA,
-      arbitrableContractAddress
-    )
+    // the contract is stored by its creator. Contracts that only implement the standard
+    // don't tell their parties
+    const contractStoreData =
+      arbitrableContractData.parties.length > 0
+        ? await this._StoreProviderInstance.getContractByAddress(
+            arbitrableContractData.parties[0],
+            arbitrableContractAddress
+          )
+        : undefined
 
     // Get dispute data from the store
     let appealDraws = []
@@ -327,14 +425,14 @@ class Disputes {
       let canExecute = false
       let ruling
       const rulingPromises = [
-        this._ArbitratorInstance.currentRulingForDispute(disputeId, appeal)
+        arbitratorInstance.currentRulingForDispute(disputeId, appeal)
       ]
 
       // Extra info for the last appeal
       if (isLastAppeal) {
         if (draws.length > 0)
           rulingPromises.push(
-            this._ArbitratorInstance.canRuleDispute(disputeId, draws, account)
+            arbitratorInstance.canRuleDispute(disputeId, draws, account)
           )
 
         if (session && period)
@@ -350,7 +448,7 @@ class Disputes {
 
       appealJuror[appeal] = {
         createdAt: appealCreatedAt[appeal],
-        fee: dispute.arbitrationFeePerJuror * draws.length,
+        fee: multiplyAmount(dispute.arbitrationFeePerJuror, draws.length),
         draws,
         canRule
       }
@@ -371,6 +469,7 @@ class Disputes {
       arbitratorAddress,
       partyA: arbitrableContractData.partyA,
       partyB: arbitrableContractData.partyB,
+      parties: arbitrableContractData.parties,
 
       // Dispute Data
       disputeId,
@@ -0,0 +1,224 @@
+import _ from 'lodash'
+
+import * as arbitratorConstants from '../constants/arbitrator'
+import * as disputeConstants from '../constants/dispute'
+import * as errorConstants from '../constants/error'
+import isRequired from '../utils/isRequired'
+import PromiseQueue from '../utils/PromiseQueue'
+
+/**
+ * Keeper API. Advances the periods of an arbitrator once they are over and finalizes the
+ * disputes of the session in the execute period, by repartitioning the juror tokens and
+ * executing the ruling. Every action is checked against the contract state and dry run
+ * right before it is sent, so several keepers can run against the same arbitrator.
+ */
+class Keeper {
+  /**
+   * Create a new Keeper.
+   * @param {object} arbitratorInstance - instance of an arbitrator contract.
+   * @param {string} account - Address of the account that sends the transactions.
+   * @param {number} pollInterval - Milliseconds between runs at most, when started.
+   */
+  constructor(
+    arbitratorInstance = isRequired('arbitratorInstance'),
+    account = isRequired('account'),
+    pollInterval = 60000
+  ) {
+    this._ArbitratorInstance = arbitratorInstance
+    this.account = account
+    this.pollInterval = pollInterval
+    // runs never overlap, even if run is called while the keeper is started
+    this._runQueue = PromiseQueue()
+    this._timer = null
+    this._running = false
+  }
+  /**
+   * Set arbitrator instance.
+   * @param {object} arbitratorInstance - instance of an arbitrator contract.
+   */
+  setArbitratorInstance = arbitratorInstance => {
+    this._ArbitratorInstance = arbitratorInstance
+  }
+
+  /**
+   * Perform every action that is due on the arbitrator.
+   * @returns {Promise} - Resolves to the report of the run.
+   * { session, period, timestamp, nextPeriodChange, actions, skipped, failed }, times in seconds. actions and skipped
+   * contain { method, disputeId, txHash } and { method, disputeId, reason }, failed
+   * { method, disputeId, error }. disputeId is not set for passPeriod.
+   */
+  run = () => this._runQueue.fetch(this._run)
+
+  /**
+   * Run the keeper until it is stopped. The next run happens when the current period is
+   * over, or after pollInterval if that is sooner. A failed run is retried after pollInterval.
+   * @param {function} callback - Called with the report of each run.
+   * @param {object} options - { onError }. onError is called with the error of a failed run,
+   * e.g. when the node can't be reached. Failed runs are logged to the console if it is not set.
+   */
+  start = (callback = _.noop, { onError } = {}) => {
+    if (this._running) return
+    this._running = true
+
+    const runAndSchedule = async () => {
+      let delay = this.pollInterval
+      try {
+        const report = await this.run()
+        callback(report)
+        // the contract is checked again right after the period is over
+        delay = _.clamp(
+          (report.nextPeriodChange - report.timestamp) * 1000,
+          0,
+          this.pollInterval
+        )
+      } catch (err) {
+        if (onError) onError(err)
+        else console.error(err)
+      }
+
+      if (this._running) this._timer = setTimeout(runAndSchedule, delay)
+    }
+
+    runAndSchedule()
+  }
+
+  /**
+   * Stop running the keeper. A run in progress is finished.
+   */
+  stop = () => {
+    this._running = false
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  /**
+   * Perform every action that is due on the arbitrator. See run.
+   * @returns {Promise} - Resolves to the report of the run.
+   */
+  _run = async () => {
+    const report = { actions: [], skipped: [], failed: [] }
+
+    let data = await this._getState()
+    // disputes can only be finalized in the execute period of their session
+    if (data.period === arbitratorConstants.PERIOD.EXECUTE) {
+      const disputeIds = await this._ArbitratorInstance.getOpenDisputesForSession(
+        data.session
+      )
+      for (let disputeId of disputeIds)
+        await this._finalizeDispute(disputeId, report)
+    }
+
+    if (data.timestamp >= data.nextPeriodChange) {
+      await this._perform(report, 'passPeriod', undefined, async () => {
+        // another keeper might have passed the period already
+        const { period, session } = await this._getState()
+        return period === data.period && session === data.session
+      })
+      data = await this._getState()
+    }
+
+    return {
+      ...report,
+      session: data.session,
+      period: data.period,
+      timestamp: data.timestamp,
+      nextPeriodChange: data.nextPeriodChange
+    }
+  }
+
+  /**
+   * Repartition the juror tokens of a dispute and execute its ruling, whichever is due.
+   * @param {number} disputeId - The index of the dispute.
+   * @param {object} report - The report of the run.
+   */
+  _finalizeDispute = async (disputeId, report) => {
+    const isInState = state => async () =>
+      (await this._ArbitratorInstance.getDispute(disputeId)).state === state
+
+    await this._perform(
+      report,
+      'repartitionJurorTokens',
+      disputeId,
+      isInState(disputeConstants.STATE.OPEN)
+    )
+    await this._perform(
+      report,
+      'executeRuling',
+      disputeId,
+      isInState(disputeConstants.STATE.EXECUTABLE)
+    )
+  }
+
+  /**
+   * Send a transaction if it is due and would succeed, and wait for it to be mined.
+   * @param {object} report - The report of the run. The outcome is added to it.
+   * @param {string} method - Name of the arbitrator write method.
+   * @param {number} disputeId - The index of the dispute, undefined for passPeriod.
+   * @param {function} isDue - Resolves to true if the contract state requires the action.
+   */
+  _perform = async (report, method, disputeId, isDue) => {
+    const args = _.isUndefined(disputeId)
+      ? [this.account]
+      : [disputeId, this.account]
+    const entry = _.omitBy({ method, disputeId }, _.isUndefined)
+
+    const alreadyDone = {
+      ...entry,
+      reason: errorConstants.KEEPER_ACTION_ALREADY_DONE(method)
+    }
+
+    try {
+      if (!await isDue()) {
+        report.skipped.push(alreadyDone)
+        return
+      }
+
+      const simulation = await this._ArbitratorInstance.simulate[method](
+        ...args
+      )
+      if (!simulation.success) {
+        report.skipped.push({ ...entry, reason: simulation.reason })
+        return
+      }
+
+      const transaction = await this._ArbitratorInstance[method](...args)
+      try {
+        await transaction.receipt
+      } catch (err) {
+        // a transaction of another keeper can be mined first
+        if (await isDue()) throw err
+        report.skipped.push(alreadyDone)
+        return
+      }
+
+      report.actions.push({ ...entry, txHash: transaction.txHash })
+    } catch (err) {
+      report.failed.push({ ...entry, error: err.message })
+    }
+  }
+
+  /**
+   * Get the period data of the arbitrator and the timestamp of the latest block.
+   * @returns {Promise} - Resolves to { period, session, timestamp, nextPeriodChange }, times in seconds.
+   */
+  _getState = async () => {
+    const {
+      period,
+      session,
+      lastPeriodChange
+    } = await this._ArbitratorInstance.getData()
+    const [timePerPeriod, block] = await Promise.all([
+      this._ArbitratorInstance.getTimeForPeriod(period),
+      this._ArbitratorInstance.getBlock('latest')
+    ])
+
+    return {
+      period,
+      session,
+      timestamp: block.timestamp,
+      nextPeriodChange: lastPeriodChange + timePerPeriod
+    }
+  }
+}
+
+export default Keeper
@@ -4,11 +4,19 @@ import * as arbitratorConstants from '../constants/arbitrator'
 import * as notificationConstants from '../constants/notification'
 import * as disputeConstants from '../constants/dispute'
 import { MISSING_STORE_PROVIDER } from '../constants/error'
+import ArbitratorRegistry from '../utils/ArbitratorRegistry'
 import isRequired from '../utils/isRequired'
+import {
+  isLegacyAmounts,
+  fromWei,
+  compareAmounts,
+  subtractAmounts
+} from '../utils/amounts'
 
 /**
  * Notifications API. Use this object to fetch notifications from the store, register
- * event log handlers to update store and send push notifications.
+ * event log handlers to update store and send push notifications. Notifications of
+ * several arbitrators can be handled by adding their instances with addArbitratorInstance.
  */
 class Notifications {
   constructor(
@@ -16,16 +24,31 @@ class Notifications {
     arbitrableInstance = isRequired('arbitrableInstance'),
     storeProviderInstance
   ) {
-    this._ArbitratorInstance = arbitratorInstance
+    // default arbitrator and added arbitrators. Kleros shares its registry, see setArbitratorRegistry
+    this._ArbitratorRegistry = new ArbitratorRegistry(arbitratorInstance)
     this._ArbitrableInstance = arbitrableInstance
     this._StoreProviderInstance = storeProviderInstance
   }
   /**
-   * Set arbitrator instance.
+   * Set arbitrator instance. It is used when no arbitrator address is specified.
    * @param {object} arbitratorInstance - instance of an arbitrator contract.
    */
   setArbitratorInstance = arbitratorInstance => {
-    this._ArbitratorInstance = arbitratorInstance
+    this._ArbitratorRegistry.setDefault(arbitratorInstance)
+  }
+  /**
+   * Add an arbitrator instance. Its notifications are handled next to the ones of the default arbitrator.
+   * @param {object} arbitratorInstance - instance of an arbitrator contract.
+   */
+  addArbitratorInstance = arbitratorInstance => {
+    this._ArbitratorRegistry.add(arbitratorInstance)
+  }
+  /**
+   * Use a registry shared with other apis for the default and added arbitrators.
+   * @param {object} arbitratorRegistry - ArbitratorRegistry instance, see utils/ArbitratorRegistry.
+   */
+  setArbitratorRegistry = arbitratorRegistry => {
+    this._ArbitratorRegistry = arbitratorRegistry
   }
   /**
    * Set arbitrable instance.
@@ -47,15 +70,17 @@ class Notifications {
   // **************************** //
 
   /**
-   * Register event handlers for the arbitrator instance.
+   * Register event handlers for all arbitrator instances.
    * @param {string} account - Filter notifications for account.
    * @param {object} eventListener - Event Listener that will fetch logs and call callbacks
    * @param {function} callback - If we want notifications to be "pushed" provide a callback function to call when a new notification is created.
+   * @param {object[]} arbitratorInstances - Arbitrators to register the handlers for. Defaults to all arbitrators.
    */
   registerArbitratorNotifications = (
     account = isRequired('account'),
     eventListener = isRequired('eventListener'),
-    callback
+    callback,
+    arbitratorInstances = this._ArbitratorRegistry.getAll()
   ) => {
     const eventHandlerMap = {
       DisputeCreation: this._disputeCreationHandler,
@@ -66,31 +91,68 @@ class Notifications {
       NewPeriod: this._newPeriodHandler
     }
 
-    for (let event in eventHandlerMap) {
-      if (eventHandlerMap.hasOwnProperty(event)) {
-        eventListener.addEventHandler(
-          this._ArbitratorInstance,
-          event,
-          this._createHandler(eventHandlerMap[event], account, callback)
-        )
+    arbitratorInstances.forEach(arbitratorInstance => {
+      for (let event in eventHandlerMap) {
+        if (eventHandlerMap.hasOwnProperty(event)) {
+          eventListener.addEventHandler(
+            arbitratorInstance,
+            event,
+            this._createHandler(eventHandlerMap[event], account, callback)
+          )
+        }
       }
-    }
+    })
+  }
+
+  /**
+   * Get stateful notifications. Stateful notifications change based on the state of the arbitrator contracts.
+   * @param {string} account - Filter notifications for account.
+   * @param {function} isJuror - If the account is a juror.
+   * @param {string} arbitratorAddress - Only get notifications for this arbitrator. Defaults to all arbitrators.
+   * @returns {object[]} - Array of stateful notification objects.
+   */
+  getStatefulNotifications = async (
+    account,
+    isJuror = true,
+    arbitratorAddress
+  ) => {
+    const arbitratorInstances = arbitratorAddress
+      ? [this._ArbitratorRegistry.get(arbitratorAddress)]
+      : this._ArbitratorRegistry.getAll()
+
+    return _.flatten(
+      await Promise.all(
+        arbitratorInstances.map(arbitratorInstance =>
+          this._getStatefulNotificationsForArbitrator(
+            arbitratorInstance,
+            account,
+            isJuror
+          )
+        )
+      )
+    )
   }
 
   /**
-   * Get stateful notifications. Stateful notifications change based on the state of the arbitrator contract.
+   * Get stateful notifications for one arbitrator.
+   * @param {object} arbitratorInstance - The arbitrator instance.
    * @param {string} account - Filter notifications for account.
    * @param {function} isJuror - If the account is a juror.
    * @returns {object[]} - Array of stateful notification objects.
    */
-  getStatefulNotifications = async (account, isJuror = true) => {
+  _getStatefulNotificationsForArbitrator = async (
+    arbitratorInstance,
+    account,
+    isJuror
+  ) => {
     const notifications = []
+    const currentArbitrator = arbitratorInstance.getContractAddress()
     const [contracts, disputes] = await Promise.all([
       this._getContracts(account),
-      this._getDisputes(account, isJuror)
+      this._getDisputes(account, isJuror, arbitratorInstance)
     ])
-    const currentPeriod = await this._ArbitratorInstance.getPeriod()
-    const currentSession = await this._ArbitratorInstance.getSession()
+    const currentPeriod = await arbitratorInstance.getPeriod()
+    const currentSession = await arbitratorInstance.getSession()
     if (isJuror) {
       /* Juror notifications:
       * - Activate tokens
@@ -100,7 +162,7 @@ class Notifications {
       */
       if (currentPeriod === arbitratorConstants.PERIOD.ACTIVATION) {
         // FIXME use estimateGas
-        const contractInstance = await this._ArbitratorInstance.loadContract()
+        const contractInstance = await arbitratorInstance.loadContract()
         const lastActivatedSession = (await contractInstance.jurors(
           account
         ))[2].toNumber()
@@ -117,7 +179,7 @@ class Notifications {
         for (let dispute of disputes) {
           const draws = dispute.appealDraws[dispute.appealDraws.length - 1]
           if (draws) {
-            const canVote = await this._ArbitratorInstance.canRuleDispute(
+            const canVote = await arbitratorInstance.canRuleDispute(
               dispute.disputeId,
               draws,
               account
@@ -146,13 +208,21 @@ class Notifications {
       await Promise.all(
         contracts.map(async contract => {
           // load arbitrable contract
-          await this._ArbitrableInstance.setContractInstance(contract.address)
-          const contractData = await this._ArbitrableInstance.getData()
-          const arbitrationCost = await this._ArbitratorInstance.getArbitrationCost(
+          const contractData = await (await this._ArbitrableInstance.getInstanceForAddressAsync(
+            contract.address
+          )).getData()
+          // contracts of other arbitrators are handled with their arbitrator
+          if (
+            contractData.arbitrator.toLowerCase() !==
+            currentArbitrator.toLowerCase()
+          )
+            return
+
+          const arbitrationCost = await arbitratorInstance.getArbitrationCost(
             contractData.arbitratorExtraData
           )
           if (contractData.partyA === account) {
-            if (contractData.partyAFee < arbitrationCost) {
+            if (compareAmounts(contractData.partyAFee, arbitrationCost) < 0) {
               notifications.push(
                 this._createNotification(
                   notificationConstants.TYPE.CAN_PAY_FEE,
@@ -160,13 +230,16 @@ class Notifications {
                   {
                     arbitratorAddress: contractData.arbitrator,
                     arbitrableContractAddress: contract.address,
-                    feeToPay: arbitrationCost - contractData.partyAFee
+                    feeToPay: subtractAmounts(
+                      arbitrationCost,
+                      contractData.partyAFee
+                    )
                   }
                 )
               )
             }
           } else if (contractData.partyB === account) {
-            if (contractData.partyBFee < arbitrationCost) {
+            if (compareAmounts(contractData.partyBFee, arbitrationCost) < 0) {
               notifications.push(
                 this._createNotification(
                   notificationConstants.TYPE.CAN_PAY_FEE,
@@ -174,7 +247,10 @@ class Notifications {
                   {
                     arbitratorAddress: contractData.arbitrator,
                     arbitrableContractAddress: contract.address,
-                    feeToPay: arbitrationCost - contractData.partyBFee
+                    feeToPay: subtractAmounts(
+                      arbitrationCost,
+                      contractData.partyBFee
+                    )
                   }
                 )
               )
@@ -188,7 +264,7 @@ class Notifications {
     if (currentPeriod === arbitratorConstants.PERIOD.EXECUTE) {
       await Promise.all(
         disputes.map(async dispute => {
-          const disputeData = await this._ArbitratorInstance.getDispute(
+          const disputeData = await arbitratorInstance.getDispute(
             dispute.disputeId
           )
           if (
@@ -230,17 +306,21 @@ class Notifications {
   /**
    * Fetch all unread notifications from store.
    * @param {string} account - Address of user.
+   * @param {string} arbitratorAddress - Only get notifications for this arbitrator. Defaults to all arbitrators.
    * @returns {object[]} - Array of notification objects.
    */
-  getUnreadStoredNotifications = async account => {
+  getUnreadStoredNotifications = async (account, arbitratorAddress) => {
     this._requireStoreProvider()
     const profile = await this._StoreProviderInstance.setUpUserProfile(account)
-    const currentArbitrator = this._ArbitratorInstance.getContractAddress()
-    // return notifications that are for current arbitrator and are unread
+    const arbitratorAddresses = (arbitratorAddress
+      ? [this._ArbitratorRegistry.get(arbitratorAddress)]
+      : this._ArbitratorRegistry.getAll()
+    ).map(arbitratorInstance => arbitratorInstance.getContractAddress())
+    // return notifications that are for the arbitrators and are unread
     return _.filter(
       profile.notifications,
       notification =>
-        notification.data.arbitratorAddress === currentArbitrator &&
+        _.includes(arbitratorAddresses, notification.data.arbitratorAddress) &&
         !notification.read
     )
   }
@@ -286,13 +366,14 @@ class Notifications {
    * @param {function} callback - The callback.
    */
   _newPeriodHandler = async (event, account, callback) => {
+    const arbitratorInstance = this._ArbitratorRegistry.get(event.address)
     const newPeriod = event.args._period.toNumber()
 
     // send appeal possible notifications
     if (newPeriod === arbitratorConstants.PERIOD.APPEAL) {
       const disputes = await this._getDisputes(account) // get users disputes
-      const openDisputes = await this._ArbitratorInstance.getOpenDisputesForSession() // get all disputes for session
-      const arbitratorAddress = this._ArbitratorInstance.getContractAddress()
+      const openDisputes = await arbitratorInstance.getOpenDisputesForSession() // get all disputes for session
+      const arbitratorAddress = arbitratorInstance.getContractAddress()
 
       await Promise.all(
         openDisputes.map(async disputeId => {
@@ -304,8 +385,8 @@ class Notifications {
                 dispute.arbitratorAddress === arbitratorAddress
             ) >= 0
           ) {
-            const dispute = await this._ArbitratorInstance.getDispute(disputeId)
-            const ruling = await this._ArbitratorInstance.currentRulingForDispute(
+            const dispute = await arbitratorInstance.getDispute(disputeId)
+            const ruling = await arbitratorInstance.currentRulingForDispute(
               disputeId,
               dispute.numberOfAppeals
             )
@@ -338,18 +419,16 @@ class Notifications {
    * @param {function} callback - The callback.
    */
   _disputeCreationHandler = async (event, account, callback) => {
+    const arbitratorInstance = this._ArbitratorRegistry.get(event.address)
     const disputeId = event.args._disputeID.toNumber()
     const txHash = event.transactionHash
     // load arbitrable contract
-    await this._ArbitrableInstance.setContractInstance(event.args._arbitrable)
-
-    const arbitrableData = this._ArbitrableInstance.getData()
+    const arbitrableData = await (await this._ArbitrableInstance.getInstanceForAddressAsync(
+      event.args._arbitrable
+    )).getData()
 
-    if (
-      arbitrableData.partyA === account ||
-      arbitrableData.partyB === account
-    ) {
-      const arbitratorAddress = this._ArbitratorInstance.getContractAddress()
+    if (_.includes(arbitrableData.parties, account)) {
+      const arbitratorAddress = arbitratorInstance.getContractAddress()
       const notification = await this._newNotification(
         account,
         txHash,
@@ -373,12 +452,11 @@ class Notifications {
    * @param {function} callback - The callback.
    */
   _appealPossibleHandler = async (event, account, callback) => {
+    const arbitratorInstance = this._ArbitratorRegistry.get(event.address)
     const disputes = await this._getDisputes(account)
     const disputeId = event.args._disputeID.toNumber()
-    const ruling = await this._ArbitratorInstance.currentRulingForDispute(
-      disputeId
-    )
-    const arbitratorAddress = this._ArbitratorInstance.getContractAddress()
+    const ruling = await arbitratorInstance.currentRulingForDispute(disputeId)
+    const arbitratorAddress = arbitratorInstance.getContractAddress()
 
     if (
       _.findIndex(
@@ -413,9 +491,10 @@ class Notifications {
    * @param {function} callback - The callback.
    */
   _appealingDecisionHandler = async (event, account, callback) => {
+    const arbitratorInstance = this._ArbitratorRegistry.get(event.address)
     const disputes = await this._getDisputes(account)
     const disputeId = event.args._disputeID.toNumber()
-    const arbitratorAddress = this._ArbitratorInstance.getContractAddress()
+    const arbitratorAddress = arbitratorInstance.getContractAddress()
 
     if (
       _.findIndex(
@@ -449,13 +528,17 @@ class Notifications {
    * @param {function} callback - The callback.
    */
   _tokenShiftHandler = async (event, account, callback) => {
+    const arbitratorInstance = this._ArbitratorRegistry.get(event.address)
     // address indexed _account, uint _disputeID, int _amount
     const disputeId = event.args._disputeID.toNumber()
     const address = event.args._account
-    const amount = event.args._amount.toNumber()
+    // in wei before amounts were exact
+    const amount = isLegacyAmounts()
+      ? event.args._amount.toNumber()
+      : fromWei(event.args._amount)
 
     if (account === address) {
-      const arbitratorAddress = this._ArbitratorInstance.getContractAddress()
+      const arbitratorAddress = arbitratorInstance.getContractAddress()
       const notification = await this._newNotification(
         account,
         event.transactionHash,
@@ -481,13 +564,17 @@ class Notifications {
    * @param {function} callback - The callback.
    */
   _arbitrationRewardHandler = async (event, account, callback) => {
+    const arbitratorInstance = this._ArbitratorRegistry.get(event.address)
     // address indexed _account, uint _disputeID, int _amount
     const disputeId = event.args._disputeID.toNumber()
     const address = event.args._account
-    const amount = event.args._amount.toNumber()
+    // in wei before amounts were exact
+    const amount = isLegacyAmounts()
+      ? event.args._amount.toNumber()
+      : fromWei(event.args._amount)
 
     if (account === address) {
-      const arbitratorAddress = this._ArbitratorInstance.getContractAddress()
+      const arbitratorAddress = arbitratorInstance.getContractAddress()
       const notification = await this._newNotification(
         account,
         event.transactionHash,
@@ -618,18 +705,27 @@ class Notifications {
    * Get disputes either from store or from arbitrator if Store Provider is not set. Used for notifications
    * @param {string} account - Filter notifications for account.
    * @param {function} isJuror - If the account is a juror.
+   * @param {object} arbitratorInstance - Only get disputes of this arbitrator. Defaults to the default arbitrator.
    * @returns {object[]} - Array of dispute objects
    */
-  _getDisputes = async (account, isJuror = true) => {
+  _getDisputes = async (
+    account,
+    isJuror = true,
+    arbitratorInstance = this._ArbitratorRegistry.get()
+  ) => {
     let disputes = []
 
     // If we have store provider fetch contracts and disputes from the store.
     if (this._StoreProviderInstance) {
-      disputes = await this._StoreProviderInstance.getDisputesForUser(account)
+      const arbitratorAddress = arbitratorInstance.getContractAddress()
+      disputes = _.filter(
+        await this._StoreProviderInstance.getDisputesForUser(account),
+        dispute => dispute.arbitratorAddress === arbitratorAddress
+      )
     } else if (isJuror) {
       // We have no way to get contracts. Get disputes from current session
       // TODO make a function to get open disputes for parites
-      disputes = await this._ArbitratorInstance.getDisputesForJuror(account)
+      disputes = await arbitratorInstance.getDisputesForJuror(account)
     }
 
     return disputes
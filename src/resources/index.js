@@ -1,4 +1,5 @@
 import Disputes from './Disputes'
 import Notifications from './Notifications'
+import Keeper from './Keeper'
 
-export { Disputes, Notifications }
+export { Disputes, Notifications, Keeper }
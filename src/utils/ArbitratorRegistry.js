@@ -0,0 +1,87 @@
+import _ from 'lodash'
+
+import { ARBITRATOR_NOT_REGISTERED } from '../constants/error'
+
+import isRequired from './isRequired'
+
+/**
+ * Arbitrators of a Kleros instance: a default arbitrator, used when no address is given, and
+ * the arbitrators added next to it. Kleros shares one registry with Disputes and
+ * Notifications, so an arbitrator added to it is known to all of them.
+ */
+class ArbitratorRegistry {
+  /**
+   * Create a registry.
+   * @param {object} defaultArbitrator - Arbitrator instance used when no address is given.
+   */
+  constructor(defaultArbitrator = isRequired('defaultArbitrator')) {
+    this._defaultArbitrator = defaultArbitrator
+    // map lowercased arbitratorAddress -> arbitrator instance, next to the default arbitrator
+    this._arbitrators = {}
+  }
+
+  /**
+   * Set the arbitrator used when no address is given.
+   * @param {object} arbitrator - Arbitrator instance.
+   */
+  setDefault = (arbitrator = isRequired('arbitrator')) => {
+    this._defaultArbitrator = arbitrator
+  }
+
+  /**
+   * Add an arbitrator. An arbitrator already in the registry is not replaced.
+   * @param {object} arbitrator - Arbitrator instance.
+   * @returns {object} - The arbitrator instance in the registry for its address.
+   */
+  add = (arbitrator = isRequired('arbitrator')) => {
+    const existingArbitrator = this.find(arbitrator.getContractAddress())
+    if (existingArbitrator) return existingArbitrator
+
+    this._arbitrators[
+      arbitrator.getContractAddress().toLowerCase()
+    ] = arbitrator
+
+    return arbitrator
+  }
+
+  /**
+   * Find the arbitrator for an address.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @returns {object} - The arbitrator instance, undefined if it is not in the registry.
+   */
+  find = (arbitratorAddress = isRequired('arbitratorAddress')) =>
+    _.find(
+      this.getAll(),
+      arbitrator =>
+        Boolean(arbitrator.getContractAddress()) &&
+        arbitrator.getContractAddress().toLowerCase() ===
+          arbitratorAddress.toLowerCase()
+    )
+
+  /**
+   * Get the arbitrator for an address.
+   * @param {string} arbitratorAddress - Address of the arbitrator. The default arbitrator if not set.
+   * @returns {object} - The arbitrator instance.
+   */
+  get = arbitratorAddress => {
+    if (!arbitratorAddress) return this._defaultArbitrator
+
+    const arbitrator = this.find(arbitratorAddress)
+    if (!arbitrator)
+      throw new Error(ARBITRATOR_NOT_REGISTERED(arbitratorAddress))
+
+    return arbitrator
+  }
+
+  /**
+   * Get the default arbitrator and all added arbitrators.
+   * @returns {object[]} - Arbitrator instances, the default one first.
+   */
+  getAll = () =>
+    _.uniqBy(
+      [this._defaultArbitrator, ..._.values(this._arbitrators)],
+      arbitrator => arbitrator.getContractAddress()
+    )
+}
+
+export default ArbitratorRegistry
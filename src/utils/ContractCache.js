@@ -0,0 +1,114 @@
+import _ from 'lodash'
+
+/**
+ * Read-through cache for constant contract calls, keyed by contract, method and arguments.
+ * Entries expire after a TTL and can be invalidated earlier, e.g. by contract events, see
+ * ContractImplementation.registerCacheInvalidation. Without those events other accounts'
+ * transactions are only seen once entries expire, so the cache is off unless enabled. A cache
+ * can be shared by several contract implementations.
+ */
+class ContractCache {
+  /**
+   * Create a new ContractCache.
+   * @param {object} options - Cache options.
+   * @param {number} options.ttl - Milliseconds an entry is used for at most.
+   * @param {bool} options.enabled - If false every call goes to the contract. (default false)
+   */
+  constructor({ ttl = 15000, enabled = false } = {}) {
+    this.ttl = ttl
+    this.enabled = enabled
+    // map key -> { contractAddress, methodName, args, value, expiresAt }
+    this._entries = {}
+    // expired entries are removed at most once per ttl
+    this._nextEviction = Date.now() + ttl
+  }
+
+  /**
+   * Get the result of a call from the cache, or make the call and cache its result.
+   * Failed calls are not cached. Results are copies of the cached value.
+   * @param {string} contractAddress - Address of the contract.
+   * @param {string} methodName - Name of the method called.
+   * @param {any[]} args - Arguments of the call.
+   * @param {function} fetch - Makes the call. Returns a promise.
+   * @returns {Promise} - Resolves to the result of the call.
+   */
+  get = (contractAddress, methodName, args, fetch) => {
+    if (!this.enabled) return fetch()
+    this._evictExpired()
+
+    const stringArgs = args.map(String)
+    const key = JSON.stringify([
+      _.toLower(contractAddress),
+      methodName,
+      stringArgs
+    ])
+    const entry = this._entries[key]
+    // every caller gets its own copy, so changing a result doesn't change the cached one
+    if (entry && entry.expiresAt > Date.now())
+      return entry.value.then(_.cloneDeep)
+
+    const value = fetch()
+    this._entries[key] = {
+      contractAddress: _.toLower(contractAddress),
+      methodName,
+      args: stringArgs,
+      value,
+      expiresAt: Date.now() + this.ttl
+    }
+    value.catch(() => {
+      // the entry might have been replaced in the meantime
+      if (this._entries[key] && this._entries[key].value === value)
+        delete this._entries[key]
+    })
+
+    return value.then(_.cloneDeep)
+  }
+
+  /**
+   * Remove entries of a contract. Without a method name all entries of the contract are removed,
+   * without arguments all entries of the method.
+   * @param {string} contractAddress - Address of the contract.
+   * @param {string} methodName - Name of the method.
+   * @param {any[]} args - Leading arguments of the calls to remove.
+   */
+  invalidate = (contractAddress, methodName, args = []) => {
+    const stringArgs = args.map(String)
+
+    this._entries = _.omitBy(
+      this._entries,
+      entry =>
+        entry.contractAddress === _.toLower(contractAddress) &&
+        (_.isNil(methodName) || entry.methodName === methodName) &&
+        _.isEqual(entry.args.slice(0, stringArgs.length), stringArgs)
+    )
+  }
+
+  /**
+   * Remove the expired entries, so long running processes don't keep every call they made.
+   */
+  _evictExpired = () => {
+    const now = Date.now()
+    if (now < this._nextEviction) return
+
+    this._entries = _.omitBy(this._entries, entry => entry.expiresAt <= now)
+    this._nextEviction = now + this.ttl
+  }
+
+  /**
+   * Remove all entries.
+   */
+  clear = () => {
+    this._entries = {}
+  }
+
+  /**
+   * Enable or disable the cache. Disabling it removes all entries.
+   * @param {bool} enabled - False to send every call to the contract.
+   */
+  setEnabled = enabled => {
+    this.enabled = enabled
+    if (!enabled) this.clear()
+  }
+}
+
+export default ContractCache
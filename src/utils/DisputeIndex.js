@@ -0,0 +1,153 @@
+import _ from 'lodash'
+
+import isRequired from './isRequired'
+import EventListener from './EventListener'
+import PromiseQueue from './PromiseQueue'
+
+/**
+ * DisputeIndex keeps track of the session each dispute of a KlerosPOC arbitrator is
+ * open in. It is built from DisputeCreation and AppealDecision event logs and is
+ * updated incrementally from the last block it has seen, so only disputes that have
+ * new logs are ever read from the contract again. With a store, the index is loaded from
+ * it before the first update and saved after every update, so a new instance or process
+ * resumes from the stored block. Without one it is only kept in memory.
+ */
+class DisputeIndex {
+  /**
+   * Create a new index for an arbitrator contract.
+   * @param {object} arbitratorImplementation - KlerosPOC Contract Implementation instance.
+   * @param {object} storeProviderInstance - StoreProvider wrapper object that persists the index.
+   * The index is only kept in memory if not set.
+   */
+  constructor(
+    arbitratorImplementation = isRequired('arbitratorImplementation'),
+    storeProviderInstance = null
+  ) {
+    this._ArbitratorImplementation = arbitratorImplementation
+    this._StoreProvider = storeProviderInstance
+    this.arbitratorAddress = arbitratorImplementation.getContractAddress()
+    // last block that has been indexed. -1 means nothing has been indexed yet
+    this.lastBlock = -1
+    // map disputeId -> { firstSession, numberOfAppeals, state, creationBlock }
+    this.disputes = {}
+    // the stored index is loaded by the first update
+    this._loaded = !storeProviderInstance
+    // updates are queued so that concurrent callers do not index the same range twice
+    this._updateQueue = new PromiseQueue()
+  }
+
+  /**
+   * Index all dispute logs emitted since the last indexed block.
+   * @param {number|string} lastBlock - Upper bound of the range to index.
+   * @returns {Promise} - Resolves to the last indexed block.
+   */
+  update = (lastBlock = 'latest') =>
+    this._updateQueue.fetch(async () => {
+      if (!this._loaded) await this._load()
+
+      const fromBlock = this.lastBlock + 1
+      // both events are fetched up to the same block, which is then the last indexed one
+      const toBlock =
+        lastBlock === 'latest'
+          ? await this._ArbitratorImplementation.getBlockNumber()
+          : lastBlock
+      if (toBlock < fromBlock) return this.lastBlock
+
+      const [creationLogs, appealLogs] = await Promise.all([
+        EventListener.getEventLogs(
+          this._ArbitratorImplementation,
+          'DisputeCreation',
+          fromBlock,
+          toBlock
+        ),
+        EventListener.getEventLogs(
+          this._ArbitratorImplementation,
+          'AppealDecision',
+          fromBlock,
+          toBlock
+        )
+      ])
+      const logs = creationLogs.concat(appealLogs)
+
+      // only the disputes with new logs need to be read from the contract
+      const disputeIds = _.uniq(logs.map(log => log.args._disputeID.toNumber()))
+      const creationBlocks = _.fromPairs(
+        creationLogs.map(log => [
+          log.args._disputeID.toNumber(),
+          log.blockNumber
+        ])
+      )
+      await Promise.all(
+        disputeIds.map(disputeId =>
+          this._indexDispute(disputeId, creationBlocks[disputeId])
+        )
+      )
+      this.lastBlock = toBlock
+
+      if (this._StoreProvider)
+        await this._StoreProvider.updateDisputeIndex(this.arbitratorAddress, {
+          lastBlock: this.lastBlock,
+          disputes: this.disputes
+        })
+
+      return this.lastBlock
+    })
+
+  /**
+   * Get the ids of all indexed disputes that are open in a session.
+   * @param {number} session - The session number.
+   * @returns {number[]} - Array of dispute ids, in ascending order.
+   */
+  getOpenDisputesForSession = (session = isRequired('session')) =>
+    Object.keys(this.disputes)
+      .map(Number)
+      .filter(disputeId => {
+        const dispute = this.disputes[disputeId]
+        return dispute.firstSession + dispute.numberOfAppeals === session
+      })
+      .sort((a, b) => a - b)
+
+  /**
+   * Get the block a dispute was created in.
+   * @param {number} disputeId - The index of the dispute.
+   * @returns {number} - The block number, null if the dispute hasn't been indexed.
+   */
+  getDisputeCreationBlock = (disputeId = isRequired('disputeId')) =>
+    this.disputes[disputeId] ? this.disputes[disputeId].creationBlock : null
+
+  /**
+   * Load the stored index of the arbitrator, if there is one.
+   */
+  _load = async () => {
+    const storedIndex = await this._StoreProvider.getDisputeIndex(
+      this.arbitratorAddress
+    )
+    if (storedIndex) {
+      this.lastBlock = storedIndex.lastBlock
+      this.disputes = storedIndex.disputes
+    }
+    this._loaded = true
+  }
+
+  /**
+   * Read the session data of a dispute from the contract and store it in the index.
+   * @param {number} disputeId - The index of the dispute.
+   * @param {number} creationBlock - Block of its DisputeCreation log. Kept from the previous
+   * update if the log is older.
+   */
+  _indexDispute = async (disputeId, creationBlock) => {
+    const contractInstance = await this._ArbitratorImplementation.loadContract()
+    const dispute = await contractInstance.disputes(disputeId)
+
+    this.disputes[disputeId] = {
+      firstSession: dispute[1].toNumber(),
+      numberOfAppeals: dispute[2].toNumber(),
+      state: dispute[6].toNumber(),
+      creationBlock: _.isUndefined(creationBlock)
+        ? this.getDisputeCreationBlock(disputeId)
+        : creationBlock
+    }
+  }
+}
+
+export default DisputeIndex
@@ -2,24 +2,59 @@ import _ from 'lodash'
 
 import PromiseQueue from '../utils/PromiseQueue'
 import isRequired from '../utils/isRequired'
+import * as contractConstants from '../constants/contract'
 import * as errorConstants from '../constants/error'
+import * as ethConstants from '../constants/eth'
+import * as tokenConstants from '../constants/token'
 
 /**
  * EventListener is used to watch events on the blockchain for a set of contracts.
  * Handlers for specific events can be added. When an event log is found EventListener
- * will fire all handlers registered for the contract.
+ * will fire all handlers registered for the contract. Logs can be held back until they
+ * have enough confirmations, and logs dropped by a chain reorganization are passed to
+ * revert handlers.
  */
 class EventListener {
   /**
    * Listen for events in contract and handles callbacks with registered event handlers.
    * @param {object[]} _contractImplementations - Contract Implementation instances to fetch event logs for.
+   * @param {number} confirmations - Number of blocks that have to be mined on top of a log before it is handled.
+   * @param {object} options - Failure handling. { retries, retryDelay, onError }. A log whose handlers
+   * fail is retried retries times (default 5), waiting retryDelay milliseconds (default 1000), doubled
+   * after each try. onError is called with (error, { contractAddress, log, halted }) once a log gives
+   * up, halted is true if its contract stopped handling logs. See setEventCursorStore.
    */
-  constructor(_contractImplementations = []) {
+  constructor(
+    _contractImplementations = [],
+    confirmations = 0,
+    { retries = 5, retryDelay = 1000, onError = null } = {}
+  ) {
     this.contractInstances = []
     // map address -> { event: [handlers], ... }
     this.contractEventHandlerMap = {}
+    // map address -> { event: [revert handlers], ... }
+    this.contractEventRevertHandlerMap = {}
     // map address -> watcher instance
     this.watcherInstances = {}
+    this.confirmations = confirmations
+    this.retries = retries
+    this.retryDelay = retryDelay
+    this._onError = onError
+    // map address -> [logs] waiting for confirmations
+    this.pendingLogs = {}
+    // map address -> { logKey: log } of handled logs that could still be dropped by a reorg
+    this.handledLogs = {}
+    // block watcher used to confirm pending logs
+    this.blockWatcherInstance = null
+    // map address -> { blockNumber, logIndex } of the last log handled before watching started
+    this.eventCursors = {}
+    // map address -> true for contracts that stopped handling logs after a handler failed
+    this.haltedContracts = {}
+    // store provider and account used to persist the cursors. See setEventCursorStore
+    this._StoreProviderInstance = null
+    this.account = null
+    // pending logs are confirmed one block at a time
+    this._confirmationQueue = new PromiseQueue()
     // event handler queue
     this.eventHandlerQueue = new PromiseQueue()
     // initialize class variables for new contract instances
@@ -29,10 +64,11 @@ class EventListener {
   }
 
   /**
-   * Fetch all logs from contractInstance in a block range.
+   * Fetch all logs from contractInstance in a block range. The range is fetched in chunks, see getLogsInChunks.
    * @param {object} contractImplementationInstance - Contract Implementation instance.
    * @param {number} firstBlock - Lower bound of search range.
    * @param {number} lastBlock - Upper bound of search range.
+   * @param {object} options - Chunking options. See getLogsInChunks.
    * @returns {Promise} All events in block range.
    */
   static getAllEventLogs = async (
@@ -40,28 +76,29 @@ class EventListener {
       'contractImplementationInstance'
     ),
     firstBlock = 0,
-    lastBlock = 'latest'
-  ) =>
-    Promise.all(
-      (await contractImplementationInstance.loadContract())
-        .allEvents({
-          fromBlock: firstBlock,
-          toBlock: lastBlock
-        })
-        .get((error, result) => {
-          if (error)
-            throw new Error(errorConstants.ERROR_FETCHING_EVENTS(error))
+    lastBlock = 'latest',
+    options
+  ) => {
+    const contractInstance = await contractImplementationInstance.loadContract()
 
-          return result
-        })
+    return EventListener.getLogsInChunks(
+      contractImplementationInstance,
+      (fromBlock, toBlock) =>
+        contractInstance.allEvents({ fromBlock, toBlock }),
+      firstBlock,
+      lastBlock,
+      options
     )
+  }
 
   /**
-   * Fetch logs from contractInstance for a specific event in a block range.
+   * Fetch logs from contractInstance for a specific event in a block range. The range
+   * is fetched in chunks, see getLogsInChunks.
    * @param {object} contractImplementationInstance - contract Implementation instance.
    * @param {string} eventName - Name of the event.
    * @param {number} firstBlock - Lower bound of search range.
    * @param {number} lastBlock - Upper bound of search range.
+   * @param {object} options - Chunking options. See getLogsInChunks.
    * @returns {Promise} All events in block range.
    */
   static getEventLogs = async (
@@ -70,33 +107,204 @@ class EventListener {
     ),
     eventName = isRequired('eventName'),
     firstBlock = 0,
-    lastBlock = 'latest'
-  ) =>
-    Promise.all(
-      (await contractImplementationInstance.loadContract())
-        [eventName]({
-          fromBlock: firstBlock,
-          toBlock: lastBlock
+    lastBlock = 'latest',
+    options
+  ) => {
+    const contractInstance = await contractImplementationInstance.loadContract()
+
+    const logs = await EventListener.getLogsInChunks(
+      contractImplementationInstance,
+      (fromBlock, toBlock) =>
+        contractInstance[eventName]({}, { fromBlock, toBlock }),
+      firstBlock,
+      lastBlock,
+      options
+    )
+
+    return logs.filter(log => log.event === eventName)
+  }
+
+  /**
+   * Fetch Transfer or Approval logs of a token in a block range, decoded with amounts in PNK.
+   * See PinakionPOC.decodeTokenEvent.
+   * @param {object} tokenImplementationInstance - Token contract implementation instance, e.g. PinakionPOC.
+   * @param {string} eventName - Transfer or Approval.
+   * @param {number} firstBlock - Lower bound of search range.
+   * @param {number} lastBlock - Upper bound of search range.
+   * @param {object} options - Chunking options. See getLogsInChunks.
+   * @returns {Promise} The decoded events in block range.
+   */
+  static getTokenEventLogs = async (
+    tokenImplementationInstance = isRequired('tokenImplementationInstance'),
+    eventName = isRequired('eventName'),
+    firstBlock = 0,
+    lastBlock = 'latest',
+    options
+  ) => {
+    EventListener._requireTokenEvent(eventName)
+
+    const logs = await EventListener.getEventLogs(
+      tokenImplementationInstance,
+      eventName,
+      firstBlock,
+      lastBlock,
+      options
+    )
+
+    return logs.map(tokenImplementationInstance.decodeTokenEvent)
+  }
+
+  /**
+   * Fetch logs of an ArbitrableTransaction in a block range, decoded. See
+   * ArbitrableTransaction.decodeEvent.
+   * @param {object} arbitrableTransactionInstance - ArbitrableTransaction implementation instance.
+   * @param {string} eventName - HasToPayFee, Dispute, Evidence or ContractHash.
+   * @param {number} firstBlock - Lower bound of search range.
+   * @param {number} lastBlock - Upper bound of search range.
+   * @param {object} options - Chunking options. See getLogsInChunks.
+   * @returns {Promise} The decoded events in block range.
+   */
+  static getArbitrableTransactionEventLogs = async (
+    arbitrableTransactionInstance = isRequired('arbitrableTransactionInstance'),
+    eventName = isRequired('eventName'),
+    firstBlock = 0,
+    lastBlock = 'latest',
+    options
+  ) => {
+    EventListener._requireArbitrableTransactionEvent(eventName)
+
+    const logs = await EventListener.getEventLogs(
+      arbitrableTransactionInstance,
+      eventName,
+      firstBlock,
+      lastBlock,
+      options
+    )
+
+    return logs.map(arbitrableTransactionInstance.decodeEvent)
+  }
+
+  /**
+   * Throw if an event is not a token event.
+   * @param {string} eventName - Name of the event.
+   */
+  static _requireTokenEvent = eventName => {
+    if (!_.includes(_.values(tokenConstants.EVENT), eventName))
+      throw new Error(errorConstants.NOT_A_TOKEN_EVENT(eventName))
+  }
+
+  /**
+   * Throw if an event is not an ArbitrableTransaction event.
+   * @param {string} eventName - Name of the event.
+   */
+  static _requireArbitrableTransactionEvent = eventName => {
+    if (!_.includes(_.values(contractConstants.EVENT), eventName))
+      throw new Error(
+        errorConstants.NOT_AN_ARBITRABLE_TRANSACTION_EVENT(eventName)
+      )
+  }
+
+  /**
+   * Fetch logs in a block range, a chunk of blocks at a time. Nodes often reject large
+   * ranges, so a chunk that fails is retried with half the size. The chunk size grows
+   * back after every successful chunk, up to the initial size.
+   * @param {object} contractImplementationInstance - Contract Implementation instance. Used to resolve 'latest'.
+   * @param {function} createFilter - Called with (fromBlock, toBlock). Returns a filter with a get method.
+   * @param {number} firstBlock - Lower bound of search range.
+   * @param {number|string} lastBlock - Upper bound of search range.
+   * @param {object} options - { chunkSize, onProgress }. onProgress is called with
+   *                 { fromBlock, toBlock, lastFetchedBlock } after every chunk.
+   * @returns {Promise} - All logs in the block range, in order.
+   */
+  static getLogsInChunks = async (
+    contractImplementationInstance = isRequired(
+      'contractImplementationInstance'
+    ),
+    createFilter = isRequired('createFilter'),
+    firstBlock = 0,
+    lastBlock = 'latest',
+    { chunkSize = ethConstants.LOG_CHUNK_SIZE, onProgress } = {}
+  ) => {
+    const toBlock =
+      lastBlock === 'latest'
+        ? await contractImplementationInstance.getBlockNumber()
+        : lastBlock
+    let logs = []
+    let currentChunkSize = chunkSize
+
+    for (let chunkStart = firstBlock; chunkStart <= toBlock; ) {
+      const chunkEnd = Math.min(chunkStart + currentChunkSize - 1, toBlock)
+
+      try {
+        const chunkLogs = await new Promise((resolve, reject) => {
+          createFilter(chunkStart, chunkEnd).get((error, result) => {
+            if (error) return reject(error)
+
+            resolve(result)
+          })
         })
-        .get((error, result) => {
-          if (error)
-            throw new Error(errorConstants.ERROR_FETCHING_EVENTS(error))
+        logs = logs.concat(chunkLogs)
+      } catch (err) {
+        if (currentChunkSize === 1)
+          throw new Error(errorConstants.ERROR_FETCHING_EVENTS(err))
+
+        currentChunkSize = Math.ceil(currentChunkSize / 2)
+        continue
+      }
 
-          if (eventName === result.event) return result
+      if (onProgress)
+        onProgress({
+          fromBlock: firstBlock,
+          toBlock,
+          lastFetchedBlock: chunkEnd
         })
-    )
+      chunkStart = chunkEnd + 1
+      currentChunkSize = Math.min(currentChunkSize * 2, chunkSize)
+    }
+
+    return logs
+  }
 
   /**
    * Add a contract instance to watch for new event logs.
    * @param {object} contractImplementationInstance - Contract Implementation instance
    */
   addContractImplementation = contractImplementationInstance => {
+    const contractAddress = contractImplementationInstance.getContractAddress()
     this.contractInstances.push(contractImplementationInstance)
-    this.contractEventHandlerMap[
-      contractImplementationInstance.getContractAddress()
-    ] = {}
+    this.contractEventHandlerMap[contractAddress] = {}
+    this.contractEventRevertHandlerMap[contractAddress] = {}
+    this.pendingLogs[contractAddress] = []
+    this.handledLogs[contractAddress] = {}
+    this.eventCursors[contractAddress] = null
+  }
+
+  /**
+   * Persist the position of the last handled log of every contract for an account. The
+   * cursor is committed after all handlers for a log succeed, and watchForEvents resumes
+   * right after it. Delivery is at least once: a log whose handlers ran but whose cursor was
+   * not committed, e.g. after a crash, is handled again, so handlers have to be idempotent.
+   * If a log still fails after its retries no further logs are handled for the contract, see
+   * isHalted, until watchForEvents is called again and the failed log is handled again.
+   * @param {object} storeProviderInstance - StoreProviderWrapper instance.
+   * @param {string} account - Address of the user the cursors are stored for.
+   */
+  setEventCursorStore = (
+    storeProviderInstance = isRequired('storeProviderInstance'),
+    account = isRequired('account')
+  ) => {
+    this._StoreProviderInstance = storeProviderInstance
+    this.account = account
   }
 
+  /**
+   * Whether a contract stopped handling logs because a log failed after all its retries.
+   * Call watchForEvents or backfillAndWatch to resume from the failed log.
+   * @param {string} contractAddress - Address of the contract.
+   * @returns {bool} - True if the logs of the contract are not handled.
+   */
+  isHalted = contractAddress => Boolean(this.haltedContracts[contractAddress])
+
   /**
    * Remove contract instance being watched. Will also remove all handlers.
    * @param {string} contractImplementationInstance - contract implementation instance
@@ -118,8 +326,13 @@ class EventListener {
     // stop watching on these instances
     removedInstance.forEach(instance => this.stopWatchingForEvents(instance))
 
-    // remove handlers for contract instance
+    // remove handlers and logs for contract instance
     delete this.contractEventHandlerMap[contractAddress]
+    delete this.contractEventRevertHandlerMap[contractAddress]
+    delete this.pendingLogs[contractAddress]
+    delete this.handledLogs[contractAddress]
+    delete this.eventCursors[contractAddress]
+    delete this.haltedContracts[contractAddress]
   }
 
   /**
@@ -127,78 +340,490 @@ class EventListener {
    * @param {string} contractImplementationInstance - Contract implementation instance
    * @param {string} eventName - Name of event.
    * @param {function} handler - Function to be called when event is consumed.
+   * @param {function} revertHandler - Optional function to be called when a consumed event is dropped by a reorg.
    */
   addEventHandler = (
     contractImplementationInstance = isRequired('contractAddress'),
     eventName = isRequired('eventName'),
-    handler = isRequired('handler')
+    handler = isRequired('handler'),
+    revertHandler
   ) => {
     const contractAddress = contractImplementationInstance.getContractAddress()
     if (!this.contractEventHandlerMap[contractAddress][eventName])
       this.contractEventHandlerMap[contractAddress][eventName] = []
     this.contractEventHandlerMap[contractAddress][eventName].push(handler)
+
+    if (revertHandler) {
+      if (!this.contractEventRevertHandlerMap[contractAddress][eventName])
+        this.contractEventRevertHandlerMap[contractAddress][eventName] = []
+      this.contractEventRevertHandlerMap[contractAddress][eventName].push(
+        revertHandler
+      )
+    }
+  }
+
+  /**
+   * Add a handler for Transfer or Approval logs of a token. Handlers are called with the
+   * decoded event, with the amount in PNK, and the raw log. See PinakionPOC.decodeTokenEvent.
+   * @param {object} tokenImplementationInstance - Token contract implementation instance, e.g. PinakionPOC.
+   * @param {string} eventName - Transfer or Approval.
+   * @param {function} handler - Function to be called when event is consumed.
+   * @param {function} revertHandler - Optional function to be called when a consumed event is dropped by a reorg.
+   */
+  addTokenEventHandler = (
+    tokenImplementationInstance = isRequired('tokenImplementationInstance'),
+    eventName = isRequired('eventName'),
+    handler = isRequired('handler'),
+    revertHandler
+  ) => {
+    EventListener._requireTokenEvent(eventName)
+
+    const withTokenEvent = tokenHandler => log =>
+      tokenHandler(tokenImplementationInstance.decodeTokenEvent(log), log)
+
+    this.addEventHandler(
+      tokenImplementationInstance,
+      eventName,
+      withTokenEvent(handler),
+      revertHandler && withTokenEvent(revertHandler)
+    )
+  }
+
+  /**
+   * Add a handler for logs of an ArbitrableTransaction, e.g. to know when a party has to pay
+   * the arbitration fee. Handlers are called with the decoded event and the raw log. See
+   * ArbitrableTransaction.decodeEvent.
+   * @param {object} arbitrableTransactionInstance - ArbitrableTransaction implementation instance.
+   * @param {string} eventName - HasToPayFee, Dispute, Evidence or ContractHash.
+   * @param {function} handler - Function to be called when event is consumed.
+   * @param {function} revertHandler - Optional function to be called when a consumed event is dropped by a reorg.
+   */
+  addArbitrableTransactionEventHandler = (
+    arbitrableTransactionInstance = isRequired('arbitrableTransactionInstance'),
+    eventName = isRequired('eventName'),
+    handler = isRequired('handler'),
+    revertHandler
+  ) => {
+    EventListener._requireArbitrableTransactionEvent(eventName)
+
+    const withDecodedEvent = eventHandler => log =>
+      eventHandler(arbitrableTransactionInstance.decodeEvent(log), log)
+
+    this.addEventHandler(
+      arbitrableTransactionInstance,
+      eventName,
+      withDecodedEvent(handler),
+      revertHandler && withDecodedEvent(revertHandler)
+    )
   }
 
   /**
    * Watch for events on all contract instances. Call registered handlers when logs are found.
-   * @param {number} fromBlock - A block number can be passed to catch up on missed logs
+   * @param {number} fromBlock - A block number can be passed to catch up on missed logs. Ignored for contracts with a stored cursor.
    * @returns {Promise} - Promise resolves when all watchers have been started
    */
-  watchForEvents = async (fromBlock = 'latest') =>
-    Promise.all(
+  watchForEvents = async (fromBlock = 'latest') => {
+    this._watchBlocks()
+
+    return Promise.all(
       this.contractInstances.map(async contractImplementation => {
         const instance = await contractImplementation.loadContract()
-        const newWatcherInstance = instance.allEvents({
-          fromBlock: fromBlock,
-          lastBlock: 'latest'
-        })
+        const eventCursor = await this._resumeContract(instance.address)
 
-        // NOTE: should we allow more than one listener per contract instance?
-        if (this.watcherInstances[instance.address])
-          this.watcherInstances[instance.address].stopWatching()
-
-        this.watcherInstances[instance.address] = newWatcherInstance
-        newWatcherInstance.watch((error, result) => {
-          if (!error) {
-            const handlers = this.contractEventHandlerMap[instance.address][
-              result.event
-            ]
-            if (handlers) {
-              handlers.forEach(handler => {
-                this._queueEvent(handler, result)
-              })
-            }
-          }
-        })
+        // logs in the cursor block up to the cursor are skipped in _receiveLog
+        this._watchContract(
+          instance,
+          eventCursor ? eventCursor.blockNumber : fromBlock
+        )
       })
     )
+  }
+
+  /**
+   * Catch up on past logs and then watch for new ones. Past logs are fetched in chunks
+   * up to the current block and live watching starts at the next block, so no log is
+   * missed or handled twice. Contracts with a stored cursor are caught up from the cursor.
+   * @param {number} fromBlock - The block to catch up from.
+   * @param {object} options - Chunking options. See getLogsInChunks. onProgress is also
+   *                 passed the contractAddress.
+   */
+  backfillAndWatch = async (fromBlock = 0, options = {}) => {
+    if (this.contractInstances.length === 0) return
+
+    this._watchBlocks()
+    const currentBlock = await this.contractInstances[0].getBlockNumber()
+
+    // contracts are caught up one at a time so the node is not flooded with requests
+    for (let contractImplementation of this.contractInstances)
+      await this._backfillAndWatchContract(
+        contractImplementation,
+        fromBlock,
+        currentBlock,
+        options
+      )
+
+    // past logs might already have enough confirmations
+    if (this.confirmations > 0)
+      this._confirmationQueue.push(this._confirmPendingLogs)
+  }
+
+  /**
+   * Catch up on past logs of one contract and then watch for new ones, e.g. for a contract
+   * added with addContractImplementation after the others are watched. Add its handlers first.
+   * @param {object} contractImplementationInstance - Contract Implementation instance.
+   * @param {number} fromBlock - The block to catch up from. Ignored if the contract has a stored cursor.
+   * @param {object} options - Chunking options. See backfillAndWatch.
+   */
+  backfillAndWatchContract = async (
+    contractImplementationInstance = isRequired(
+      'contractImplementationInstance'
+    ),
+    fromBlock = 0,
+    options = {}
+  ) => {
+    this._watchBlocks()
+    const currentBlock = await contractImplementationInstance.getBlockNumber()
+
+    await this._backfillAndWatchContract(
+      contractImplementationInstance,
+      fromBlock,
+      currentBlock,
+      options
+    )
+
+    if (this.confirmations > 0)
+      this._confirmationQueue.push(this._confirmPendingLogs)
+  }
+
+  /**
+   * Catch up on the logs of a contract up to a block and watch it from the next one.
+   * @param {object} contractImplementation - Contract Implementation instance.
+   * @param {number} fromBlock - The block to catch up from, if the contract has no stored cursor.
+   * @param {number} currentBlock - The last block to catch up on.
+   * @param {object} options - Chunking options. See backfillAndWatch.
+   */
+  _backfillAndWatchContract = async (
+    contractImplementation,
+    fromBlock,
+    currentBlock,
+    options
+  ) => {
+    const instance = await contractImplementation.loadContract()
+    const eventCursor = await this._resumeContract(instance.address)
+
+    const logs = await EventListener.getAllEventLogs(
+      contractImplementation,
+      eventCursor ? eventCursor.blockNumber : fromBlock,
+      currentBlock,
+      {
+        ...options,
+        onProgress:
+          options.onProgress &&
+          (progress =>
+            options.onProgress({
+              ...progress,
+              contractAddress: instance.address
+            }))
+      }
+    )
+    logs.forEach(log => this._receiveLog(instance.address, log))
+
+    this._watchContract(instance, currentBlock + 1)
+  }
+
+  /**
+   * Start the block watcher used to confirm pending logs, if logs need confirmations.
+   */
+  _watchBlocks = () => {
+    if (
+      this.confirmations > 0 &&
+      !this.blockWatcherInstance &&
+      this.contractInstances.length > 0
+    )
+      this.blockWatcherInstance = this.contractInstances[0].watchBlocks(
+        error => {
+          if (!error) this._confirmationQueue.push(this._confirmPendingLogs)
+        }
+      )
+  }
+
+  /**
+   * Get ready to handle logs of a contract again: clear a halt from a failed handler and
+   * load the stored cursor.
+   * @param {string} contractAddress - Address of the contract.
+   * @returns {Promise} - Resolves to the cursor of the contract or null.
+   */
+  _resumeContract = async contractAddress => {
+    delete this.haltedContracts[contractAddress]
+    if (this._StoreProviderInstance)
+      this.eventCursors[
+        contractAddress
+      ] = await this._StoreProviderInstance.getEventCursor(
+        this.account,
+        contractAddress
+      )
+
+    return this.eventCursors[contractAddress]
+  }
+
+  /**
+   * Start watching a contract for new logs. Replaces the current watcher of the contract.
+   * @param {object} instance - The loaded contract instance.
+   * @param {number|string} fromBlock - The block to start watching from.
+   */
+  _watchContract = (instance, fromBlock) => {
+    const newWatcherInstance = instance.allEvents({
+      fromBlock: fromBlock,
+      toBlock: 'latest'
+    })
+
+    // NOTE: should we allow more than one listener per contract instance?
+    if (this.watcherInstances[instance.address])
+      this.watcherInstances[instance.address].stopWatching()
+
+    this.watcherInstances[instance.address] = newWatcherInstance
+    newWatcherInstance.watch((error, result) => {
+      if (!error) this._receiveLog(instance.address, result)
+    })
+  }
 
   /**
    * Stop listening on contract. If no contractAddress supplied it stops all listeners.
    * @param {string} contractImplementationInstance - Address of the contract to stop watching
    */
   stopWatchingForEvents = contractImplementationInstance => {
-    if (contractImplementationInstance)
-      this.watcherInstances[
-        contractImplementationInstance.getContractAddress()
-      ].stopWatching()
-    else
+    if (contractImplementationInstance) {
+      const contractAddress = contractImplementationInstance.getContractAddress()
+      this.watcherInstances[contractAddress].stopWatching()
+      // logs that have not been handled yet will be fetched again on the next watch
+      this.pendingLogs[contractAddress] = []
+    } else {
       this.contractInstances.forEach(instance => {
         this.watcherInstances[instance.getContractAddress()].stopWatching()
+        this.pendingLogs[instance.getContractAddress()] = []
       })
+
+      if (this.blockWatcherInstance) {
+        this.blockWatcherInstance.stopWatching()
+        this.blockWatcherInstance = null
+      }
+    }
   }
 
   /**
-   * Queues an event.
-   * @param {function} handler - The handler.
-   * @param {object} event - The event.
+   * Handle a log from a contract watcher. New logs are handled right away or held back
+   * until they are confirmed. Removed logs are dropped if they are still pending, or
+   * reverted if they have already been handled.
+   * @param {string} contractAddress - Address of the contract that emitted the log.
+   * @param {object} log - The event log.
    */
-  _queueEvent = async (handler, event) => {
-    const eventTask = async () => {
-      await handler(event)
+  _receiveLog = (contractAddress, log) => {
+    const logKey = this._getLogKey(log)
+    const pendingLogs = this.pendingLogs[contractAddress]
+    const handledLogs = this.handledLogs[contractAddress]
+    if (!pendingLogs || !handledLogs || this.haltedContracts[contractAddress])
+      return
+
+    if (log.removed) {
+      const removedPendingLogs = _.remove(
+        pendingLogs,
+        pendingLog => this._getLogKey(pendingLog) === logKey
+      )
+      if (removedPendingLogs.length === 0 && handledLogs[logKey])
+        this._revertLog(contractAddress, handledLogs[logKey])
+      return
     }
 
-    this.eventHandlerQueue.push(eventTask)
+    // the same log can be delivered more than once, e.g. when catching up from a block
+    if (
+      handledLogs[logKey] ||
+      _.some(
+        pendingLogs,
+        pendingLog => this._getLogKey(pendingLog) === logKey
+      ) ||
+      this._isBeforeEventCursor(contractAddress, log)
+    )
+      return
+
+    if (this.confirmations > 0) pendingLogs.push(log)
+    else this._handleLog(contractAddress, log)
+  }
+
+  /**
+   * Handle all pending logs that have enough confirmations. Logs from blocks that are
+   * no longer part of the chain are dropped.
+   */
+  _confirmPendingLogs = async () => {
+    if (this.contractInstances.length === 0) return
+
+    const chainInstance = this.contractInstances[0]
+    const currentBlock = await chainInstance.getBlockNumber()
+    // map blockNumber -> block hash of the current chain
+    const blockHashes = {}
+
+    for (let contractAddress in this.pendingLogs) {
+      if (this.pendingLogs.hasOwnProperty(contractAddress)) {
+        const confirmedLogs = _.sortBy(
+          this.pendingLogs[contractAddress].filter(
+            log => currentBlock - log.blockNumber >= this.confirmations
+          ),
+          ['blockNumber', 'logIndex']
+        )
+
+        for (let log of confirmedLogs) {
+          if (!blockHashes[log.blockNumber])
+            blockHashes[log.blockNumber] = (await chainInstance.getBlock(
+              log.blockNumber
+            )).hash
+
+          _.pull(this.pendingLogs[contractAddress], log)
+          if (blockHashes[log.blockNumber] === log.blockHash)
+            this._handleLog(contractAddress, log)
+        }
+      }
+    }
+  }
+
+  /**
+   * Queue all handlers registered for a log and remember the log so it can be reverted.
+   * @param {string} contractAddress - Address of the contract that emitted the log.
+   * @param {object} log - The event log.
+   */
+  _handleLog = (contractAddress, log) => {
+    const handledLogs = this.handledLogs[contractAddress]
+    handledLogs[this._getLogKey(log)] = log
+    // forget logs that are too deep to be dropped by a reorg
+    for (let logKey in handledLogs) {
+      if (
+        handledLogs.hasOwnProperty(logKey) &&
+        handledLogs[logKey].blockNumber <
+          log.blockNumber - ethConstants.MAX_REORG_DEPTH
+      )
+        delete handledLogs[logKey]
+    }
+
+    const handlers = this.contractEventHandlerMap[contractAddress][log.event]
+    if (handlers)
+      this._queueLog(contractAddress, log, handlers, {
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex
+      })
+  }
+
+  /**
+   * Queue all revert handlers registered for a log that was dropped by a reorg.
+   * @param {string} contractAddress - Address of the contract that emitted the log.
+   * @param {object} log - The event log as it was handled.
+   */
+  _revertLog = (contractAddress, log) => {
+    delete this.handledLogs[contractAddress][this._getLogKey(log)]
+
+    const revertHandlers = this.contractEventRevertHandlerMap[contractAddress][
+      log.event
+    ]
+    // move the cursor back so the position can be handled again in the new chain
+    const eventCursor = {
+      blockNumber: log.blockNumber,
+      logIndex: log.logIndex - 1
+    }
+    if (this._isBeforeEventCursor(contractAddress, log))
+      this.eventCursors[contractAddress] = eventCursor
+
+    if (revertHandlers || this._StoreProviderInstance)
+      this._queueLog(contractAddress, log, revertHandlers || [], eventCursor)
+  }
+
+  /**
+   * Check if a log is at or before the cursor of its contract, i.e. it was handled before watching started.
+   * @param {string} contractAddress - Address of the contract that emitted the log.
+   * @param {object} log - The event log.
+   * @returns {bool} - If the log is at or before the cursor.
+   */
+  _isBeforeEventCursor = (contractAddress, log) => {
+    const eventCursor = this.eventCursors[contractAddress]
+    if (!eventCursor) return false
+
+    return (
+      log.blockNumber < eventCursor.blockNumber ||
+      (log.blockNumber === eventCursor.blockNumber &&
+        log.logIndex <= eventCursor.logIndex)
+    )
+  }
+
+  /**
+   * Get a key that identifies a log in a specific block.
+   * @param {object} log - The event log.
+   * @returns {string} - The key.
+   */
+  _getLogKey = log => `${log.blockHash}-${log.logIndex}`
+
+  /**
+   * Queue a log. Its handlers are called one after the other and the cursor of the
+   * contract is committed once they all succeed. See _runLogHandlers for failures.
+   * @param {string} contractAddress - Address of the contract that emitted the log.
+   * @param {object} log - The event log.
+   * @param {function[]} handlers - The handlers to call with the log.
+   * @param {object} eventCursor - The cursor to commit. { blockNumber, logIndex }
+   */
+  _queueLog = (contractAddress, log, handlers, eventCursor) => {
+    this.eventHandlerQueue.push(() =>
+      this._runLogHandlers(contractAddress, log, handlers, eventCursor)
+    )
+  }
+
+  /**
+   * Call the handlers of a log and commit the cursor. A failure is retried with a growing
+   * delay, starting at the handler that failed. Once the retries are used up the contract is
+   * halted, as later logs can't be handled without skipping this one, and onError is called.
+   * @param {string} contractAddress - Address of the contract that emitted the log.
+   * @param {object} log - The event log.
+   * @param {function[]} handlers - The handlers to call with the log.
+   * @param {object} eventCursor - The cursor to commit. { blockNumber, logIndex }
+   * @param {number} attempt - Number of failed tries so far.
+   * @param {number} handled - Number of handlers that already succeeded.
+   */
+  _runLogHandlers = async (
+    contractAddress,
+    log,
+    handlers,
+    eventCursor,
+    attempt = 0,
+    handled = 0
+  ) => {
+    if (this.haltedContracts[contractAddress]) return
+
+    let nextHandler = handled
+    try {
+      for (; nextHandler < handlers.length; nextHandler++)
+        await handlers[nextHandler](log)
+
+      if (this._StoreProviderInstance)
+        await this._StoreProviderInstance.updateEventCursor(
+          this.account,
+          contractAddress,
+          eventCursor
+        )
+    } catch (err) {
+      if (attempt < this.retries) {
+        await new Promise(resolve =>
+          setTimeout(resolve, this.retryDelay * 2 ** attempt)
+        )
+
+        await this._runLogHandlers(
+          contractAddress,
+          log,
+          handlers,
+          eventCursor,
+          attempt + 1,
+          nextHandler
+        )
+      } else {
+        const halted = Boolean(this._StoreProviderInstance)
+        if (halted) this.haltedContracts[contractAddress] = true
+        if (this._onError) this._onError(err, { contractAddress, log, halted })
+        else console.error(err)
+      }
+    }
   }
 }
 
@@ -0,0 +1,95 @@
+import _ from 'lodash'
+
+import * as ethConstants from '../constants/eth'
+import * as errorConstants from '../constants/error'
+
+/**
+ * Decides the gas and gas price of the transactions sent by contract implementations and
+ * deployContractAsync. By default the gas estimate plus a margin is used, capped at
+ * TRANSACTION.GAS, and the gas price is left to the node.
+ */
+class GasPolicy {
+  /**
+   * Create a new GasPolicy.
+   * @param {object} options - Policy options.
+   * @param {bool} options.useEstimate - Send the estimate plus the margin. If false the cap is sent.
+   * @param {number} options.margin - Fraction added to the estimate. e.g. 0.2 for 20% more gas.
+   * @param {number} options.defaultCap - Maximum gas of methods without their own cap.
+   * @param {object} options.caps - Maximum gas per method. map methodName -> gas. Deploys use 'constructor'.
+   * @param {function} options.gasPriceOracle - Called with the method name, returns (a promise of) the gas price in wei. Nil leaves it to the node.
+   */
+  constructor({
+    useEstimate = true,
+    margin = 0.2,
+    defaultCap = ethConstants.TRANSACTION.GAS,
+    caps = {},
+    gasPriceOracle = null
+  } = {}) {
+    this.useEstimate = useEstimate
+    this.margin = margin
+    this.defaultCap = defaultCap
+    this.caps = caps
+    this.gasPriceOracle = gasPriceOracle
+  }
+
+  /**
+   * Get the maximum gas of a method.
+   * @param {string} methodName - Name of the contract method.
+   * @returns {number} - The cap.
+   */
+  getCap = methodName =>
+    _.has(this.caps, methodName) ? this.caps[methodName] : this.defaultCap
+
+  /**
+   * Get the gas to send with a transaction.
+   * @param {string} methodName - Name of the contract method.
+   * @param {function} estimateGas - Returns a promise of the gas estimate. Estimating also fails for
+   * transactions that would fail. If null the cap is used without estimating.
+   * @returns {Promise} - Resolves to the gas.
+   */
+  getGas = async (methodName, estimateGas) => {
+    const cap = this.getCap(methodName)
+    if (!estimateGas) return cap
+
+    const estimate = Number(await estimateGas())
+    if (estimate > cap)
+      throw new Error(
+        errorConstants.GAS_ESTIMATE_EXCEEDS_CAP(methodName, estimate, cap)
+      )
+    if (!this.useEstimate) return cap
+
+    return Math.min(Math.ceil(estimate * (1 + this.margin)), cap)
+  }
+
+  /**
+   * Get the gas price to send with a transaction from the oracle.
+   * @param {string} methodName - Name of the contract method.
+   * @returns {Promise} - Resolves to the gas price in wei or null to use the node's gas price.
+   */
+  getGasPrice = async methodName =>
+    this.gasPriceOracle ? this.gasPriceOracle(methodName) : null
+
+  /**
+   * Get the gas params of a transaction.
+   * @param {string} methodName - Name of the contract method.
+   * @param {function} estimateGas - Returns a promise of the gas estimate.
+   * @param {object} txOptions - Per call overrides. { gas, gasPrice, estimateGas }. Pass
+   * estimateGas: false to send the cap without estimating.
+   * @returns {Promise} - Resolves to { gas, gasPrice }. gasPrice is omitted if it is left to the node.
+   */
+  getGasParams = async (methodName, estimateGas, txOptions = {}) => {
+    const gas = _.isNil(txOptions.gas)
+      ? await this.getGas(
+          methodName,
+          txOptions.estimateGas === false ? null : estimateGas
+        )
+      : txOptions.gas
+    const gasPrice = _.isNil(txOptions.gasPrice)
+      ? await this.getGasPrice(methodName)
+      : txOptions.gasPrice
+
+    return _.omitBy({ gas, gasPrice }, _.isNil)
+  }
+}
+
+export default GasPolicy
@@ -0,0 +1,183 @@
+import _ from 'lodash'
+
+import * as errorConstants from '../constants/error'
+
+import isRequired from './isRequired'
+
+/**
+ * Web3 provider that signs the transactions of a signer's account locally and sends them
+ * raw, so they can go through a plain RPC node. Everything else is forwarded to the wrapped
+ * provider. It can be passed anywhere a web3 provider is expected.
+ */
+class SignerProvider {
+  /**
+   * Create a new SignerProvider.
+   * @param {object} provider - The web3 provider of the node.
+   * @param {object} signer - The signer. See utils/signers.
+   */
+  constructor(
+    provider = isRequired('provider'),
+    signer = isRequired('signer')
+  ) {
+    // don't sign twice if a SignerProvider is wrapped again
+    this._provider =
+      provider instanceof SignerProvider ? provider._provider : provider
+    this._signer = signer
+    this._chainId = undefined
+    this._requestId = 0
+  }
+
+  /**
+   * Get the signer.
+   * @returns {object} - The signer.
+   */
+  getSigner = () => this._signer
+
+  /**
+   * Synchronous request. Only requests that do not need the node can be answered for the signer.
+   * @param {object} payload - JSON RPC payload.
+   * @returns {object} - JSON RPC response.
+   */
+  send = payload => {
+    if (payload.method === 'eth_accounts')
+      return this._response(payload, [this._signer.getAddress()])
+    if (payload.method === 'eth_sendTransaction')
+      throw new Error(
+        errorConstants.SYNCHRONOUS_REQUEST_NOT_SUPPORTED(payload.method)
+      )
+
+    return this._provider.send(payload)
+  }
+
+  /**
+   * Asynchronous request.
+   * @param {object|object[]} payload - JSON RPC payload or batch of payloads.
+   * @param {function} callback - Called with (error, response).
+   */
+  sendAsync = (payload, callback) => {
+    const response = _.isArray(payload)
+      ? Promise.all(payload.map(this._handle))
+      : this._handle(payload)
+
+    response.then(result => callback(null, result), callback)
+  }
+
+  /**
+   * Check if the wrapped provider is connected.
+   * @returns {bool} - The connection status.
+   */
+  isConnected = () => this._provider.isConnected()
+
+  /**
+   * Answer a request, signing transactions of the signer's account.
+   * @param {object} payload - JSON RPC payload.
+   * @returns {Promise} - Resolves to the JSON RPC response.
+   */
+  _handle = async payload => {
+    if (payload.method === 'eth_accounts')
+      return this._response(payload, [this._signer.getAddress()])
+    if (
+      payload.method === 'eth_sendTransaction' &&
+      _.toLower(payload.params[0].from) === this._signer.getAddress()
+    )
+      return this._sendTransaction(payload)
+
+    // transactions from other accounts are left to the node
+    return this._forward(payload)
+  }
+
+  /**
+   * Sign a transaction and send it raw.
+   * @param {object} payload - eth_sendTransaction payload.
+   * @returns {Promise} - Resolves to the JSON RPC response, with the transaction hash as result.
+   */
+  _sendTransaction = async payload => {
+    const txParams = payload.params[0]
+    const [gasPrice, gas, chainId] = await Promise.all([
+      txParams.gasPrice || this._request('eth_gasPrice', []),
+      txParams.gas || this._request('eth_estimateGas', [txParams]),
+      this._getChainId()
+    ])
+    const nonce = _.isNil(txParams.nonce)
+      ? await this._signer.getNonce(address =>
+          this._request('eth_getTransactionCount', [address, 'pending'])
+        )
+      : txParams.nonce
+
+    const rawTransaction = this._signer.signTransaction(
+      _.omitBy({ ...txParams, gasPrice, gas, nonce, chainId }, _.isNil)
+    )
+    // if the nonce is not used, let the node tell us the next one
+    const response = await this._forward({
+      ...payload,
+      method: 'eth_sendRawTransaction',
+      params: [rawTransaction]
+    }).catch(err => {
+      this._signer.resetNonce()
+      throw err
+    })
+    if (response.error) this._signer.resetNonce()
+
+    return response
+  }
+
+  /**
+   * Get the chain id used for replay protection. Nodes that do not support eth_chainId get
+   * transactions without it.
+   * @returns {Promise} - Resolves to the chain id or null.
+   */
+  _getChainId = async () => {
+    if (_.isUndefined(this._chainId))
+      this._chainId = await this._request('eth_chainId', [])
+        .then(Number)
+        .catch(() => null)
+
+    return this._chainId
+  }
+
+  /**
+   * Make a request to the wrapped provider.
+   * @param {string} method - JSON RPC method.
+   * @param {any[]} params - JSON RPC params.
+   * @returns {Promise} - Resolves to the result. Rejects with the JSON RPC error.
+   */
+  _request = async (method, params) => {
+    const response = await this._forward({
+      jsonrpc: '2.0',
+      id: `signer-${this._requestId++}`,
+      method,
+      params
+    })
+    if (response.error) throw new Error(response.error.message)
+
+    return response.result
+  }
+
+  /**
+   * Forward a payload to the wrapped provider.
+   * @param {object} payload - JSON RPC payload.
+   * @returns {Promise} - Resolves to the JSON RPC response.
+   */
+  _forward = payload =>
+    new Promise((resolve, reject) => {
+      this._provider.sendAsync(payload, (error, response) => {
+        if (error) return reject(error)
+
+        resolve(response)
+      })
+    })
+
+  /**
+   * Build a JSON RPC response.
+   * @param {object} payload - The JSON RPC payload answered.
+   * @param {any} result - The result.
+   * @returns {object} - The JSON RPC response.
+   */
+  _response = (payload, result) => ({
+    id: payload.id,
+    jsonrpc: payload.jsonrpc,
+    result
+  })
+}
+
+export default SignerProvider
@@ -3,77 +3,52 @@ import _ from 'lodash'
 import * as errorConstants from '../constants/error'
 
 import PromiseQueue from './PromiseQueue'
+import HTTPStoreAdapter from './storeAdapters/HTTPStoreAdapter'
 
 /**
- * A wrapper for interacting with Kleros Store.
+ * A wrapper for interacting with Kleros Store. Reads and writes go through a store
+ * adapter, see utils/storeAdapters. HTTPStoreAdapter is used when a uri is passed.
  */
 class StoreProviderWrapper {
   /**
    * Create a new instance of StoreProviderWrapper.
-   * @param {string} storeProviderUri - The uri of kleros store.
+   * @param {string|object} storeProvider - The uri of kleros store or a store adapter instance.
    */
-  constructor(storeProviderUri) {
-    this._storeUri = storeProviderUri
+  constructor(storeProvider) {
+    this._storeAdapter = _.isString(storeProvider)
+      ? new HTTPStoreAdapter(storeProvider)
+      : storeProvider
     this._storeQueue = new PromiseQueue()
   }
 
   /**
-   * Helper method for sending an http request to kleros store.
-   * @param {string} verb - HTTP verb to be used in request. E.g. GET, POST, PUT.
-   * @param {string} uri - The uri to send the request to.
-   * @param {string} body - json string of the body.
-   * @returns {Promise} request promise that resolves to the HTTP response.
+   * Get the store adapter used by the wrapper.
+   * @returns {object} - The store adapter instance.
    */
-  _makeRequest = (verb, uri, body = null) => {
-    const httpRequest = new XMLHttpRequest()
-    return new Promise((resolve, reject) => {
-      try {
-        httpRequest.open(verb, uri, true)
-        if (body) {
-          httpRequest.setRequestHeader(
-            'Content-Type',
-            'application/json;charset=UTF-8'
-          )
-        }
-        httpRequest.onreadystatechange = () => {
-          if (httpRequest.readyState === 4) {
-            let body = null
-            try {
-              body = JSON.parse(httpRequest.responseText)
-              // eslint-disable-next-line no-unused-vars
-            } catch (err) {}
-            resolve({
-              body: body,
-              status: httpRequest.status
-            })
-          }
-        }
-        httpRequest.send(body)
-      } catch (err) {
-        reject(err)
-      }
-    })
-  }
+  getStoreAdapter = () => this._storeAdapter
 
   /**
    * use the queue for write request. this allows a function to be passed so we can read immediately before we write
-   * @param {fn} getBodyFn async function to call before we write. Should to reads and return JSON to be used as body.
-   * @param {string} verb POST or PUT
-   * @param {string} uri uri to call
+   * @param {fn} getBodyFn async function to call before we write. Should to reads and return the object to be used as body.
+   * @param {string} adapterMethod name of the store adapter method to call with the body
+   * @param {...any} params params for the adapter method. The body is passed as the last param
    * @returns {promise} promise that returns result of request. wait on this if you need it to be syncronous
    */
-  queueWriteRequest = (getBodyFn, verb, uri = null) =>
+  queueWriteRequest = (getBodyFn, adapterMethod, ...params) =>
     this._storeQueue.fetch(() =>
-      getBodyFn().then(result => this._makeRequest(verb, uri, result))
+      getBodyFn().then(result =>
+        this._storeAdapter[adapterMethod](...params, result)
+      )
     )
 
   /**
    * If we know we are waiting on some other write before we want to read we can add a read request to the end of the queue.
-   * @param {string} uri uri to hit
+   * @param {string} adapterMethod name of the store adapter method to call
+   * @param {...any} params params for the adapter method
    * @returns {Promise} promise of the result function
    */
-  queueReadRequest = uri =>
-    this._storeQueue.fetch(() => this._makeRequest('GET', uri))
+  queueReadRequest = (adapterMethod, ...params) =>
+    this._storeQueue.fetch(() => this._storeAdapter[adapterMethod](...params))
 
   // **************************** //
   // *          Read            * //
@@ -85,10 +60,7 @@ class StoreProviderWrapper {
    * @returns {object} - a response object.
    */
   getUserProfile = async userAddress => {
-    const httpResponse = await this._makeRequest(
-      'GET',
-      `${this._storeUri}/${userAddress}`
-    )
+    const httpResponse = await this._storeAdapter.getUserProfile(userAddress)
 
     return httpResponse.body
   }
@@ -112,9 +84,9 @@ class StoreProviderWrapper {
         o.arbitratorAddress === arbitratorAddress && o.disputeId === disputeId
     )
 
-    const httpResponse = await this._makeRequest(
-      'GET',
-      `${this._storeUri}/arbitrators/${arbitratorAddress}/disputes/${disputeId}`
+    const httpResponse = await this._storeAdapter.getDispute(
+      arbitratorAddress,
+      disputeId
     )
     return Object.assign({}, httpResponse.body, disputeData[0])
   }
@@ -152,11 +124,9 @@ class StoreProviderWrapper {
       const dispute = userProfile.disputes[i]
       if (!dispute.arbitratorAddress || _.isNil(dispute.disputeId)) continue
       // fetch dispute data
-      const httpResponse = await this._makeRequest(
-        'GET',
-        `${this._storeUri}/arbitrators/${dispute.arbitratorAddress}/disputes/${
-          dispute.disputeId
-        }`
+      const httpResponse = await this._storeAdapter.getDispute(
+        dispute.arbitratorAddress,
+        dispute.disputeId
       )
       if (httpResponse.status === 200) {
         disputes.push(Object.assign({}, httpResponse.body, dispute))
@@ -177,6 +147,18 @@ class StoreProviderWrapper {
     return userProfile.lastBlock || 0
   }
 
+  /**
+   * Fetch the position of the last event log handled for a user on a contract. See EventListener.
+   * @param {string} userAddress - Address of user.
+   * @param {string} contractAddress - Address of the contract that emitted the logs.
+   * @returns {object} - The cursor { blockNumber, logIndex } or null if no log has been handled.
+   */
+  getEventCursor = async (userAddress, contractAddress) => {
+    const userProfile = await this.setUpUserProfile(userAddress)
+
+    return (userProfile.eventCursors || {})[contractAddress] || null
+  }
+
   /**
    * Fetch user agnostic data stored on a dispute
    * @param {string} arbitratorAddress - The address of the arbitrator contract.
@@ -184,20 +166,52 @@ class StoreProviderWrapper {
    * @returns {object} - a response object.
    */
   getDispute = async (arbitratorAddress, disputeId) => {
-    const httpResponse = await this._makeRequest(
-      'GET',
-      `${this._storeUri}/arbitrators/${arbitratorAddress}/disputes/${disputeId}`
+    const httpResponse = await this._storeAdapter.getDispute(
+      arbitratorAddress,
+      disputeId
     )
 
     return httpResponse.body
   }
 
+  /**
+   * Fetch the stored dispute index of an arbitrator. See DisputeIndex.
+   * @param {string} arbitratorAddress - The address of the arbitrator contract.
+   * @returns {object} - The index { lastBlock, disputes } or null if none is stored.
+   */
+  getDisputeIndex = async arbitratorAddress => {
+    const httpResponse = await this._storeAdapter.getDisputeIndex(
+      arbitratorAddress
+    )
+
+    return httpResponse.status === 200 ? httpResponse.body : null
+  }
+
   // **************************** //
   // *          Write           * //
   // **************************** //
 
   /**
-   * Update user profile. WARNING: This should only be used for session and lastBlock.
+   * Store the dispute index of an arbitrator, replacing the stored one.
+   * @param {string} arbitratorAddress - The address of the arbitrator contract.
+   * @param {object} disputeIndex - The index. { lastBlock, disputes }
+   * @returns {Promise} - The stored index.
+   */
+  updateDisputeIndex = async (arbitratorAddress, disputeIndex) => {
+    const httpResponse = await this.queueWriteRequest(
+      () => Promise.resolve(disputeIndex),
+      'updateDisputeIndex',
+      arbitratorAddress
+    )
+
+    if (httpResponse.status !== 201)
+      throw new Error(errorConstants.REQUEST_FAILED(httpResponse.status))
+
+    return httpResponse.body
+  }
+
+  /**
+   * Update user profile. WARNING: This should only be used for sessions and lastBlock.
    * Overwriting arrays of unstructured data can lead to data loss.
    * @param {string} userAddress - users userAddress
    * @param {object} params - object containing kwargs to update
@@ -211,14 +225,38 @@ class StoreProviderWrapper {
 
       params.address = userAddress
 
-      return JSON.stringify({ ...currentProfile, ...params })
+      return { ...currentProfile, ...params }
     }
 
-    return this.queueWriteRequest(
-      getBodyFn,
-      'POST',
-      `${this._storeUri}/${userAddress}`
-    )
+    return this.queueWriteRequest(getBodyFn, 'updateUserProfile', userAddress)
+  }
+
+  /**
+   * Store the position of the last event log handled for a user on a contract. Also
+   * updates lastBlock.
+   * @param {string} userAddress - Address of user.
+   * @param {string} contractAddress - Address of the contract that emitted the logs.
+   * @param {object} eventCursor - The cursor. { blockNumber, logIndex }
+   * @returns {Promise} - resulting profile
+   */
+  updateEventCursor = (userAddress, contractAddress, eventCursor) => {
+    const getBodyFn = async () => {
+      const currentProfile = (await this.getUserProfile(userAddress)) || {}
+      delete currentProfile._id
+      delete currentProfile.created_at
+
+      return {
+        ...currentProfile,
+        address: userAddress,
+        eventCursors: {
+          ...currentProfile.eventCursors,
+          [contractAddress]: eventCursor
+        },
+        lastBlock: eventCursor.blockNumber
+      }
+    }
+
+    return this.queueWriteRequest(getBodyFn, 'updateUserProfile', userAddress)
   }
 
   /**
@@ -256,13 +294,14 @@ class StoreProviderWrapper {
 
       params.address = contractAddress
 
-      return JSON.stringify({ ...currentContractData, ...params })
+      return { ...currentContractData, ...params }
     }
 
     const httpResponse = await this.queueWriteRequest(
       getBodyFn,
-      'POST',
-      `${this._storeUri}/${userAddress}/contracts/${contractAddress}`
+      'updateContract',
+      userAddress,
+      contractAddress
     )
 
     if (httpResponse.status !== 200) {
@@ -280,37 +319,26 @@ class StoreProviderWrapper {
    * stored evidence for the specified user, not all parties of the dispute.
    * @param {string} contractAddress - Address of the contract
    * @param {string} userAddress - Address of the user.
-   * @param {string} name - Name of evidence.
-   * @param {string} description - Description of evidence.
-   * @param {string} url - A link to the evidence.
+   * @param {object} evidence - The evidence document, see utils/evidence.
    * @returns {Promise} - The resulting evidence data.
    */
-  addEvidenceContract = (
-    contractAddress,
-    userAddress,
-    name,
-    description,
-    url
-  ) => {
+  addEvidenceContract = (contractAddress, userAddress, evidence) => {
     // get timestamp for submission
     const submittedAt = new Date().getTime()
 
     const getBodyFn = () =>
       new Promise(resolve =>
-        resolve(
-          JSON.stringify({
-            name,
-            description,
-            url,
-            submittedAt
-          })
-        )
+        resolve({
+          ...evidence,
+          submittedAt
+        })
       )
 
     return this.queueWriteRequest(
       getBodyFn,
-      'POST',
-      `${this._storeUri}/${userAddress}/contracts/${contractAddress}/evidence`
+      'addEvidence',
+      userAddress,
+      contractAddress
     )
   }
 
@@ -344,15 +372,15 @@ class StoreProviderWrapper {
       params.disputeId = disputeId
       params.arbitratorAddress = arbitratorAddress
 
-      return JSON.stringify({ ...currentDisputeProfile, ...params })
+      return { ...currentDisputeProfile, ...params }
     }
 
     return this.queueWriteRequest(
       getBodyFn,
-      'POST',
-      `${
-        this._storeUri
-      }/${userAddress}/arbitrators/${arbitratorAddress}/disputes/${disputeId}`
+      'updateDisputeProfile',
+      userAddress,
+      arbitratorAddress,
+      disputeId
     )
   }
 
@@ -373,13 +401,14 @@ class StoreProviderWrapper {
       params.arbitratorAddress = arbitratorAddress
       params.disputeId = disputeId
 
-      return JSON.stringify({ ...currentDispute, ...params })
+      return { ...currentDispute, ...params }
     }
 
     return this.queueWriteRequest(
       getBodyFn,
-      'POST',
-      `${this._storeUri}/arbitrators/${arbitratorAddress}/disputes/${disputeId}`
+      'updateDispute',
+      arbitratorAddress,
+      disputeId
     )
   }
 
@@ -405,21 +434,20 @@ class StoreProviderWrapper {
   ) => {
     const getBodyFn = () =>
       new Promise(resolve =>
-        resolve(
-          JSON.stringify({
-            notificationType,
-            logIndex,
-            read,
-            message,
-            data
-          })
-        )
+        resolve({
+          notificationType,
+          logIndex,
+          read,
+          message,
+          data
+        })
       )
 
     return this.queueWriteRequest(
       getBodyFn,
-      'POST',
-      `${this._storeUri}/${userAddress}/notifications/${txHash}`
+      'newNotification',
+      userAddress,
+      txHash
     )
   }
 
@@ -452,13 +480,13 @@ class StoreProviderWrapper {
       userProfile.notifications[notificationIndex].read = isRead
       delete userProfile._id
       delete userProfile.created_at
-      return JSON.stringify(userProfile)
+      return userProfile
     }
 
     const result = await this.queueWriteRequest(
       getBodyFn,
-      'POST',
-      `${this._storeUri}/${userAddress}`
+      'updateUserProfile',
+      userAddress
     )
 
     return result.body.notifications
@@ -0,0 +1,122 @@
+import _ from 'lodash'
+
+import * as ethConstants from '../constants/eth'
+import * as errorConstants from '../constants/error'
+
+/**
+ * Handle for a transaction sent through a contract implementation. The hash is available
+ * right away, the receipt, decoded logs and gas used once the transaction is mined and
+ * confirmed.
+ */
+class Transaction {
+  /**
+   * Create a new Transaction handle and start waiting for its receipt.
+   * @param {string} txHash - Hash of the sent transaction.
+   * @param {object} contractImplementation - Implementation of the contract the transaction was sent to.
+   * @param {number} confirmations - Number of blocks that must be mined on top of the transaction's block.
+   * @param {number} pollInterval - Milliseconds between checks for the receipt.
+   * @param {number} maxBlocks - Number of blocks after which the receipt rejects if the
+   * transaction is still not mined.
+   */
+  constructor(
+    txHash,
+    contractImplementation,
+    confirmations = 0,
+    pollInterval = ethConstants.RECEIPT_POLL_INTERVAL,
+    maxBlocks = ethConstants.RECEIPT_MAX_BLOCKS
+  ) {
+    this.txHash = txHash
+    this._contractImplementation = contractImplementation
+    this._pollInterval = pollInterval
+    this._maxBlocks = maxBlocks
+    // all hashes sent for the transaction, it can be replaced with a higher gas price
+    this._txHashes = [txHash]
+    this._cancellationTxHashes = []
+    this._replacedCallbacks = []
+
+    this.receipt = this.waitForReceipt(confirmations)
+    this.logs = this.receipt.then(receipt =>
+      contractImplementation.decodeLogs(receipt.logs)
+    )
+    this.gasUsed = this.receipt.then(receipt => receipt.gasUsed)
+
+    // callers that only use the hash should not trigger unhandled rejections
+    this.receipt.catch(_.noop)
+    this.logs.catch(_.noop)
+    this.gasUsed.catch(_.noop)
+  }
+
+  /**
+   * Wait until the transaction is mined with a number of confirmations. The receipt is fetched
+   * again on every check, so a transaction that is dropped by a reorg is waited for again.
+   * The timer between checks doesn't keep a node process running.
+   * @param {number} confirmations - Number of blocks that must be mined on top of the transaction's block.
+   * @param {number} startBlock - Block the wait started in. Defaults to the current block.
+   * @returns {Promise} - Resolves to the receipt. Rejects if the transaction failed or is not
+   * mined within the max blocks of the handle.
+   */
+  waitForReceipt = async (confirmations = 0, startBlock) => {
+    const [receipts, currentBlock] = await Promise.all([
+      Promise.all(
+        this._txHashes.map(this._contractImplementation.getTransactionReceipt)
+      ),
+      this._contractImplementation.getBlockNumber()
+    ])
+    // only one of the hashes can be mined
+    const receipt = _.find(
+      receipts,
+      receipt => receipt && _.isNumber(receipt.blockNumber)
+    )
+
+    if (receipt && currentBlock - receipt.blockNumber >= confirmations) {
+      if (_.includes(this._cancellationTxHashes, receipt.transactionHash))
+        throw new Error(errorConstants.TRANSACTION_CANCELLED(this.txHash))
+      // status is only set by nodes after byzantium
+      if (!_.isNil(receipt.status) && Number(receipt.status) === 0)
+        throw new Error(errorConstants.TRANSACTION_FAILED(this.txHash))
+
+      return receipt
+    }
+
+    if (_.isUndefined(startBlock)) startBlock = currentBlock
+    if (!receipt && currentBlock - startBlock >= this._maxBlocks)
+      throw new Error(
+        errorConstants.TRANSACTION_NOT_MINED(this.txHash, this._maxBlocks)
+      )
+
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, this._pollInterval)
+      // timers are objects with unref in node only
+      if (timer.unref) timer.unref()
+    })
+
+    return this.waitForReceipt(confirmations, startBlock)
+  }
+
+  /**
+   * Register a callback for when the transaction is replaced, e.g. resent with a higher gas
+   * price or cancelled by a TransactionQueue.
+   * @param {function} callback - Called with { txHash, previousTxHash, cancelled }.
+   */
+  onReplaced = callback => {
+    this._replacedCallbacks.push(callback)
+  }
+
+  /**
+   * Record a transaction sent with the same nonce. The receipt of whichever is mined is used.
+   * @param {string} txHash - Hash of the new transaction.
+   * @param {bool} cancelled - True if the new transaction cancels this one.
+   */
+  _replace = (txHash, cancelled = false) => {
+    const previousTxHash = this.txHash
+    this.txHash = txHash
+    this._txHashes.push(txHash)
+    if (cancelled) this._cancellationTxHashes.push(txHash)
+
+    this._replacedCallbacks.forEach(onReplaced =>
+      onReplaced({ txHash, previousTxHash, cancelled })
+    )
+  }
+}
+
+export default Transaction
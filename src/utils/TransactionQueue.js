@@ -0,0 +1,196 @@
+import _ from 'lodash'
+
+import * as errorConstants from '../constants/error'
+
+import PromiseQueue from './PromiseQueue'
+
+/**
+ * Sends the transactions of each account one at a time with nonces it assigns, so bursts
+ * of transactions from one account don't collide. Pending transactions that are not mined
+ * in time are resent with a higher gas price. A queue can be shared by several contract
+ * implementations, see ContractImplementation.setTransactionQueue.
+ */
+class TransactionQueue {
+  /**
+   * Create a new TransactionQueue.
+   * @param {object} options - Queue options.
+   * @param {number} options.stuckTimeout - Milliseconds after which a pending transaction is resent.
+   * @param {number} options.gasBump - Fraction the gas price is raised by when resending. Nodes require at least 0.1.
+   * @param {number} options.maxBumps - Number of times a transaction is resent at most.
+   */
+  constructor({ stuckTimeout = 120000, gasBump = 0.125, maxBumps = 3 } = {}) {
+    this.stuckTimeout = stuckTimeout
+    this.gasBump = gasBump
+    this.maxBumps = maxBumps
+    // map account -> { sendQueue, nextNonce, pending }. See _getAccount and _track
+    this._accounts = {}
+  }
+
+  /**
+   * Send a transaction in the queue of its from account.
+   * @param {object} web3Wrapper - Web3Wrapper to send the transaction with.
+   * @param {object} txParams - Transaction params. { from, to, data, value, gas, gasPrice }
+   * @param {function} createTransaction - Creates the Transaction handle from the hash of the sent transaction.
+   * @returns {Promise} - Resolves to the Transaction handle once the transaction is sent.
+   */
+  send = (web3Wrapper, txParams, createTransaction) => {
+    const account = this._getAccount(txParams.from)
+
+    return account.sendQueue.fetch(async () => {
+      const transactionCount = Number(
+        await web3Wrapper.getTransactionCount(txParams.from, 'pending')
+      )
+      const nonce = Math.max(account.nextNonce, transactionCount)
+      const gasPrice = _.isNil(txParams.gasPrice)
+        ? await web3Wrapper.getGasPrice()
+        : txParams.gasPrice
+      const queuedTxParams = { ...txParams, nonce, gasPrice: Number(gasPrice) }
+
+      const txHash = await web3Wrapper.sendTransaction(queuedTxParams)
+      // only move on to the next nonce once this one is used
+      account.nextNonce = nonce + 1
+      const transaction = createTransaction(txHash)
+      this._track(account, web3Wrapper, transaction, queuedTxParams)
+
+      return transaction
+    })
+  }
+
+  /**
+   * Cancel a pending transaction by sending an empty transaction with the same nonce and a
+   * higher gas price. The receipt of the transaction rejects if the cancellation is mined.
+   * @param {object} transaction - Transaction handle returned by a queued send.
+   * @returns {Promise} - Resolves to the hash of the cancellation.
+   */
+  cancel = async transaction => {
+    const entry = this._findPending(transaction)
+    if (!entry)
+      throw new Error(
+        errorConstants.TRANSACTION_NOT_PENDING(transaction.txHash)
+      )
+
+    const { from, nonce } = entry.txParams
+
+    return this._resend(
+      entry,
+      {
+        from,
+        to: from,
+        value: 0,
+        gas: 21000,
+        nonce,
+        gasPrice: this._bumpGasPrice(entry.txParams.gasPrice)
+      },
+      true
+    )
+  }
+
+  /**
+   * Get the transactions of an account that are not mined yet.
+   * @param {string} account - Address of the account.
+   * @returns {object[]} - Transaction handles.
+   */
+  getPending = account =>
+    this._getAccount(account).pending.map(entry => entry.transaction)
+
+  /**
+   * Get the queue state of an account.
+   * @param {string} address - Address of the account.
+   * @returns {object} - The account state.
+   */
+  _getAccount = address => {
+    const key = _.toLower(address)
+    if (!this._accounts[key])
+      this._accounts[key] = {
+        sendQueue: PromiseQueue(),
+        nextNonce: 0,
+        pending: []
+      }
+
+    return this._accounts[key]
+  }
+
+  /**
+   * Keep track of a sent transaction until it is mined, resending it if it gets stuck.
+   * @param {object} account - The account state.
+   * @param {object} web3Wrapper - Web3Wrapper to resend the transaction with.
+   * @param {object} transaction - The Transaction handle.
+   * @param {object} txParams - The params the transaction was sent with, including nonce and gasPrice.
+   */
+  _track = (account, web3Wrapper, transaction, txParams) => {
+    const entry = {
+      transaction,
+      txParams,
+      web3Wrapper,
+      bumps: 0,
+      cancelled: false,
+      timer: null
+    }
+    account.pending.push(entry)
+    this._scheduleBump(entry)
+
+    const untrack = () => {
+      clearTimeout(entry.timer)
+      _.pull(account.pending, entry)
+    }
+    transaction.receipt.then(untrack, untrack)
+  }
+
+  /**
+   * Resend a pending transaction with a higher gas price after stuckTimeout.
+   * @param {object} entry - The pending entry.
+   */
+  _scheduleBump = entry => {
+    if (entry.bumps >= this.maxBumps) return
+
+    entry.timer = setTimeout(async () => {
+      entry.bumps++
+      try {
+        await this._resend(entry, {
+          ...entry.txParams,
+          gasPrice: this._bumpGasPrice(entry.txParams.gasPrice)
+        })
+      } catch (err) {
+        // the transaction was most likely mined in the meantime
+        console.error(err)
+      }
+      this._scheduleBump(entry)
+    }, this.stuckTimeout)
+  }
+
+  /**
+   * Send a replacement for a pending transaction.
+   * @param {object} entry - The pending entry.
+   * @param {object} txParams - Params of the replacement, with the same nonce.
+   * @param {bool} cancelled - True if the replacement cancels the transaction.
+   * @returns {Promise} - Resolves to the hash of the replacement.
+   */
+  _resend = async (entry, txParams, cancelled = entry.cancelled) => {
+    const txHash = await entry.web3Wrapper.sendTransaction(txParams)
+    entry.txParams = txParams
+    entry.cancelled = cancelled
+    entry.transaction._replace(txHash, cancelled)
+
+    return txHash
+  }
+
+  /**
+   * Raise a gas price by gasBump.
+   * @param {number} gasPrice - Gas price in wei.
+   * @returns {number} - The new gas price.
+   */
+  _bumpGasPrice = gasPrice => Math.ceil(Number(gasPrice) * (1 + this.gasBump))
+
+  /**
+   * Find the pending entry of a transaction.
+   * @param {object} transaction - The Transaction handle.
+   * @returns {object} - The entry or undefined if the transaction is not pending.
+   */
+  _findPending = transaction =>
+    _.find(
+      _.flatMap(_.values(this._accounts), account => account.pending),
+      entry => entry.transaction === transaction
+    )
+}
+
+export default TransactionQueue
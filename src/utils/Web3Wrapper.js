@@ -1,5 +1,8 @@
 import _ from 'lodash'
 import Web3 from 'web3'
+import AllSolidityEvents from 'web3/lib/web3/allevents'
+
+import { toWei, fromWei } from './amounts'
 
 class Web3Wrapper {
   /**
@@ -18,15 +21,9 @@ class Web3Wrapper {
 
   getCoinbase = () => this._web3.eth.coinbase
 
-  toWei = (amount, unit) => {
-    const newAmount = this._web3.toWei(amount, unit)
-    return newAmount.toNumber ? newAmount.toNumber() : Number(newAmount)
-  }
+  toWei = (amount, unit) => toWei(amount, unit)
 
-  fromWei = (amount, unit) => {
-    const newAmount = this._web3.fromWei(amount, unit)
-    return newAmount.toNumber ? newAmount.toNumber() : Number(newAmount)
-  }
+  fromWei = (amount, unit) => fromWei(amount, unit)
 
   toBigNumber = number => this._web3.toBigNumber(number)
 
@@ -41,6 +38,127 @@ class Web3Wrapper {
       })
     })
 
+  getBlockNumber = () =>
+    new Promise((resolve, reject) => {
+      this._web3.eth.getBlockNumber((error, result) => {
+        if (error) reject(error)
+
+        resolve(result)
+      })
+    })
+
+  getTransactionCount = (address, defaultBlock = 'pending') =>
+    new Promise((resolve, reject) => {
+      this._web3.eth.getTransactionCount(
+        address,
+        defaultBlock,
+        (error, result) => {
+          if (error) reject(error)
+
+          resolve(result)
+        }
+      )
+    })
+
+  getGasPrice = () =>
+    new Promise((resolve, reject) => {
+      this._web3.eth.getGasPrice((error, result) => {
+        if (error) reject(error)
+
+        resolve(result)
+      })
+    })
+
+  sendTransaction = txParams =>
+    new Promise((resolve, reject) => {
+      this._web3.eth.sendTransaction(txParams, (error, result) => {
+        if (error) reject(error)
+
+        resolve(result)
+      })
+    })
+
+  call = txParams =>
+    new Promise((resolve, reject) => {
+      this._web3.eth.call(txParams, (error, result) => {
+        if (error) reject(error)
+
+        resolve(result)
+      })
+    })
+
+  batchRequest = (requests, block = 'latest') => {
+    const batch = this._web3.createBatch()
+    // requests are sent as they are, without web3's input formatting
+    const defaultBlock = _.isNumber(block) ? this._web3.toHex(block) : block
+    const results = requests.map(
+      request =>
+        new Promise((resolve, reject) => {
+          batch.add({
+            ...request,
+            // calls made with request() don't have a default block
+            params:
+              request.method === 'eth_call' && request.params.length === 1
+                ? [...request.params, defaultBlock]
+                : request.params,
+            callback: (error, result) => {
+              if (error) reject(error)
+
+              resolve(result)
+            }
+          })
+        })
+    )
+    if (requests.length > 0) batch.execute()
+
+    return results
+  }
+
+  estimateGas = txParams =>
+    new Promise((resolve, reject) => {
+      this._web3.eth.estimateGas(txParams, (error, result) => {
+        if (error) reject(error)
+
+        resolve(result)
+      })
+    })
+
+  getDeployData = (abi, bytecode, args) =>
+    this._web3.eth.contract(abi).new.getData(...args, { data: bytecode })
+
+  getTransactionReceipt = txHash =>
+    new Promise((resolve, reject) => {
+      this._web3.eth.getTransactionReceipt(txHash, (error, result) => {
+        if (error) reject(error)
+
+        resolve(result)
+      })
+    })
+
+  decodeLogs = (abi, address, logs) => {
+    const decoder = new AllSolidityEvents(null, abi, address)
+
+    return logs
+      .filter(log => _.toLower(log.address) === _.toLower(address))
+      .map(log => decoder.decode(log))
+  }
+
+  watchBlocks = callback => {
+    const blockFilter = this._web3.eth.filter('latest')
+    blockFilter.watch(callback)
+
+    return blockFilter
+  }
+
+  getCode = address =>
+    new Promise((resolve, reject) => {
+      this._web3.eth.getCode(address, (error, result) => {
+        if (error) reject(error)
+
+        resolve(result)
+      })
+    })
+
   doesContractExistAtAddressAsync = async address => {
     const code = await this._web3.eth.getCode(address)
     // Regex matches 0x0, 0x00, 0x in order to accommodate poorly implemented clients
@@ -0,0 +1,135 @@
+import { BN } from 'ethereumjs-util'
+import _ from 'lodash'
+
+import { INVALID_AMOUNT, AMOUNT_TOO_PRECISE } from '../constants/error'
+
+/**
+ * Exact handling of ETH and PNK amounts. Amounts returned by the library are in ether, or PNK,
+ * as decimal strings, e.g. '0.15'. Amounts passed to it can be strings, numbers, BigNumbers or
+ * BNs. In legacy mode amounts are returned as numbers, which lose precision past 2^53 wei.
+ */
+
+// number of decimals of each unit, relative to wei
+const UNIT_DECIMALS = {
+  wei: 0,
+  gwei: 9,
+  ether: 18
+}
+
+let legacyAmounts = false
+
+/**
+ * Return amounts as numbers instead of decimal strings, like before amounts were exact.
+ * @param {bool} enabled - True to return numbers.
+ */
+export const setLegacyAmounts = enabled => {
+  legacyAmounts = Boolean(enabled)
+}
+
+/**
+ * Whether amounts are returned as numbers.
+ * @returns {bool} - True in legacy mode.
+ */
+export const isLegacyAmounts = () => legacyAmounts
+
+/**
+ * Convert an amount to a whole number of the smallest fraction of its unit.
+ * @param {string|number|object} amount - Decimal amount. BigNumber and BN are accepted.
+ * @param {string} unit - Unit of the amount.
+ * @returns {object} - BN of wei.
+ */
+const parseAmount = (amount, unit) => {
+  const decimals = UNIT_DECIMALS[unit]
+  // numbers and BigNumbers print in exponential notation when very large or small
+  const match = /^(-)?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(
+    BN.isBN(amount) ? amount.toString(10) : _.trim(String(amount))
+  )
+  if (!match || (!match[2] && !match[3]) || _.isUndefined(decimals))
+    throw new Error(INVALID_AMOUNT(amount))
+
+  const [, sign, integer, fraction = '', exponent = '0'] = match
+  const digits = integer + fraction
+  // position of the decimal point in the digits once converted to wei
+  const point = integer.length + decimals + Number(exponent)
+  if (/[1-9]/.test(digits.slice(Math.max(point, 0))))
+    throw new Error(AMOUNT_TOO_PRECISE(amount, unit))
+
+  const wei = new BN(
+    point > 0 ? _.padEnd(digits, point, '0').slice(0, point) : '0',
+    10
+  )
+
+  return sign ? wei.neg() : wei
+}
+
+/**
+ * Format a whole number of wei in a unit.
+ * @param {object} wei - BN of wei.
+ * @param {string} unit - Unit to format in.
+ * @returns {string|number} - Decimal string, or number in legacy mode.
+ */
+const formatAmount = (wei, unit) => {
+  const decimals = UNIT_DECIMALS[unit]
+  const digits = _.padStart(wei.abs().toString(10), decimals + 1, '0')
+  const integer = digits.slice(0, digits.length - decimals)
+  const fraction = _.trimEnd(digits.slice(digits.length - decimals), '0')
+  const amount = `${wei.isNeg() ? '-' : ''}${integer}${
+    fraction ? `.${fraction}` : ''
+  }`
+
+  return legacyAmounts ? Number(amount) : amount
+}
+
+/**
+ * Convert an amount to wei.
+ * @param {string|number|object} amount - Amount in unit.
+ * @param {string} unit - Unit of the amount.
+ * @returns {string|number} - Number of wei as a decimal string, or number in legacy mode.
+ */
+export const toWei = (amount, unit = 'ether') =>
+  formatAmount(parseAmount(amount, unit), 'wei')
+
+/**
+ * Convert an amount of wei to a unit.
+ * @param {string|number|object} wei - Number of wei.
+ * @param {string} unit - Unit to convert to.
+ * @returns {string|number} - Amount as a decimal string, or number in legacy mode.
+ */
+export const fromWei = (wei, unit = 'ether') =>
+  formatAmount(parseAmount(wei, 'wei'), unit)
+
+/**
+ * Add two amounts.
+ * @param {string|number|object} a - Amount in ether.
+ * @param {string|number|object} b - Amount in ether.
+ * @returns {string|number} - The sum in ether.
+ */
+export const addAmounts = (a, b) =>
+  formatAmount(parseAmount(a, 'ether').add(parseAmount(b, 'ether')), 'ether')
+
+/**
+ * Subtract an amount from another.
+ * @param {string|number|object} a - Amount in ether.
+ * @param {string|number|object} b - Amount in ether to subtract.
+ * @returns {string|number} - The difference in ether.
+ */
+export const subtractAmounts = (a, b) =>
+  formatAmount(parseAmount(a, 'ether').sub(parseAmount(b, 'ether')), 'ether')
+
+/**
+ * Compare two amounts.
+ * @param {string|number|object} a - Amount in ether.
+ * @param {string|number|object} b - Amount in ether.
+ * @returns {number} - -1, 0 or 1 if a is less than, equal to or greater than b.
+ */
+export const compareAmounts = (a, b) =>
+  parseAmount(a, 'ether').cmp(parseAmount(b, 'ether'))
+
+/**
+ * Multiply an amount by a whole number.
+ * @param {string|number|object} amount - Amount in ether.
+ * @param {number} factor - Whole number to multiply by, e.g. a number of draws.
+ * @returns {string|number} - The product in ether.
+ */
+export const multiplyAmount = (amount, factor) =>
+  formatAmount(parseAmount(amount, 'ether').mul(new BN(factor)), 'ether')
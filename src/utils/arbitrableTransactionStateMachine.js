@@ -0,0 +1,229 @@
+import _ from 'lodash'
+
+import { STATUS, ACTION } from '../constants/contract'
+import * as errorConstants from '../constants/error'
+
+import { fromWei, subtractAmounts, compareAmounts } from './amounts'
+
+/**
+ * State machine of an ArbitrableTransaction contract. It tells which actions the parties can
+ * take in each status and the status each action leads to. getAllowedActions offers the actions
+ * from it and the write methods of ArbitrableTransaction are checked against it.
+ */
+
+const PARTY_A = 'partyA'
+const PARTY_B = 'partyB'
+const ANY_PARTY = 'a party'
+
+// map action -> { party, transitions }. party is who can take the action, transitions map the
+// statuses the action can be taken in to the status it leads to
+export const STATE_MACHINE = {
+  [ACTION.PAY]: {
+    party: PARTY_A,
+    transitions: {
+      [STATUS.NO_DISPUTE]: STATUS.NO_DISPUTE,
+      [STATUS.WAITING_PARTY_A]: STATUS.WAITING_PARTY_A,
+      [STATUS.WAITING_PARTY_B]: STATUS.WAITING_PARTY_B,
+      [STATUS.DISPUTE_CREATED]: STATUS.DISPUTE_CREATED
+    }
+  },
+  [ACTION.REIMBURSE]: {
+    party: PARTY_B,
+    transitions: {
+      [STATUS.NO_DISPUTE]: STATUS.NO_DISPUTE,
+      [STATUS.WAITING_PARTY_A]: STATUS.WAITING_PARTY_A,
+      [STATUS.WAITING_PARTY_B]: STATUS.WAITING_PARTY_B,
+      [STATUS.DISPUTE_CREATED]: STATUS.DISPUTE_CREATED
+    }
+  },
+  [ACTION.PAY_ARBITRATION_FEE_BY_PARTY_A]: {
+    party: PARTY_A,
+    transitions: {
+      [STATUS.NO_DISPUTE]: STATUS.WAITING_PARTY_B,
+      [STATUS.WAITING_PARTY_A]: STATUS.DISPUTE_CREATED
+    }
+  },
+  [ACTION.PAY_ARBITRATION_FEE_BY_PARTY_B]: {
+    party: PARTY_B,
+    transitions: {
+      [STATUS.NO_DISPUTE]: STATUS.WAITING_PARTY_A,
+      [STATUS.WAITING_PARTY_B]: STATUS.DISPUTE_CREATED
+    }
+  },
+  [ACTION.SUBMIT_EVIDENCE]: {
+    party: ANY_PARTY,
+    transitions: {
+      [STATUS.DISPUTE_CREATED]: STATUS.DISPUTE_CREATED
+    }
+  },
+  [ACTION.CALL_TIMEOUT_PARTY_A]: {
+    party: PARTY_A,
+    transitions: {
+      [STATUS.WAITING_PARTY_B]: STATUS.RESOLVED
+    }
+  },
+  [ACTION.CALL_TIMEOUT_PARTY_B]: {
+    party: PARTY_B,
+    transitions: {
+      [STATUS.WAITING_PARTY_A]: STATUS.RESOLVED
+    }
+  },
+  [ACTION.APPEAL]: {
+    party: ANY_PARTY,
+    transitions: {
+      [STATUS.DISPUTE_CREATED]: STATUS.DISPUTE_CREATED
+    }
+  }
+}
+
+/**
+ * Whether an account is the party that can take an action.
+ * @param {object} data - Data of the contract. See ArbitrableTransaction.getData.
+ * @param {string} account - Address of the account.
+ * @param {string} party - partyA, partyB or any party.
+ * @returns {bool} - True if the account is the party.
+ */
+const isParty = (data, account, party) => {
+  const parties =
+    party === ANY_PARTY ? [data.partyA, data.partyB] : [data[party]]
+
+  return _.some(parties, address => _.toLower(address) === _.toLower(account))
+}
+
+/**
+ * Deadline after which a party waiting on the other one can call the timeout.
+ * @param {object} data - Data of the contract.
+ * @returns {number} - Timestamp in milliseconds. The contract times are in seconds.
+ */
+const timeoutDeadline = data => (data.lastInteraction + data.timeout) * 1000
+
+/**
+ * Arbitration fee left for a party to pay.
+ * @param {string|number} partyFee - Fee the party already paid.
+ * @param {string|number} arbitrationCost - Arbitration cost. Unknown if undefined.
+ * @returns {string|number} - Fee left in ether, null if the arbitration cost is unknown.
+ */
+const feeLeft = (partyFee, arbitrationCost) =>
+  _.isNil(arbitrationCost) ? null : subtractAmounts(arbitrationCost, partyFee)
+
+/**
+ * Check whether an account can take an action on the contract.
+ * @param {string} action - Action, see contractConstants.ACTION.
+ * @param {object} data - Data of the contract, see ArbitrableTransaction.getData. The amount is
+ * in ether, also in legacy mode.
+ * @param {string} account - Address of the account.
+ * @param {object} context - { now, arbitrationCost, appeal, amount }. now is a timestamp in
+ * milliseconds (default Date.now()). Pass the time of the latest block, which the contract checks
+ * timeouts against. arbitrationCost is the current arbitration cost in ether, see
+ * KlerosPOC.getArbitrationCost. appeal is { cost, deadline } when the arbitrator accepts an appeal
+ * of the ruling. amount is the part of the escrow in ether to pay or reimburse. (default all of it)
+ * @returns {object} - { action, allowed, deadline, value, reason, nextStatus }. deadline is the
+ * timestamp in milliseconds after which the action is lost, null if there is none. value is
+ * the amount to send in ether, null if unknown. reason says why the action is allowed or not.
+ */
+export const checkAction = (action, data, account, context = {}) => {
+  const { now = Date.now(), arbitrationCost, appeal, amount } = context
+  const { party, transitions } = STATE_MACHINE[action]
+  const nextStatus = transitions[data.status]
+  const result = {
+    action,
+    allowed: false,
+    deadline: null,
+    value: fromWei(0),
+    reason: null,
+    nextStatus: _.isUndefined(nextStatus) ? null : nextStatus
+  }
+  const deny = reason => ({ ...result, reason })
+
+  if (!isParty(data, account, party))
+    return deny(errorConstants.ACCOUNT_NOT_A_PARTY(account, party))
+  if (_.isUndefined(nextStatus))
+    return deny(
+      action === ACTION.CALL_TIMEOUT_PARTY_A ||
+      action === ACTION.CALL_TIMEOUT_PARTY_B
+        ? errorConstants.CONTRACT_IS_NOT_WAITING_ON_OTHER_PARTY
+        : errorConstants.ACTION_NOT_ALLOWED_IN_STATUS(
+            action,
+            _.findKey(STATUS, status => status === data.status)
+          )
+    )
+
+  const allow = (reason, deadline = null, value = result.value) => ({
+    ...result,
+    allowed: true,
+    deadline,
+    value,
+    reason
+  })
+
+  switch (action) {
+    case ACTION.PAY:
+    case ACTION.REIMBURSE:
+      if (compareAmounts(data.amount, 0) <= 0)
+        return deny(
+          action === ACTION.PAY
+            ? errorConstants.NOTHING_LEFT_TO_PAY
+            : errorConstants.NOTHING_LEFT_TO_REIMBURSE
+        )
+      if (!_.isNil(amount) && compareAmounts(amount, data.amount) > 0)
+        return deny(errorConstants.AMOUNT_EXCEEDS_ESCROW(amount, data.amount))
+
+      return allow(
+        action === ACTION.PAY
+          ? 'The amount, or part of it, can be paid to partyB.'
+          : 'The amount, or part of it, can be reimbursed to partyA.'
+      )
+    case ACTION.PAY_ARBITRATION_FEE_BY_PARTY_A:
+    case ACTION.PAY_ARBITRATION_FEE_BY_PARTY_B: {
+      const value = feeLeft(
+        party === PARTY_A ? data.partyAFee : data.partyBFee,
+        arbitrationCost
+      )
+      if (data.status === STATUS.NO_DISPUTE)
+        return allow(
+          'The arbitration fee can be paid to raise a dispute.',
+          null,
+          value
+        )
+
+      return allow(
+        'The other party paid the arbitration fee. Pay it before the deadline or lose by timeout.',
+        timeoutDeadline(data),
+        value
+      )
+    }
+    case ACTION.CALL_TIMEOUT_PARTY_A:
+    case ACTION.CALL_TIMEOUT_PARTY_B:
+      if (now < timeoutDeadline(data))
+        return deny(errorConstants.TIMEOUT_NOT_REACHED)
+
+      return allow(
+        'The other party did not pay the arbitration fee before the deadline.'
+      )
+    case ACTION.SUBMIT_EVIDENCE:
+      return allow('Evidence can be submitted for the dispute.')
+    case ACTION.APPEAL:
+      if (!appeal) return deny(errorConstants.RULING_NOT_APPEALABLE)
+
+      return allow(
+        'The ruling can be appealed.',
+        _.isUndefined(appeal.deadline) ? null : appeal.deadline,
+        appeal.cost
+      )
+    // no default
+  }
+}
+
+/**
+ * Get the actions an account can currently take on the contract.
+ * @param {object} data - Data of the contract, see ArbitrableTransaction.getData. The amount is
+ * in ether, also in legacy mode.
+ * @param {string} account - Address of the account.
+ * @param {object} context - { now, arbitrationCost, appeal, amount }. See checkAction.
+ * @returns {object[]} - { action, deadline, value, reason, nextStatus } for each allowed action.
+ */
+export const getAllowedActions = (data, account, context = {}) =>
+  _.keys(STATE_MACHINE)
+    .map(action => checkAction(action, data, account, context))
+    .filter(result => result.allowed)
+    .map(result => _.omit(result, 'allowed'))
@@ -0,0 +1,21 @@
+import _ from 'lodash'
+
+import { REVERT_REASON_SELECTOR } from '../constants/eth'
+
+/**
+ * Decode the reason string from the data returned by a call that reverted with a reason.
+ * @param {string} data - Hex encoded data returned by eth_call.
+ * @returns {string} - The reason or null if the data is not a revert reason.
+ */
+const decodeRevertReason = data => {
+  if (!_.startsWith(data, REVERT_REASON_SELECTOR)) return null
+
+  // abi encoded string: offset, length, then the utf8 bytes
+  const encoded = data.slice(REVERT_REASON_SELECTOR.length)
+  const length = parseInt(encoded.slice(64, 128), 16)
+  const hex = encoded.slice(128, 128 + length * 2)
+
+  return decodeURIComponent(hex.replace(/(..)/g, '%$1'))
+}
+
+export default decodeRevertReason
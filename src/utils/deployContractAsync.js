@@ -1,9 +1,10 @@
 import contract from 'truffle-contract'
 
-import * as ethConstants from '../constants/eth'
 import { UNABLE_TO_DEPLOY_CONTRACT } from '../constants/error'
 
 import isRequired from './isRequired'
+import GasPolicy from './GasPolicy'
+import Web3Wrapper from './Web3Wrapper'
 
 /**
  * Deploy a contract on the Ethereum network using the contract artifact.
@@ -11,7 +12,8 @@ import isRequired from './isRequired'
  * @param {number} value - The value to send.
  * @param {object} artifact - JSON artifact of the contract.
  * @param {object} web3Provider - Web3 Provider object (NOTE NOT Kleros Web3Wrapper)
- * @param {...any} args - Extra arguments.
+ * @param {any[]} args - Arguments of the contract constructor.
+ * @param {object} txOptions - Per call overrides of the gas policy. { gas, gasPrice, gasPolicy }
  * @returns {object} - truffle-contract Object | err The contract object or an error
  */
 const deployContractAsync = async (
@@ -19,21 +21,36 @@ const deployContractAsync = async (
   value = isRequired('value'),
   artifact = isRequired('artifact'),
   web3Provider = isRequired('web3Provider'),
-  ...args
+  args = [],
+  txOptions = {}
 ) => {
   try {
+    const bytecode = artifact.bytecode
+      ? artifact.bytecode
+      : artifact.unlinked_binary
     const MyContract = contract({
       abi: artifact.abi,
-      unlinked_binary: artifact.bytecode
-        ? artifact.bytecode
-        : artifact.unlinked_binary
+      unlinked_binary: bytecode
     })
     MyContract.setProvider(web3Provider)
 
-    return MyContract.new(...args, {
+    const web3Wrapper = new Web3Wrapper(web3Provider)
+    const gasPolicy = txOptions.gasPolicy || new GasPolicy()
+    const gasParams = await gasPolicy.getGasParams(
+      'constructor',
+      () =>
+        web3Wrapper.estimateGas({
+          from: account,
+          value,
+          data: web3Wrapper.getDeployData(artifact.abi, bytecode, args)
+        }),
+      txOptions
+    )
+
+    return await MyContract.new(...args, {
       from: account,
       value: value,
-      gas: ethConstants.TRANSACTION.GAS
+      ...gasParams
     })
   } catch (err) {
     console.error(err)
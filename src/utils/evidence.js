@@ -0,0 +1,88 @@
+import { sha3, bufferToHex } from 'ethereumjs-util'
+import _ from 'lodash'
+
+import { STANDARD, FIELDS } from '../constants/evidence'
+import { INVALID_EVIDENCE } from '../constants/error'
+
+/**
+ * Evidence documents. The keccak256 hash of a document is submitted on chain, the document
+ * itself is kept off chain, e.g. in the store, and can be checked against the Evidence logs
+ * of the arbitrable contract.
+ */
+
+/**
+ * Keccak256 hash of some content.
+ * @param {string|Buffer} content - The content. Strings are hashed as utf8.
+ * @returns {string} - 0x prefixed hash.
+ */
+const keccak = content =>
+  bufferToHex(sha3(Buffer.isBuffer(content) ? content : Buffer.from(content)))
+
+/**
+ * Hash the content of an evidence file, for the fileHash of an evidence document.
+ * @param {string|Buffer} content - The file content.
+ * @returns {string} - 0x prefixed keccak256 hash.
+ */
+export const hashFile = content => keccak(content)
+
+/**
+ * Create an evidence document.
+ * @param {object} evidence - { title, description, fileURI, fileHash, fileType, submitter }.
+ * fileType is the MIME type of the file. fileHash is required with a fileURI, see hashFile.
+ * @returns {object} - The evidence document.
+ */
+export const createEvidence = ({
+  title,
+  description = '',
+  fileURI = '',
+  fileHash = '',
+  fileType = '',
+  submitter
+}) => {
+  if (!title) throw new Error(INVALID_EVIDENCE('a title is required'))
+  if (!submitter) throw new Error(INVALID_EVIDENCE('a submitter is required'))
+  if (fileURI && !fileHash)
+    throw new Error(INVALID_EVIDENCE('a file needs its hash'))
+  if (fileHash && !/^0x[0-9a-f]{64}$/i.test(fileHash))
+    throw new Error(INVALID_EVIDENCE(`${fileHash} is not a keccak256 hash`))
+  if (fileType && !/^[\w.+-]+\/[\w.+-]+$/.test(fileType))
+    throw new Error(INVALID_EVIDENCE(`${fileType} is not a MIME type`))
+
+  return {
+    standard: STANDARD,
+    title,
+    description,
+    fileURI,
+    fileHash: _.toLower(fileHash),
+    fileType,
+    submitter: _.toLower(submitter)
+  }
+}
+
+/**
+ * Hash an evidence document. Only the fields of the standard are hashed, so data added
+ * to a stored document, e.g. submittedAt, doesn't change its hash.
+ * @param {object} evidence - The evidence document, see createEvidence.
+ * @returns {string} - 0x prefixed keccak256 hash.
+ */
+export const hashEvidence = evidence =>
+  keccak(JSON.stringify(FIELDS.map(field => evidence[field])))
+
+/**
+ * Check that an evidence document was submitted on chain by its submitter.
+ * @param {object} evidence - The evidence document.
+ * @param {object[]} evidenceLogs - Evidence logs of the contract. See Arbitrable.getEvidenceLogs.
+ * @returns {bool} - True if one of the logs commits to the document.
+ */
+export const verifyEvidence = (evidence, evidenceLogs) => {
+  // evidence from before the standard was not committed on chain
+  if (evidence.standard !== STANDARD) return false
+
+  const evidenceHash = hashEvidence(evidence)
+
+  return evidenceLogs.some(
+    log =>
+      log.evidence === evidenceHash &&
+      _.toLower(log.party) === _.toLower(evidence.submitter)
+  )
+}
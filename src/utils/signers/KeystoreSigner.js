@@ -0,0 +1,32 @@
+import Wallet from 'ethereumjs-wallet'
+
+import isRequired from '../isRequired'
+import * as errorConstants from '../../constants/error'
+
+import PrivateKeySigner from './PrivateKeySigner'
+
+/**
+ * Signs transactions locally with the key of an encrypted (V3) keystore file.
+ */
+class KeystoreSigner extends PrivateKeySigner {
+  /**
+   * Create a new KeystoreSigner. The keystore is decrypted right away.
+   * @param {string|object} keystore - The V3 keystore JSON.
+   * @param {string} password - Password of the keystore.
+   */
+  constructor(
+    keystore = isRequired('keystore'),
+    password = isRequired('password')
+  ) {
+    let wallet
+    try {
+      wallet = Wallet.fromV3(keystore, password, true)
+    } catch (err) {
+      throw new Error(errorConstants.UNABLE_TO_DECRYPT_KEYSTORE(err.message))
+    }
+
+    super(wallet.getPrivateKey())
+  }
+}
+
+export default KeystoreSigner
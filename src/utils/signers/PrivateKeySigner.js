@@ -0,0 +1,69 @@
+import EthereumTx from 'ethereumjs-tx'
+import * as ethUtil from 'ethereumjs-util'
+
+import isRequired from '../isRequired'
+import PromiseQueue from '../PromiseQueue'
+
+/**
+ * Signs transactions locally with a private key. Use it with SignerProvider so the node
+ * only receives raw transactions. It also assigns the nonces of the account.
+ */
+class PrivateKeySigner {
+  /**
+   * Create a new PrivateKeySigner.
+   * @param {string|Buffer} privateKey - Hex encoded private key or its bytes.
+   */
+  constructor(privateKey = isRequired('privateKey')) {
+    this._privateKey = Buffer.isBuffer(privateKey)
+      ? privateKey
+      : ethUtil.toBuffer(ethUtil.addHexPrefix(privateKey))
+    this._address = ethUtil.bufferToHex(
+      ethUtil.privateToAddress(this._privateKey)
+    )
+    // nonces are assigned one at a time
+    this._nonceQueue = PromiseQueue()
+    this._nextNonce = null
+  }
+
+  /**
+   * Get the address of the account.
+   * @returns {string} - The lowercase hex address.
+   */
+  getAddress = () => this._address
+
+  /**
+   * Sign a transaction.
+   * @param {object} txParams - { nonce, gasPrice, gas, to, value, data, chainId }. Numbers can be hex strings.
+   * @returns {string} - The hex encoded signed transaction.
+   */
+  signTransaction = txParams => {
+    const transaction = new EthereumTx(txParams)
+    transaction.sign(this._privateKey)
+
+    return ethUtil.bufferToHex(transaction.serialize())
+  }
+
+  /**
+   * Get the nonce for a new transaction. Nonces handed out but not yet seen by the node
+   * are remembered, so transactions can be sent in parallel.
+   * @param {function} getTransactionCount - Returns a promise of the pending transaction count of an address.
+   * @returns {Promise} - Resolves to the nonce.
+   */
+  getNonce = getTransactionCount =>
+    this._nonceQueue.fetch(async () => {
+      const transactionCount = Number(await getTransactionCount(this._address))
+      this._nextNonce = Math.max(this._nextNonce || 0, transactionCount)
+
+      return this._nextNonce++
+    })
+
+  /**
+   * Forget the nonces handed out. Used after a transaction is rejected, so the next nonce
+   * comes from the node again.
+   */
+  resetNonce = () => {
+    this._nextNonce = null
+  }
+}
+
+export default PrivateKeySigner
@@ -0,0 +1,4 @@
+import PrivateKeySigner from './PrivateKeySigner'
+import KeystoreSigner from './KeystoreSigner'
+
+export { PrivateKeySigner, KeystoreSigner }
@@ -0,0 +1,33 @@
+import fs from 'fs'
+
+import isRequired from '../isRequired'
+
+import MemoryStoreAdapter from './MemoryStoreAdapter'
+
+/**
+ * Store adapter that keeps all data in a JSON file. Data is loaded once when the adapter
+ * is created and the whole file is rewritten after every write. Node only.
+ */
+class FileStoreAdapter extends MemoryStoreAdapter {
+  /**
+   * Create a new instance of FileStoreAdapter.
+   * @param {string} filePath - Path of the JSON file. Created on the first write if it does not exist.
+   */
+  constructor(filePath = isRequired('filePath')) {
+    super(
+      fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : {}
+    )
+    this._filePath = filePath
+  }
+
+  /**
+   * Write the store to the file.
+   */
+  _onChange = () => {
+    fs.writeFileSync(this._filePath, JSON.stringify(this.getState(), null, 2))
+  }
+}
+
+export default FileStoreAdapter
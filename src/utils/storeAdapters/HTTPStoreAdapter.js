@@ -0,0 +1,188 @@
+import isRequired from '../isRequired'
+
+/**
+ * Store adapter for a Kleros Store served over HTTP. Every method maps to one route of
+ * the store and resolves to a response object of the form { status, body }.
+ */
+class HTTPStoreAdapter {
+  /**
+   * Create a new instance of HTTPStoreAdapter.
+   * @param {string} storeProviderUri - The uri of kleros store.
+   */
+  constructor(storeProviderUri = isRequired('storeProviderUri')) {
+    this._storeUri = storeProviderUri
+  }
+
+  /**
+   * Helper method for sending an http request to kleros store.
+   * @param {string} verb - HTTP verb to be used in request. E.g. GET, POST, PUT.
+   * @param {string} uri - The uri to send the request to.
+   * @param {object} body - The body of the request. Will be sent as JSON.
+   * @returns {Promise} request promise that resolves to the HTTP response.
+   */
+  _makeRequest = (verb, uri, body = null) => {
+    const httpRequest = new XMLHttpRequest()
+    return new Promise((resolve, reject) => {
+      try {
+        httpRequest.open(verb, uri, true)
+        if (body) {
+          httpRequest.setRequestHeader(
+            'Content-Type',
+            'application/json;charset=UTF-8'
+          )
+        }
+        httpRequest.onreadystatechange = () => {
+          if (httpRequest.readyState === 4) {
+            let body = null
+            try {
+              body = JSON.parse(httpRequest.responseText)
+              // eslint-disable-next-line no-unused-vars
+            } catch (err) {}
+            resolve({
+              body: body,
+              status: httpRequest.status
+            })
+          }
+        }
+        httpRequest.send(body ? JSON.stringify(body) : null)
+      } catch (err) {
+        reject(err)
+      }
+    })
+  }
+
+  /**
+   * Fetch a user profile.
+   * @param {string} userAddress - Address of user.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  getUserProfile = userAddress =>
+    this._makeRequest('GET', `${this._storeUri}/${userAddress}`)
+
+  /**
+   * Create or overwrite a user profile.
+   * @param {string} userAddress - Address of user.
+   * @param {object} profile - The profile.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  updateUserProfile = (userAddress, profile) =>
+    this._makeRequest('POST', `${this._storeUri}/${userAddress}`, profile)
+
+  /**
+   * Create or update a contract of a user.
+   * @param {string} userAddress - Address of user.
+   * @param {string} contractAddress - Address of the contract.
+   * @param {object} contract - The contract data.
+   * @returns {Promise} - The response. Body is an array holding the profile.
+   */
+  updateContract = (userAddress, contractAddress, contract) =>
+    this._makeRequest(
+      'POST',
+      `${this._storeUri}/${userAddress}/contracts/${contractAddress}`,
+      contract
+    )
+
+  /**
+   * Add evidence to a contract of a user.
+   * @param {string} userAddress - Address of user.
+   * @param {string} contractAddress - Address of the contract.
+   * @param {object} evidence - The evidence.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  addEvidence = (userAddress, contractAddress, evidence) =>
+    this._makeRequest(
+      'POST',
+      `${this._storeUri}/${userAddress}/contracts/${contractAddress}/evidence`,
+      evidence
+    )
+
+  /**
+   * Create or update the dispute data of a user.
+   * @param {string} userAddress - Address of user.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @param {number} disputeId - Index of the dispute.
+   * @param {object} disputeProfile - The dispute data of the user.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  updateDisputeProfile = (
+    userAddress,
+    arbitratorAddress,
+    disputeId,
+    disputeProfile
+  ) =>
+    this._makeRequest(
+      'POST',
+      `${
+        this._storeUri
+      }/${userAddress}/arbitrators/${arbitratorAddress}/disputes/${disputeId}`,
+      disputeProfile
+    )
+
+  /**
+   * Fetch the user agnostic data of a dispute.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @param {number} disputeId - Index of the dispute.
+   * @returns {Promise} - The response. Body is the dispute.
+   */
+  getDispute = (arbitratorAddress, disputeId) =>
+    this._makeRequest(
+      'GET',
+      `${this._storeUri}/arbitrators/${arbitratorAddress}/disputes/${disputeId}`
+    )
+
+  /**
+   * Create or update the user agnostic data of a dispute.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @param {number} disputeId - Index of the dispute.
+   * @param {object} dispute - The dispute data.
+   * @returns {Promise} - The response. Body is the dispute.
+   */
+  updateDispute = (arbitratorAddress, disputeId, dispute) =>
+    this._makeRequest(
+      'POST',
+      `${
+        this._storeUri
+      }/arbitrators/${arbitratorAddress}/disputes/${disputeId}`,
+      dispute
+    )
+
+  /**
+   * Fetch the dispute index of an arbitrator.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @returns {Promise} - The response. Body is the index.
+   */
+  getDisputeIndex = arbitratorAddress =>
+    this._makeRequest(
+      'GET',
+      `${this._storeUri}/arbitrators/${arbitratorAddress}/dispute-index`
+    )
+
+  /**
+   * Create or overwrite the dispute index of an arbitrator.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @param {object} disputeIndex - The index. { lastBlock, disputes }
+   * @returns {Promise} - The response. Body is the index.
+   */
+  updateDisputeIndex = (arbitratorAddress, disputeIndex) =>
+    this._makeRequest(
+      'POST',
+      `${this._storeUri}/arbitrators/${arbitratorAddress}/dispute-index`,
+      disputeIndex
+    )
+
+  /**
+   * Add a notification for a user.
+   * @param {string} userAddress - Address of user.
+   * @param {string} txHash - Hash of the transaction that produced the notification.
+   * @param {object} notification - The notification.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  newNotification = (userAddress, txHash, notification) =>
+    this._makeRequest(
+      'POST',
+      `${this._storeUri}/${userAddress}/notifications/${txHash}`,
+      notification
+    )
+}
+
+export default HTTPStoreAdapter
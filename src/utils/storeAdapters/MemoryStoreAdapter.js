@@ -0,0 +1,257 @@
+import _ from 'lodash'
+
+/**
+ * Store adapter that keeps all data in memory. It mirrors the responses of Kleros Store
+ * so it can be used in place of HTTPStoreAdapter, e.g. in Node or in tests.
+ */
+class MemoryStoreAdapter {
+  /**
+   * Create a new instance of MemoryStoreAdapter.
+   * @param {object} initialState - Data to start from. { profiles, disputes, disputeIndexes }
+   */
+  constructor(initialState = {}) {
+    // map userAddress -> profile
+    this._profiles = _.cloneDeep(initialState.profiles || {})
+    // map arbitratorAddress -> { disputeId: dispute }
+    this._disputes = _.cloneDeep(initialState.disputes || {})
+    // map arbitratorAddress -> dispute index, see DisputeIndex
+    this._disputeIndexes = _.cloneDeep(initialState.disputeIndexes || {})
+  }
+
+  /**
+   * Get a copy of everything in the store.
+   * @returns {object} - The stored data. { profiles, disputes, disputeIndexes }
+   */
+  getState = () => ({
+    profiles: _.cloneDeep(this._profiles),
+    disputes: _.cloneDeep(this._disputes),
+    disputeIndexes: _.cloneDeep(this._disputeIndexes)
+  })
+
+  /**
+   * Called after every write. Overridden by adapters that persist the data.
+   */
+  _onChange = () => {}
+
+  /**
+   * Build a response object.
+   * @param {number} status - The status code.
+   * @param {object} body - The body. Copied so callers can not mutate the store.
+   * @returns {Promise} - Resolves to the response.
+   */
+  _response = (status, body = null) =>
+    Promise.resolve({ status, body: _.cloneDeep(body) })
+
+  /**
+   * Get the profile of a user, creating an empty one if it does not exist.
+   * @param {string} userAddress - Address of user.
+   * @returns {object} - The stored profile.
+   */
+  _getOrCreateProfile = userAddress => {
+    if (!this._profiles[userAddress])
+      this._profiles[userAddress] = {
+        address: userAddress,
+        contracts: [],
+        disputes: [],
+        notifications: []
+      }
+
+    return this._profiles[userAddress]
+  }
+
+  /**
+   * Fetch a user profile.
+   * @param {string} userAddress - Address of user.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  getUserProfile = userAddress =>
+    this._profiles[userAddress]
+      ? this._response(200, this._profiles[userAddress])
+      : this._response(404)
+
+  /**
+   * Create or overwrite a user profile.
+   * @param {string} userAddress - Address of user.
+   * @param {object} profile - The profile.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  updateUserProfile = (userAddress, profile) => {
+    this._profiles[userAddress] = {
+      ...this._getOrCreateProfile(userAddress),
+      ..._.cloneDeep(profile),
+      address: userAddress
+    }
+    this._onChange()
+
+    return this._response(201, this._profiles[userAddress])
+  }
+
+  /**
+   * Create or update a contract of a user.
+   * @param {string} userAddress - Address of user.
+   * @param {string} contractAddress - Address of the contract.
+   * @param {object} contract - The contract data.
+   * @returns {Promise} - The response. Body is an array holding the profile.
+   */
+  updateContract = (userAddress, contractAddress, contract) => {
+    const profile = this._getOrCreateProfile(userAddress)
+    const contractIndex = _.findIndex(
+      profile.contracts,
+      contract => contract.address === contractAddress
+    )
+    const newContract = {
+      evidences: [],
+      ...profile.contracts[contractIndex],
+      ..._.cloneDeep(contract),
+      address: contractAddress
+    }
+    if (contractIndex >= 0) profile.contracts[contractIndex] = newContract
+    else profile.contracts.push(newContract)
+    this._onChange()
+
+    return this._response(200, [profile])
+  }
+
+  /**
+   * Add evidence to a contract of a user.
+   * @param {string} userAddress - Address of user.
+   * @param {string} contractAddress - Address of the contract.
+   * @param {object} evidence - The evidence.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  addEvidence = (userAddress, contractAddress, evidence) => {
+    const profile = this._getOrCreateProfile(userAddress)
+    let contract = _.find(
+      profile.contracts,
+      contract => contract.address === contractAddress
+    )
+    if (!contract) {
+      contract = { address: contractAddress, evidences: [] }
+      profile.contracts.push(contract)
+    }
+    if (!contract.evidences) contract.evidences = []
+    contract.evidences.push(_.cloneDeep(evidence))
+    this._onChange()
+
+    return this._response(201, profile)
+  }
+
+  /**
+   * Create or update the dispute data of a user.
+   * @param {string} userAddress - Address of user.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @param {number} disputeId - Index of the dispute.
+   * @param {object} disputeProfile - The dispute data of the user.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  updateDisputeProfile = (
+    userAddress,
+    arbitratorAddress,
+    disputeId,
+    disputeProfile
+  ) => {
+    const profile = this._getOrCreateProfile(userAddress)
+    const disputeIndex = _.findIndex(
+      profile.disputes,
+      dispute =>
+        dispute.arbitratorAddress === arbitratorAddress &&
+        dispute.disputeId === disputeId
+    )
+    const newDisputeProfile = {
+      ...profile.disputes[disputeIndex],
+      ..._.cloneDeep(disputeProfile),
+      arbitratorAddress,
+      disputeId
+    }
+    if (disputeIndex >= 0) profile.disputes[disputeIndex] = newDisputeProfile
+    else profile.disputes.push(newDisputeProfile)
+    this._onChange()
+
+    return this._response(201, profile)
+  }
+
+  /**
+   * Fetch the user agnostic data of a dispute.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @param {number} disputeId - Index of the dispute.
+   * @returns {Promise} - The response. Body is the dispute.
+   */
+  getDispute = (arbitratorAddress, disputeId) => {
+    const dispute = (this._disputes[arbitratorAddress] || {})[disputeId]
+
+    return dispute ? this._response(200, dispute) : this._response(404)
+  }
+
+  /**
+   * Create or update the user agnostic data of a dispute.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @param {number} disputeId - Index of the dispute.
+   * @param {object} dispute - The dispute data.
+   * @returns {Promise} - The response. Body is the dispute.
+   */
+  updateDispute = (arbitratorAddress, disputeId, dispute) => {
+    if (!this._disputes[arbitratorAddress])
+      this._disputes[arbitratorAddress] = {}
+    this._disputes[arbitratorAddress][disputeId] = {
+      ...this._disputes[arbitratorAddress][disputeId],
+      ..._.cloneDeep(dispute),
+      arbitratorAddress,
+      disputeId
+    }
+    this._onChange()
+
+    return this._response(201, this._disputes[arbitratorAddress][disputeId])
+  }
+
+  /**
+   * Fetch the dispute index of an arbitrator.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @returns {Promise} - The response. Body is the index.
+   */
+  getDisputeIndex = arbitratorAddress =>
+    this._disputeIndexes[arbitratorAddress]
+      ? this._response(200, this._disputeIndexes[arbitratorAddress])
+      : this._response(404)
+
+  /**
+   * Create or overwrite the dispute index of an arbitrator.
+   * @param {string} arbitratorAddress - Address of the arbitrator contract.
+   * @param {object} disputeIndex - The index. { lastBlock, disputes }
+   * @returns {Promise} - The response. Body is the index.
+   */
+  updateDisputeIndex = (arbitratorAddress, disputeIndex) => {
+    this._disputeIndexes[arbitratorAddress] = _.cloneDeep(disputeIndex)
+    this._onChange()
+
+    return this._response(201, this._disputeIndexes[arbitratorAddress])
+  }
+
+  /**
+   * Add a notification for a user. Notifications are unique by txHash and logIndex.
+   * @param {string} userAddress - Address of user.
+   * @param {string} txHash - Hash of the transaction that produced the notification.
+   * @param {object} notification - The notification.
+   * @returns {Promise} - The response. Body is the profile.
+   */
+  newNotification = (userAddress, txHash, notification) => {
+    const profile = this._getOrCreateProfile(userAddress)
+    // a log only produces one notification
+    const exists = _.some(
+      profile.notifications,
+      stored =>
+        stored.txHash === txHash && stored.logIndex === notification.logIndex
+    )
+    if (!exists) {
+      profile.notifications.push({
+        ..._.cloneDeep(notification),
+        txHash,
+        created_at: new Date().getTime()
+      })
+      this._onChange()
+    }
+
+    return this._response(201, profile)
+  }
+}
+
+export default MemoryStoreAdapter
@@ -0,0 +1,5 @@
+import HTTPStoreAdapter from './HTTPStoreAdapter'
+import MemoryStoreAdapter from './MemoryStoreAdapter'
+import FileStoreAdapter from './FileStoreAdapter'
+
+export { HTTPStoreAdapter, MemoryStoreAdapter, FileStoreAdapter }
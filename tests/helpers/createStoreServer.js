@@ -0,0 +1,116 @@
+import http from 'http'
+
+import MemoryStoreAdapter from '../../src/utils/storeAdapters/MemoryStoreAdapter'
+
+/**
+ * Match a request to a store adapter call. Routes are the ones StoreProviderWrapper uses
+ * through HTTPStoreAdapter.
+ * @param {string} verb - HTTP verb of the request.
+ * @param {string[]} path - The path of the request, split on "/".
+ * @returns {object} - { method, params } of the store adapter call or null if no route matches.
+ */
+const matchRoute = (verb, path) => {
+  const isDisputeRoute =
+    path.length === 4 && path[0] === 'arbitrators' && path[2] === 'disputes'
+  const isDisputeIndexRoute =
+    path.length === 3 &&
+    path[0] === 'arbitrators' &&
+    path[2] === 'dispute-index'
+
+  if (verb === 'GET') {
+    if (isDisputeRoute)
+      return { method: 'getDispute', params: [path[1], Number(path[3])] }
+    if (isDisputeIndexRoute)
+      return { method: 'getDisputeIndex', params: [path[1]] }
+    if (path.length === 1)
+      return { method: 'getUserProfile', params: [path[0]] }
+  }
+
+  if (verb === 'POST') {
+    if (isDisputeRoute)
+      return { method: 'updateDispute', params: [path[1], Number(path[3])] }
+    if (isDisputeIndexRoute)
+      return { method: 'updateDisputeIndex', params: [path[1]] }
+    if (path.length === 1)
+      return { method: 'updateUserProfile', params: [path[0]] }
+    if (path.length === 3 && path[1] === 'contracts')
+      return { method: 'updateContract', params: [path[0], path[2]] }
+    if (path.length === 3 && path[1] === 'notifications')
+      return { method: 'newNotification', params: [path[0], path[2]] }
+    if (path.length === 4 && path[1] === 'contracts' && path[3] === 'evidence')
+      return { method: 'addEvidence', params: [path[0], path[2]] }
+    if (
+      path.length === 5 &&
+      path[1] === 'arbitrators' &&
+      path[3] === 'disputes'
+    )
+      return {
+        method: 'updateDisputeProfile',
+        params: [path[0], path[2], Number(path[4])]
+      }
+  }
+
+  return null
+}
+
+/**
+ * Read and parse the JSON body of a request.
+ * @param {object} request - Node request object.
+ * @returns {Promise} - Resolves to the parsed body or null if there is none.
+ */
+const readBody = request =>
+  new Promise((resolve, reject) => {
+    let body = ''
+    request.on('data', chunk => {
+      body += chunk
+    })
+    request.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : null)
+      } catch (err) {
+        reject(err)
+      }
+    })
+  })
+
+/**
+ * Create a local stand-in for Kleros Store. It serves the routes StoreProviderWrapper
+ * calls, with the same status codes, from a store adapter. Node only.
+ * @param {object} storeAdapter - The store adapter that holds the data. Defaults to an empty MemoryStoreAdapter.
+ * @returns {object} - Node http.Server instance. Call listen(port) to start it.
+ */
+const createStoreServer = (storeAdapter = new MemoryStoreAdapter()) =>
+  http.createServer(async (request, response) => {
+    const send = (status, body = null) => {
+      response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      })
+      response.end(body === null ? '' : JSON.stringify(body))
+    }
+
+    if (request.method === 'OPTIONS') return send(204)
+
+    const path = request.url
+      .split('?')[0]
+      .split('/')
+      .filter(segment => segment !== '')
+    const route = matchRoute(request.method, path)
+    if (!route) return send(404)
+
+    try {
+      const params =
+        request.method === 'POST'
+          ? route.params.concat([await readBody(request)])
+          : route.params
+      const result = await storeAdapter[route.method](...params)
+
+      send(result.status, result.body)
+    } catch (err) {
+      console.error(err)
+      send(500)
+    }
+  })
+
+export default createStoreServer
@@ -28,11 +28,14 @@ const setUpContracts = async (
   )
   const pinakionPOC = new PinakionPOC(provider, pinakionInstance.address)
   // transfer ownership and set kleros instance
-  await pinakionPOC.setKleros(klerosCourt.address, klerosPOCParams.account)
-  await pinakionPOC.transferOwnership(
+  await (await pinakionPOC.setKleros(
     klerosCourt.address,
     klerosPOCParams.account
-  )
+  )).receipt
+  await (await pinakionPOC.transferOwnership(
+    klerosCourt.address,
+    klerosPOCParams.account
+  )).receipt
   const contractArbitrableTransaction = await ArbitrableTransaction.deploy(
     arbitrableContractParams.partyA,
     arbitrableContractParams.value, // use default value (0)
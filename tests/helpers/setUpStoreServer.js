@@ -0,0 +1,25 @@
+import { XMLHttpRequest } from 'xmlhttprequest'
+
+import MemoryStoreAdapter from '../../src/utils/storeAdapters/MemoryStoreAdapter'
+
+import createStoreServer from './createStoreServer'
+
+const setUpStoreServer = (storeAdapter = new MemoryStoreAdapter()) => {
+  // HTTPStoreAdapter uses XMLHttpRequest which does not exist in Node
+  if (!global.XMLHttpRequest) global.XMLHttpRequest = XMLHttpRequest
+
+  const server = createStoreServer(storeAdapter)
+
+  // listen on a random port so test files can run in parallel
+  return new Promise((resolve, reject) => {
+    server.on('error', reject)
+    server.listen(0, 'localhost', () =>
+      resolve({
+        server,
+        storeUri: `http://localhost:${server.address().port}`
+      })
+    )
+  })
+}
+
+export default setUpStoreServer
@@ -2,6 +2,7 @@ import Web3 from 'web3'
 
 import KlerosPOC from '../../src/contracts/implementations/arbitrator/KlerosPOC'
 import ArbitrableTransaction from '../../src/contracts/implementations/arbitrable/ArbitrableTransaction'
+import { subtractAmounts } from '../../src/utils/amounts'
 import * as ethConstants from '../../src/constants/eth'
 import * as errorConstants from '../../src/constants/error'
 import setUpContracts from '../helpers/setUpContracts'
@@ -226,12 +227,21 @@ describe('Contracts', () => {
         // raise dispute party A
         const raiseDisputeByPartyATxObj = await ArbitrableTransactionInstance.payArbitrationFeeByPartyA(
           partyA,
-          arbitrationCost -
-            web3.fromWei(partyAFeeContractInstance, 'ether').toNumber()
+          subtractAmounts(
+            arbitrationCost,
+            web3.fromWei(partyAFeeContractInstance, 'ether')
+          )
         )
-        expect(raiseDisputeByPartyATxObj.tx).toEqual(
+        expect(raiseDisputeByPartyATxObj.txHash).toEqual(
           expect.stringMatching(/^0x[a-f0-9]{64}$/)
         ) // tx hash
+        await raiseDisputeByPartyATxObj.receipt
+        // partyB can not call timeout while the contract is waiting on them
+        const simulatedTimeOut = await ArbitrableTransactionInstance.simulate.callTimeOutPartyB(
+          partyB
+        )
+        expect(simulatedTimeOut.success).toBe(false)
+        expect(simulatedTimeOut.reason).toBeTruthy()
 
         await delaySecond()
         // call timeout by partyA
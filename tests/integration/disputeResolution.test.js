@@ -2,11 +2,16 @@ import Web3 from 'web3'
 
 import KlerosPOC from '../../src/contracts/implementations/arbitrator/KlerosPOC'
 import ArbitrableTransaction from '../../src/contracts/implementations/arbitrable/ArbitrableTransaction'
+import ArbitrableContract from '../../src/contracts/abstractions/Arbitrable'
 import Notifications from '../../src/resources/Notifications'
+import StoreProviderWrapper from '../../src/utils/StoreProviderWrapper'
+import { toWei, subtractAmounts } from '../../src/utils/amounts'
+import { hashFile } from '../../src/utils/evidence'
 import * as ethConstants from '../../src/constants/eth'
 import * as notificationConstants from '../../src/constants/notification'
 import setUpContracts from '../helpers/setUpContracts'
 import delaySecond from '../helpers/delaySecond'
+import setUpStoreServer from '../helpers/setUpStoreServer'
 
 describe('Dispute Resolution', () => {
   let partyA
@@ -18,8 +23,12 @@ describe('Dispute Resolution', () => {
   let klerosPOCData
   let arbitrableContractData
   let provider
+  let storeServer
+  let storeUri
 
   beforeAll(async () => {
+    ;({ server: storeServer, storeUri } = await setUpStoreServer())
+
     // use testRPC
     provider = await new Web3.providers.HttpProvider(
       ethConstants.LOCALHOST_ETH_PROVIDER
@@ -52,6 +61,10 @@ describe('Dispute Resolution', () => {
     }
   })
 
+  afterAll(() => {
+    storeServer.close()
+  })
+
   it(
     'KlerosPOC full dispute resolution flow',
     async () => {
@@ -87,24 +100,45 @@ describe('Dispute Resolution', () => {
       )
       // juror1 should have no balance to start with
       const initialBalance = await KlerosPOCInstance.getPNKBalance(juror1)
-      expect(initialBalance.tokenBalance).toEqual(0)
+      expect(initialBalance.tokenBalance).toEqual('0')
+      // a dry run does not send the transaction
+      const simulatedBuyPNK = await KlerosPOCInstance.simulate.buyPNK(1, juror1)
+      expect(simulatedBuyPNK.success).toBe(true)
+      expect(simulatedBuyPNK.gas).toBeGreaterThan(0)
+      expect(simulatedBuyPNK.value).toEqual('1')
+      expect(
+        (await KlerosPOCInstance.getPNKBalance(juror1)).tokenBalance
+      ).toEqual('0')
       // buy 1 PNK juror1
-      await KlerosPOCInstance.buyPNK(1, juror1)
+      const buyPNKTransaction = await KlerosPOCInstance.buyPNK(1, juror1)
+      // the hash is available before the transaction is mined
+      expect(buyPNKTransaction.txHash).toEqual(
+        expect.stringMatching(/^0x[a-f0-9]{64}$/)
+      )
+      await buyPNKTransaction.receipt
+      expect(await buyPNKTransaction.gasUsed).toBeGreaterThan(0)
 
       const newBalance = await KlerosPOCInstance.getPNKBalance(juror1)
 
-      expect(newBalance.tokenBalance).toEqual(1)
+      expect(newBalance.tokenBalance).toEqual('1')
       // buy PNK for juror2
-      await KlerosPOCInstance.buyPNK(1, juror2)
+      await (await KlerosPOCInstance.buyPNK(1, juror2)).receipt
 
       // activate PNK juror1
       const activatedTokenAmount = 0.5
-      const balance = await KlerosPOCInstance.activatePNK(
-        activatedTokenAmount,
-        juror1
-      )
-      expect(balance.tokenBalance).toEqual(1)
-      expect(balance.activatedTokens).toEqual(0.5)
+      await (await KlerosPOCInstance.activatePNK(activatedTokenAmount, juror1))
+        .receipt
+      const balance = await KlerosPOCInstance.getPNKBalance(juror1)
+      expect(balance.tokenBalance).toEqual('1')
+      expect(balance.activatedTokens).toEqual('0.5')
+      // activated tokens can't be withdrawn this session
+      expect(await KlerosPOCInstance.getWithdrawablePNK(juror1)).toEqual('0')
+      expect(await KlerosPOCInstance.getWithdrawablePNK(juror2)).toEqual('1')
+      expect(
+        (await KlerosPOCInstance.getActivationHistory(juror1)).map(
+          activation => activation.activatedTokens
+        )
+      ).toEqual(['0.5'])
 
       // stateful notifications juror1
       juror1StatefullNotifications = await NotificationsInstance.getStatefulNotifications(
@@ -113,7 +147,8 @@ describe('Dispute Resolution', () => {
       )
       expect(juror1StatefullNotifications.length).toEqual(0)
       // activate PNK juror2
-      await KlerosPOCInstance.activatePNK(activatedTokenAmount, juror2)
+      await (await KlerosPOCInstance.activatePNK(activatedTokenAmount, juror2))
+        .receipt
 
       // load klerosPOC
       const klerosPOCInstance = await KlerosPOCInstance.loadContract()
@@ -141,12 +176,15 @@ describe('Dispute Resolution', () => {
       // raise dispute party A
       const raiseDisputeByPartyATxObj = await ArbitrableTransactionInstance.payArbitrationFeeByPartyA(
         partyA,
-        arbitrationCost -
-          web3.fromWei(partyAFeeContractInstance, 'ether').toNumber()
+        subtractAmounts(
+          arbitrationCost,
+          web3.fromWei(partyAFeeContractInstance, 'ether')
+        )
       )
-      expect(raiseDisputeByPartyATxObj.tx).toEqual(
+      expect(raiseDisputeByPartyATxObj.txHash).toEqual(
         expect.stringMatching(/^0x[a-f0-9]{64}$/)
       ) // tx hash
+      await raiseDisputeByPartyATxObj.receipt
 
       // return a bigint
       // FIXME use arbitrableTransaction
@@ -154,12 +192,17 @@ describe('Dispute Resolution', () => {
 
       const raiseDisputeByPartyBTxObj = await ArbitrableTransactionInstance.payArbitrationFeeByPartyB(
         partyB,
-        arbitrationCost -
-          web3.fromWei(partyBFeeContractInstance, 'ether').toNumber()
+        subtractAmounts(
+          arbitrationCost,
+          web3.fromWei(partyBFeeContractInstance, 'ether')
+        )
       )
-      expect(raiseDisputeByPartyBTxObj.tx).toEqual(
+      expect(raiseDisputeByPartyBTxObj.txHash).toEqual(
         expect.stringMatching(/^0x[a-f0-9]{64}$/)
       ) // tx hash
+      // the dispute creation is decoded from the receipt logs
+      const raiseDisputeLogs = await raiseDisputeByPartyBTxObj.logs
+      expect(raiseDisputeLogs.map(log => log.event)).toContain('Dispute')
       const dispute = await KlerosPOCInstance.getDispute(0)
       expect(dispute.arbitrableContractAddress).toEqual(
         arbitrableContractAddress
@@ -180,18 +223,40 @@ describe('Dispute Resolution', () => {
       )
       expect(resolutionOptions.length).toEqual(2)
       // add an evidence for partyA
-      const testName = 'test name'
-      const testDesc = 'test description'
-      const testURL = 'http://test.com'
-      const txHashAddEvidence = await ArbitrableTransactionInstance.submitEvidence(
+      const testEvidence = {
+        title: 'test name',
+        description: 'test description',
+        fileURI: 'http://test.com',
+        fileHash: hashFile('test file'),
+        fileType: 'text/plain'
+      }
+      const StoreProviderInstance = new StoreProviderWrapper(storeUri)
+      await StoreProviderInstance.setUpUserProfile(partyA)
+      await StoreProviderInstance.setUpUserProfile(partyB)
+      const ArbitrableContractInstance = new ArbitrableContract(
+        ArbitrableTransactionInstance,
+        StoreProviderInstance
+      )
+      const addEvidenceTransaction = await ArbitrableContractInstance.submitEvidence(
         partyA,
-        testName,
-        testDesc,
-        testURL
+        testEvidence
       )
-      expect(txHashAddEvidence).toEqual(
+      expect(addEvidenceTransaction.txHash).toEqual(
         expect.stringMatching(/^0x[a-f0-9]{64}$/)
       ) // tx hash
+      await addEvidenceTransaction.receipt
+      // evidence is also added to the store
+      const evidence = await ArbitrableContractInstance.getEvidenceForArbitrableContract()
+      expect(evidence.length).toEqual(1)
+      expect(evidence[0].title).toEqual(testEvidence.title)
+      expect(evidence[0].submitter).toEqual(partyA)
+      // the hash of the stored document was submitted on chain by partyA
+      expect(evidence[0].verified).toBe(true)
+      expect(evidence[0].disputeId).toEqual(0)
+      const evidenceLogs = await ArbitrableTransactionInstance.getEvidenceLogs()
+      expect(evidenceLogs.map(log => log.evidence)).toEqual([
+        evidence[0].evidenceHash
+      ])
 
       // check initial state of contract
       // FIXME var must be more explicit
@@ -211,7 +276,7 @@ describe('Dispute Resolution', () => {
             data: '0x'
           })
         await delaySecond()
-        await KlerosPOCInstance.passPeriod()
+        await (await KlerosPOCInstance.passPeriod()).receipt
 
         newPeriod = await KlerosPOCInstance.getPeriod()
         expect(newPeriod).toEqual(i)
@@ -257,20 +322,30 @@ describe('Dispute Resolution', () => {
       )
       // submit rulings
       const rulingJuror1 = 1
-      await KlerosPOCInstance.submitVotes(0, rulingJuror1, drawA, juror1)
+      await (await KlerosPOCInstance.submitVotes(
+        0,
+        rulingJuror1,
+        drawA,
+        juror1
+      )).receipt
       const rulingJuror2 = 2
-      await KlerosPOCInstance.submitVotes(0, rulingJuror2, drawB, juror2)
+      await (await KlerosPOCInstance.submitVotes(
+        0,
+        rulingJuror2,
+        drawB,
+        juror2
+      )).receipt
       const winningRuling =
         drawA.length > drawB.length ? rulingJuror1 : rulingJuror2
 
       await delaySecond()
-      await KlerosPOCInstance.passPeriod(other)
+      await (await KlerosPOCInstance.passPeriod(other)).receipt
 
       const currentRuling = await klerosPOCInstance.currentRuling(0)
       expect(`${currentRuling}`).toEqual(`${winningRuling}`)
 
       await delaySecond()
-      await KlerosPOCInstance.passPeriod(other)
+      await (await KlerosPOCInstance.passPeriod(other)).receipt
 
       // stateful notifications
       jurorStatefullNotifications = await NotificationsInstance.getStatefulNotifications(
@@ -283,10 +358,10 @@ describe('Dispute Resolution', () => {
       )
 
       // balances before ruling is executed
-      const partyABalance = web3.eth.getBalance(partyA).toNumber()
-      const partyBBalance = web3.eth.getBalance(partyB).toNumber()
+      const partyABalance = web3.eth.getBalance(partyA)
+      const partyBBalance = web3.eth.getBalance(partyB)
       // repartition tokens
-      await KlerosPOCInstance.repartitionJurorTokens(0, other)
+      await (await KlerosPOCInstance.repartitionJurorTokens(0, other)).receipt
 
       // stateful notifications
       jurorStatefullNotifications = await NotificationsInstance.getStatefulNotifications(
@@ -299,7 +374,7 @@ describe('Dispute Resolution', () => {
       )
 
       // execute ruling
-      await KlerosPOCInstance.executeRuling(0, other)
+      await (await KlerosPOCInstance.executeRuling(0, other)).receipt
 
       juror1StatefullNotifications = await NotificationsInstance.getStatefulNotifications(
         juror1,
@@ -315,19 +390,33 @@ describe('Dispute Resolution', () => {
       // partyA wins so they should recieve their arbitration fee as well as the value locked in contract
 
       if (winningRuling === rulingJuror1) {
-        expect(web3.eth.getBalance(partyA).toNumber() - partyABalance).toEqual(
-          KlerosPOCInstance._Web3Wrapper.toWei(arbitrationCost, 'ether') +
-            arbitrableContractData.value
+        expect(
+          web3.eth
+            .getBalance(partyA)
+            .minus(partyABalance)
+            .toString(10)
+        ).toEqual(
+          web3
+            .toBigNumber(toWei(arbitrationCost))
+            .plus(arbitrableContractData.value)
+            .toString(10)
         )
         // partyB lost so their balance should remain the same
-        expect(web3.eth.getBalance(partyB).toNumber()).toEqual(partyBBalance)
+        expect(web3.eth.getBalance(partyB)).toEqual(partyBBalance)
       } else {
-        expect(web3.eth.getBalance(partyB).toNumber() - partyBBalance).toEqual(
-          KlerosPOCInstance._Web3Wrapper.toWei(arbitrationCost, 'ether') +
-            arbitrableContractData.value
+        expect(
+          web3.eth
+            .getBalance(partyB)
+            .minus(partyBBalance)
+            .toString(10)
+        ).toEqual(
+          web3
+            .toBigNumber(toWei(arbitrationCost))
+            .plus(arbitrableContractData.value)
+            .toString(10)
         )
         // partyB lost so their balance should remain the same
-        expect(web3.eth.getBalance(partyA).toNumber()).toEqual(partyABalance)
+        expect(web3.eth.getBalance(partyA)).toEqual(partyABalance)
       }
 
       const updatedContractData = await ArbitrableTransactionInstance.getData()
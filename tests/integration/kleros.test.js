@@ -2,19 +2,32 @@ import Web3 from 'web3'
 
 import Kleros from '../../src/kleros'
 import * as ethConstants from '../../src/constants/eth'
+import setUpStoreServer from '../helpers/setUpStoreServer'
 
 describe('Kleros', () => {
-  it('can be created', () => {
-    const mockStoreUri = ''
-    const ethProvider = new Web3.providers.HttpProvider(
+  let storeServer
+  let storeUri
+  let ethProvider
+
+  beforeAll(async () => {
+    ;({ server: storeServer, storeUri } = await setUpStoreServer())
+
+    ethProvider = new Web3.providers.HttpProvider(
       ethConstants.LOCALHOST_ETH_PROVIDER
     )
+  })
+
+  afterAll(() => {
+    storeServer.close()
+  })
+
+  it('can be created', () => {
     const mockArbitrator = '0x0'
     const mockArbitrable = '0x1'
 
     const klerosInstance = new Kleros(
       ethProvider,
-      mockStoreUri,
+      storeUri,
       mockArbitrator,
       mockArbitrable
     )
@@ -31,4 +44,14 @@ describe('Kleros', () => {
       mockArbitrable
     )
   })
+  it('uses the local store', async () => {
+    const web3 = new Web3(ethProvider)
+    const account = web3.eth.accounts[0]
+
+    const klerosInstance = new Kleros(ethProvider, storeUri, '0x0', '0x1')
+
+    const profile = await klerosInstance.storeWrapper.setUpUserProfile(account)
+    expect(profile.address).toEqual(account)
+    expect(await klerosInstance.storeWrapper.getLastBlock(account)).toEqual(0)
+  })
 })
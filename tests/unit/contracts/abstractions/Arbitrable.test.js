@@ -1,5 +1,9 @@
+import _ from 'lodash'
+
 import ArbitrableContractApi from '../../../../src/contracts/abstractions/Arbitrable'
 import ArbitrableTransaction from '../../../../src/contracts/implementations/arbitrable/ArbitrableTransaction'
+import * as errorConstants from '../../../../src/constants/error'
+import { createEvidence, hashEvidence } from '../../../../src/utils/evidence'
 import _asyncMockResponse from '../../../helpers/asyncMockResponse'
 
 describe('ArbitrableContract', async () => {
@@ -7,6 +11,9 @@ describe('ArbitrableContract', async () => {
 
   beforeEach(async () => {
     const _arbitrableTransaction = new ArbitrableTransaction({})
+    _arbitrableTransaction.getBlockNumber = jest.fn(() =>
+      _asyncMockResponse(10)
+    )
     arbitrableContractInstance = new ArbitrableContractApi(
       _arbitrableTransaction,
       {}
@@ -19,12 +26,16 @@ describe('ArbitrableContract', async () => {
       const partyB = '0x1'
       const mockData = {
         partyA,
-        partyB
+        partyB,
+        parties: [partyA, partyB]
       }
       const mockGetData = jest.fn()
       arbitrableContractInstance._contractImplementation.getData = mockGetData.mockReturnValue(
         _asyncMockResponse(mockData)
       )
+      arbitrableContractInstance._contractImplementation.getEvidenceLogs = jest
+        .fn()
+        .mockReturnValue(_asyncMockResponse([]))
 
       const mockGetContractByAddress = jest.fn()
       // return partyA then partyB contract
@@ -60,12 +71,16 @@ describe('ArbitrableContract', async () => {
       const partyB = '0x1'
       const mockData = {
         partyA,
-        partyB
+        partyB,
+        parties: [partyA, partyB]
       }
       const mockGetData = jest.fn()
       arbitrableContractInstance._contractImplementation.getData = mockGetData.mockReturnValue(
         _asyncMockResponse(mockData)
       )
+      arbitrableContractInstance._contractImplementation.getEvidenceLogs = jest
+        .fn()
+        .mockReturnValue(_asyncMockResponse([]))
 
       const mockGetContractByAddress = jest.fn()
       // return partyA then partyB contract
@@ -90,5 +105,199 @@ describe('ArbitrableContract', async () => {
       expect(evidence.length).toBe(1)
       expect(evidence[0].submitter).toEqual(partyA)
     })
+    it('verifies evidence against the evidence logs', async () => {
+      const partyA = '0xdcb2db3e3fa7a6cba5dfe964408099d860246d7a'
+      const partyB = '0x1'
+      arbitrableContractInstance._contractImplementation.getData = jest
+        .fn()
+        .mockReturnValue(
+          _asyncMockResponse({ partyA, partyB, parties: [partyA, partyB] })
+        )
+
+      const submitted = createEvidence({
+        title: 'submitted',
+        submitter: partyA
+      })
+      const edited = {
+        ...createEvidence({ title: 'edited', submitter: partyA }),
+        evidenceHash: hashEvidence(submitted)
+      }
+      // claims to be from partyA but is stored for partyB
+      const misplaced = submitted
+      arbitrableContractInstance._contractImplementation.getEvidenceLogs = jest
+        .fn()
+        .mockReturnValue(
+          _asyncMockResponse([
+            { party: partyA, evidence: hashEvidence(submitted) }
+          ])
+        )
+
+      const mockGetContractByAddress = jest.fn()
+      mockGetContractByAddress.mockReturnValueOnce({
+        evidences: [submitted, edited]
+      })
+      mockGetContractByAddress.mockReturnValueOnce({
+        evidences: [misplaced]
+      })
+      arbitrableContractInstance.setStoreProviderInstance({
+        getContractByAddress: mockGetContractByAddress
+      })
+
+      const evidence = await arbitrableContractInstance.getEvidenceForArbitrableContract()
+
+      expect(evidence.map(item => item.verified)).toEqual([true, false, false])
+      expect(evidence[2].submitter).toEqual(partyB)
+    })
+
+    it('only fetches the evidence logs of new blocks', async () => {
+      const partyA = '0x0'
+      const implementation = arbitrableContractInstance._contractImplementation
+      implementation.getData = jest
+        .fn()
+        .mockReturnValue(_asyncMockResponse({ partyA, parties: [partyA] }))
+      implementation.getEvidenceLogs = jest
+        .fn()
+        .mockReturnValueOnce(
+          _asyncMockResponse([
+            { party: partyA, evidence: '0xa', blockNumber: 4 }
+          ])
+        )
+        .mockReturnValueOnce(
+          _asyncMockResponse([
+            { party: partyA, evidence: '0xb', blockNumber: 12 }
+          ])
+        )
+
+      await arbitrableContractInstance.getEvidenceForArbitrableContract()
+      await arbitrableContractInstance.getEvidenceForArbitrableContract()
+      implementation.getBlockNumber.mockReturnValue(_asyncMockResponse(12))
+      const evidence = await arbitrableContractInstance.getEvidenceForArbitrableContract()
+
+      expect(implementation.getEvidenceLogs.mock.calls).toEqual([
+        [0, 10],
+        [11, 12]
+      ])
+      expect(evidence.map(item => item.evidence)).toEqual(['0xa', '0xb'])
+    })
+
+    it('throws store failures other than a missing profile', async () => {
+      const partyA = '0x0'
+      arbitrableContractInstance._contractImplementation.getData = jest
+        .fn()
+        .mockReturnValue(_asyncMockResponse({ partyA, parties: [partyA] }))
+      arbitrableContractInstance._contractImplementation.getEvidenceLogs = jest
+        .fn()
+        .mockReturnValue(_asyncMockResponse([]))
+      arbitrableContractInstance.setStoreProviderInstance({
+        getContractByAddress: jest.fn(() =>
+          Promise.reject(new Error('connect ECONNREFUSED'))
+        )
+      })
+
+      await expect(
+        arbitrableContractInstance.getEvidenceForArbitrableContract()
+      ).rejects.toEqual(new Error('connect ECONNREFUSED'))
+    })
+  })
+
+  describe('getEvidenceByDispute', async () => {
+    it('reads evidence from the chain without a store', async () => {
+      const partyA = '0x0'
+      const partyB = '0x1'
+      arbitrableContractInstance._contractImplementation.getData = jest
+        .fn()
+        .mockReturnValue(
+          _asyncMockResponse({ partyA, partyB, parties: [partyA, partyB] })
+        )
+      arbitrableContractInstance._contractImplementation.getEvidenceLogs = jest
+        .fn()
+        .mockReturnValue(
+          _asyncMockResponse([
+            { party: partyB, evidence: '0xb', disputeId: 0, blockNumber: 3 },
+            { party: partyA, evidence: '0xa', disputeId: 0, blockNumber: 4 },
+            { party: partyA, evidence: '0xc', disputeId: 1, blockNumber: 2 }
+          ])
+        )
+      const mockStore = {
+        getContractByAddress: jest.fn(party =>
+          Promise.reject(new Error(errorConstants.PROFILE_NOT_FOUND(party)))
+        )
+      }
+      arbitrableContractInstance.setStoreProviderInstance(mockStore)
+
+      const evidence = await arbitrableContractInstance.getEvidenceForArbitrableContract()
+      expect(evidence.map(item => item.evidence)).toEqual(['0xa', '0xb', '0xc'])
+      expect(evidence.every(item => item.verified)).toBe(true)
+
+      const evidenceByDispute = await arbitrableContractInstance.getEvidenceByDispute()
+      expect(_.keys(evidenceByDispute)).toEqual(['0', '1'])
+      expect(evidenceByDispute[0][partyB][0].evidence).toEqual('0xb')
+      expect(evidenceByDispute[1][partyA].length).toBe(1)
+    })
+
+    it('merges the stored documents into the chain evidence', async () => {
+      const partyA = '0xdcb2db3e3fa7a6cba5dfe964408099d860246d7a'
+      const partyB = '0x1'
+      const document = createEvidence({ title: 'receipt', submitter: partyA })
+      arbitrableContractInstance._contractImplementation.getData = jest
+        .fn()
+        .mockReturnValue(
+          _asyncMockResponse({ partyA, partyB, parties: [partyA, partyB] })
+        )
+      arbitrableContractInstance._contractImplementation.getEvidenceLogs = jest
+        .fn()
+        .mockReturnValue(
+          _asyncMockResponse([
+            {
+              party: partyA,
+              evidence: hashEvidence(document),
+              disputeId: 0,
+              blockNumber: 3
+            }
+          ])
+        )
+      const mockGetContractByAddress = jest.fn()
+      mockGetContractByAddress.mockReturnValueOnce({ evidences: [document] })
+      mockGetContractByAddress.mockReturnValueOnce(null)
+      arbitrableContractInstance.setStoreProviderInstance({
+        getContractByAddress: mockGetContractByAddress
+      })
+
+      const evidence = await arbitrableContractInstance.getEvidenceForArbitrableContract()
+      expect(evidence.length).toBe(1)
+      expect(evidence[0].title).toEqual('receipt')
+      expect(evidence[0].disputeId).toBe(0)
+      expect(evidence[0].verified).toBe(true)
+    })
+  })
+
+  describe('getInstanceForAddress', async () => {
+    it('gives each contract its own cached instance', async () => {
+      const contractA = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+      const contractB = '0xEcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+
+      const instanceA = arbitrableContractInstance.getInstanceForAddress(
+        contractA
+      )
+      const instanceB = arbitrableContractInstance.getInstanceForAddress(
+        contractB
+      )
+
+      expect(instanceA).not.toBe(instanceB)
+      expect(instanceA.getContractAddress()).toEqual(contractA)
+      expect(instanceB.getContractAddress()).toEqual(contractB)
+      expect(instanceB._contractImplementation).toBeInstanceOf(
+        ArbitrableTransaction
+      )
+      expect(
+        arbitrableContractInstance.getInstanceForAddress(
+          contractA.toLowerCase()
+        )
+      ).toBe(instanceA)
+
+      const mockStore = {}
+      arbitrableContractInstance.setStoreProviderInstance(mockStore)
+      expect(instanceA._StoreProvider).toBe(mockStore)
+    })
   })
 })
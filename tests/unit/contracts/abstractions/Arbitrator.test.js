@@ -29,6 +29,7 @@ describe('Arbitrator', () => {
 
       const mockArbitrator = {
         getPeriod: jest.fn().mockReturnValue(_asyncMockResponse(0)),
+        getContractAddress: jest.fn().mockReturnValue(arbitratorAddress),
         getSession: jest.fn().mockReturnValue(_asyncMockResponse(1)),
         getDispute: jest.fn().mockReturnValue(_asyncMockResponse(mockDispute))
       }
@@ -42,6 +43,41 @@ describe('Arbitrator', () => {
       expect(mockShouldNotCall.mock.calls.length).toBe(0)
     })
 
+    it('ignores disputes of other arbitrators', async () => {
+      const mockDispute = {
+        arbitratorAddress: arbitratorAddress,
+        disputeId: '1'
+      }
+      const mockStoreProvider = {
+        getDisputesForUser: jest
+          .fn()
+          .mockReturnValue(
+            _asyncMockResponse([
+              mockDispute,
+              { arbitratorAddress: '0x1', disputeId: '1' }
+            ])
+          )
+      }
+
+      arbitratorInstance.setStoreProviderInstance(mockStoreProvider)
+
+      const mockGetDispute = jest
+        .fn()
+        .mockReturnValue(_asyncMockResponse(mockDispute))
+      const mockArbitrator = {
+        getPeriod: jest.fn().mockReturnValue(_asyncMockResponse(0)),
+        getContractAddress: jest.fn().mockReturnValue(arbitratorAddress),
+        getSession: jest.fn().mockReturnValue(_asyncMockResponse(1)),
+        getDispute: mockGetDispute
+      }
+      arbitratorInstance._contractImplementation = mockArbitrator
+
+      const disputes = await arbitratorInstance.getDisputesForUser(account)
+
+      expect(disputes).toEqual([mockDispute])
+      expect(mockGetDispute.mock.calls.length).toBe(1)
+    })
+
     it('has wrong session. already updated store', async () => {
       const mockGetDisputesForUser = jest.fn()
       const mockSetUpUserProfile = jest.fn()
@@ -56,7 +92,7 @@ describe('Arbitrator', () => {
         ),
         setUpUserProfile: mockSetUpUserProfile.mockReturnValue(
           _asyncMockResponse({
-            session: 1
+            sessions: { [arbitratorAddress]: 1 }
           })
         )
       }
@@ -65,6 +101,7 @@ describe('Arbitrator', () => {
 
       const mockArbitrator = {
         getPeriod: jest.fn().mockReturnValue(_asyncMockResponse(2)),
+        getContractAddress: jest.fn().mockReturnValue(arbitratorAddress),
         getSession: jest.fn().mockReturnValue(_asyncMockResponse(1)),
         getDispute: jest.fn().mockReturnValue(_asyncMockResponse(mockDispute))
       }
@@ -96,7 +133,7 @@ describe('Arbitrator', () => {
         ),
         setUpUserProfile: mockSetUpUserProfile.mockReturnValue(
           _asyncMockResponse({
-            session: 1
+            sessions: { [arbitratorAddress]: 1 }
           })
         ),
         updateUserProfile: mockUpdateUserProfile,
@@ -107,6 +144,7 @@ describe('Arbitrator', () => {
 
       const mockArbitrator = {
         getPeriod: jest.fn().mockReturnValue(_asyncMockResponse(2)),
+        getContractAddress: jest.fn().mockReturnValue(arbitratorAddress),
         getSession: jest.fn().mockReturnValue(_asyncMockResponse(2)),
         getDispute: jest.fn().mockReturnValue(_asyncMockResponse(mockDispute)),
         getDisputesForJuror: mockGetDisputesForJuror.mockReturnValue(
@@ -142,7 +180,129 @@ describe('Arbitrator', () => {
       expect(mockUpdateUserProfile.mock.calls.length).toBe(1)
       expect(mockUpdateUserProfile.mock.calls[0][0]).toBe(account)
       expect(mockUpdateUserProfile.mock.calls[0][1]).toEqual({
-        session: 2
+        sessions: { [arbitratorAddress]: 2 }
+      })
+    })
+  })
+
+  describe('juror workflow', async () => {
+    const disputes = [
+      {
+        arbitratorAddress,
+        disputeId: 0,
+        numberOfAppeals: 0,
+        appealDraws: [[1, 3]]
+      },
+      {
+        arbitratorAddress,
+        disputeId: 1,
+        numberOfAppeals: 1,
+        appealDraws: [undefined, []]
+      },
+      {
+        arbitratorAddress,
+        disputeId: 2,
+        numberOfAppeals: 0,
+        appealDraws: [[2]]
+      }
+    ]
+    let mockArbitrator
+
+    beforeEach(() => {
+      mockArbitrator = {
+        getPeriod: jest.fn().mockReturnValue(_asyncMockResponse(2)),
+        getSession: jest.fn().mockReturnValue(_asyncMockResponse(4)),
+        getContractAddress: jest.fn().mockReturnValue(arbitratorAddress),
+        getDeadlineForOpenDispute: jest
+          .fn()
+          .mockReturnValue(_asyncMockResponse(1000)),
+        getPNKBalance: jest.fn().mockReturnValue(
+          _asyncMockResponse({
+            tokenBalance: 10,
+            activatedTokens: 0,
+            lockedTokens: 0
+          })
+        ),
+        getDisputesForJuror: jest
+          .fn()
+          .mockReturnValue(_asyncMockResponse(disputes)),
+        getDrawsForJuror: jest.fn().mockReturnValue(_asyncMockResponse([1, 3])),
+        // the juror already voted on dispute 2
+        canRuleDispute: jest.fn(disputeId =>
+          _asyncMockResponse(disputeId !== 2)
+        ),
+        submitVotes: jest.fn().mockReturnValue(_asyncMockResponse({})),
+        activatePNK: jest.fn().mockReturnValue(_asyncMockResponse({}))
+      }
+      arbitratorInstance = new ArbitratorApi(mockArbitrator, null)
+    })
+
+    it('gets pending votes without a store', async () => {
+      const pendingVotes = await arbitratorInstance.getPendingVotes(account)
+
+      expect(pendingVotes).toEqual([
+        { ...disputes[0], draws: [1, 3], hasVoted: false }
+      ])
+    })
+
+    it('saves the draws to the store', async () => {
+      const mockUpdateDisputeProfile = jest.fn()
+      arbitratorInstance.setStoreProviderInstance({
+        updateDisputeProfile: mockUpdateDisputeProfile
+      })
+
+      await arbitratorInstance.getPendingVotes(account)
+
+      expect(mockUpdateDisputeProfile.mock.calls).toEqual([
+        [account, arbitratorAddress, 0, { appealDraws: [[1, 3]] }],
+        [account, arbitratorAddress, 2, { appealDraws: [[2]] }]
+      ])
+    })
+
+    it('votes with the draws of the juror', async () => {
+      await arbitratorInstance.vote(0, 1, account)
+
+      expect(mockArbitrator.submitVotes).toHaveBeenCalledWith(
+        0,
+        1,
+        [1, 3],
+        account,
+        {}
+      )
+    })
+
+    it('does not vote twice or outside of the vote period', async () => {
+      await expect(arbitratorInstance.vote(2, 1, account)).rejects.toBeTruthy()
+
+      mockArbitrator.getPeriod.mockReturnValue(_asyncMockResponse(3))
+      await expect(arbitratorInstance.vote(0, 1, account)).rejects.toBeTruthy()
+      expect(mockArbitrator.submitVotes).not.toHaveBeenCalled()
+    })
+
+    it('activates all tokens', async () => {
+      mockArbitrator.getPeriod.mockReturnValue(_asyncMockResponse(0))
+
+      await arbitratorInstance.activateMaxPNK(account)
+
+      expect(mockArbitrator.activatePNK).toHaveBeenCalledWith(10, account, {})
+    })
+
+    it('gets the session summary', async () => {
+      const summary = await arbitratorInstance.getSessionSummary(account)
+
+      expect(summary).toEqual({
+        arbitratorAddress,
+        session: 4,
+        period: 2,
+        periodDeadline: 1000,
+        tokenBalance: 10,
+        activatedTokens: 0,
+        lockedTokens: 0,
+        disputes: [
+          { ...disputes[0], draws: [1, 3], hasVoted: false },
+          { ...disputes[2], draws: [2], hasVoted: true }
+        ],
+        pendingVotes: 1
       })
     })
   })
@@ -0,0 +1,61 @@
+import { BN } from 'ethereumjs-util'
+
+import PinakionPOC from '../../../../../src/contracts/implementations/PNK/PinakionPOC'
+import * as errorConstants from '../../../../../src/constants/error'
+
+describe('PinakionPOC', () => {
+  const contractAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7a'
+  const account = '0x3af76ef44932695a33ba2af52018cd24a74c904f'
+  const spender = '0x8a2D34b1c3c3a1C7E2e9F4eB6cE9A0FcD0b3B7E1'
+  let pinakion
+
+  beforeEach(() => {
+    pinakion = new PinakionPOC({}, contractAddress)
+    pinakion.contractInstance = {
+      balanceOf: jest.fn(() => Promise.resolve(new BN('1500000000000000000'))),
+      totalSupply: jest.fn(() =>
+        Promise.resolve(new BN('1000000000000000000000000'))
+      ),
+      allowance: jest.fn(() => Promise.resolve(new BN('1')))
+    }
+    pinakion._sendTransaction = jest.fn(() => Promise.resolve({ txHash: '0x' }))
+  })
+
+  it('reads balances and allowances in PNK', async () => {
+    expect(await pinakion.balanceOf(account)).toEqual('1.5')
+    expect(pinakion.contractInstance.balanceOf).toHaveBeenCalledWith(account)
+    expect(await pinakion.totalSupply()).toEqual('1000000')
+    expect(await pinakion.allowance(account, spender)).toEqual(
+      '0.000000000000000001'
+    )
+    expect(pinakion.contractInstance.allowance).toHaveBeenCalledWith(
+      account,
+      spender
+    )
+  })
+
+  it('transfers and approves amounts in wei', async () => {
+    await pinakion.transfer(spender, '0.15', account)
+    expect(pinakion._sendTransaction).toHaveBeenCalledWith(
+      'transfer',
+      [spender, '150000000000000000'],
+      { from: account },
+      {}
+    )
+
+    await pinakion.approve(spender, 10, account, { gasPrice: 1 })
+    expect(pinakion._sendTransaction).toHaveBeenLastCalledWith(
+      'approve',
+      [spender, '10000000000000000000'],
+      { from: account },
+      { gasPrice: 1 }
+    )
+  })
+
+  it('rejects approveAndCall on tokens that do not have it', async () => {
+    await expect(
+      pinakion.approveAndCall(spender, 10, '0x', account)
+    ).rejects.toEqual(new Error(errorConstants.APPROVE_AND_CALL_NOT_SUPPORTED))
+    expect(pinakion._sendTransaction).not.toHaveBeenCalled()
+  })
+})
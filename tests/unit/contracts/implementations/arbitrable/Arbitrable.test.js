@@ -0,0 +1,90 @@
+import arbitrableArtifact from 'kleros-interaction/build/contracts/Arbitrable'
+import twoPartyArbitrableArtifact from 'kleros-interaction/build/contracts/TwoPartyArbitrable'
+import _ from 'lodash'
+
+import Arbitrable from '../../../../../src/contracts/implementations/arbitrable/Arbitrable'
+
+describe('Arbitrable', () => {
+  const contractAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7a'
+  const arbitratorAddress = '0x3af76ef44932695a33ba2af52018cd24a74c904f'
+  const results = {
+    arbitrator: arbitratorAddress,
+    arbitratorExtraData: '0x01'
+  }
+
+  /**
+   * Load an implementation with a contract built from the ABI of its artifact, so only
+   * the functions of the artifact can be called.
+   * @param {object} artifact - Artifact of the contract.
+   * @returns {object} - The Arbitrable implementation.
+   */
+  const loadWithArtifact = artifact => {
+    const arbitrable = new Arbitrable({}, contractAddress, artifact)
+    arbitrable.contractInstance = {
+      contract: _.fromPairs(
+        artifact.abi
+          .filter(item => item.type === 'function')
+          .map(item => [item.name, { request: () => item.name }])
+      )
+    }
+    arbitrable._Web3Wrapper.batchRequest = jest.fn(requests =>
+      requests.map(methodName => Promise.resolve(results[methodName]))
+    )
+
+    return arbitrable
+  }
+
+  it('reads the data of contracts that only implement the standard', async () => {
+    const arbitrable = loadWithArtifact(arbitrableArtifact)
+
+    expect(await arbitrable.getData()).toEqual({
+      address: contractAddress,
+      arbitrator: arbitratorAddress,
+      arbitratorExtraData: '',
+      extraData: '',
+      parties: []
+    })
+  })
+
+  it('reads the arbitrator extra data of contracts that have it', async () => {
+    const arbitrable = loadWithArtifact(twoPartyArbitrableArtifact)
+
+    expect(await arbitrable.getData()).toEqual(
+      expect.objectContaining({
+        arbitratorExtraData: '0x01',
+        extraData: '0x01'
+      })
+    )
+  })
+
+  it('looks for the ruling options in the block the dispute was created in', async () => {
+    const arbitrable = loadWithArtifact(arbitrableArtifact)
+    const mockNumber = n => ({ toNumber: () => n })
+    const disputeEvent = jest.fn(() => ({
+      get: callback =>
+        callback(null, [
+          {
+            event: 'Dispute',
+            blockNumber: 10,
+            args: {
+              _arbitrator: arbitratorAddress,
+              _disputeID: mockNumber(3),
+              _rulingOptions: 'Pay;Reimburse'
+            }
+          }
+        ])
+    }))
+    arbitrable.contractInstance.Dispute = disputeEvent
+
+    expect(
+      await arbitrable.getRulingOptions(arbitratorAddress.toUpperCase(), 3, 10)
+    ).toEqual([{ name: 'Pay', value: 1 }, { name: 'Reimburse', value: 2 }])
+    expect(disputeEvent).toHaveBeenCalledWith(
+      {},
+      { fromBlock: 10, toBlock: 10 }
+    )
+    expect(await arbitrable.getRulingOptions(arbitratorAddress, 4, 10)).toEqual(
+      []
+    )
+  })
+})
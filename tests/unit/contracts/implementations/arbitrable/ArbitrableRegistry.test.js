@@ -0,0 +1,69 @@
+import ArbitrableRegistry from '../../../../../src/contracts/implementations/arbitrable/ArbitrableRegistry'
+
+const mockGetCode = jest.fn()
+jest.mock('../../../../../src/utils/Web3Wrapper', () =>
+  jest.fn().mockImplementation(() => ({ getCode: mockGetCode }))
+)
+
+describe('ArbitrableRegistry', () => {
+  const contractAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7a'
+  const functionAbi = name => ({
+    type: 'function',
+    name,
+    inputs: [{ name: '_value', type: 'uint256' }]
+  })
+  // selectors of rule(uint256) and pay(uint256)
+  const ruleSelector = 'db18af6c'
+  const paySelector = 'c290d691'
+
+  class Standard {
+    static artifact = { abi: [functionAbi('rule')] }
+  }
+  class Escrow {
+    static artifact = {
+      abi: [functionAbi('rule'), functionAbi('pay'), { type: 'event' }]
+    }
+  }
+  let registry
+
+  beforeEach(() => {
+    mockGetCode.mockReset()
+    registry = new ArbitrableRegistry([Standard, Escrow])
+  })
+
+  it('picks the most specific implementation from the ABI', async () => {
+    expect(
+      await registry.getImplementationClass({}, contractAddress, [
+        functionAbi('pay'),
+        functionAbi('rule'),
+        functionAbi('withdraw')
+      ])
+    ).toBe(Escrow)
+    expect(
+      await registry.getImplementationClass({}, contractAddress, [
+        functionAbi('rule')
+      ])
+    ).toBe(Standard)
+    await expect(
+      registry.getImplementationClass({}, contractAddress, [functionAbi('pay')])
+    ).rejects.toBeTruthy()
+  })
+
+  it('picks the implementation from the bytecode once per contract', async () => {
+    mockGetCode.mockReturnValue(
+      Promise.resolve(`0x6060${ruleSelector}8063${paySelector}14`)
+    )
+
+    expect(await registry.getImplementationClass({}, contractAddress)).toBe(
+      Escrow
+    )
+    expect(
+      await registry.getImplementationClass({}, contractAddress.toLowerCase())
+    ).toBe(Escrow)
+    expect(mockGetCode).toHaveBeenCalledTimes(1)
+
+    mockGetCode.mockReturnValue(Promise.resolve(`0x6060${ruleSelector}14`))
+    const instance = await registry.getImplementation({}, '0x1')
+    expect(instance).toBeInstanceOf(Standard)
+  })
+})
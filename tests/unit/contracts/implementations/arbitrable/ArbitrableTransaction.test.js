@@ -0,0 +1,138 @@
+import arbitrableTransactionArtifact from 'kleros-interaction/build/contracts/ArbitrableTransaction'
+
+import ArbitrableTransaction from '../../../../../src/contracts/implementations/arbitrable/ArbitrableTransaction'
+import { ACTION, STATUS } from '../../../../../src/constants/contract'
+import * as errorConstants from '../../../../../src/constants/error'
+
+describe('ArbitrableTransaction', () => {
+  const contractAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7a'
+  const partyA = '0x3af76ef44932695a33ba2af52018cd24a74c904f'
+  const partyB = '0x8a2D34b1c3c3a1C7E2e9F4eB6cE9A0FcD0b3B7E1'
+  const mockNumber = n => ({ toNumber: () => n })
+  const stateData = {
+    partyA,
+    partyB,
+    status: 0,
+    amount: '1.5',
+    partyAFee: '0',
+    partyBFee: '0',
+    timeout: 3600,
+    lastInteraction: 1500000000
+  }
+  const mockBlock = timestamp => jest.fn(() => Promise.resolve({ timestamp }))
+
+  it('decodes the events of the contract', () => {
+    const arbitrableTransaction = new ArbitrableTransaction({}, contractAddress)
+    const log = { transactionHash: '0xt', blockNumber: 10 }
+
+    expect(
+      arbitrableTransaction.decodeEvent({
+        ...log,
+        event: 'HasToPayFee',
+        args: { _party: mockNumber(1) }
+      })
+    ).toEqual({ ...log, event: 'HasToPayFee', party: 'partyB' })
+    expect(
+      arbitrableTransaction.decodeEvent({
+        ...log,
+        event: 'Evidence',
+        args: {
+          _arbitrator: '0xa',
+          _disputeID: mockNumber(2),
+          _party: partyA,
+          _evidence: '0xe'
+        }
+      })
+    ).toEqual({
+      ...log,
+      event: 'Evidence',
+      arbitrator: '0xa',
+      disputeId: 2,
+      party: partyA,
+      evidence: '0xe'
+    })
+    expect(() =>
+      arbitrableTransaction.decodeEvent({ ...log, event: 'Payment', args: {} })
+    ).toThrow(errorConstants.NOT_AN_ARBITRABLE_TRANSACTION_EVENT('Payment'))
+  })
+
+  it('only reimburses with contracts that have a reimburse function', async () => {
+    const withoutReimburse = {
+      ...arbitrableTransactionArtifact,
+      abi: arbitrableTransactionArtifact.abi.filter(
+        item => item.name !== 'reimburse'
+      )
+    }
+    const arbitrableTransaction = new ArbitrableTransaction(
+      {},
+      contractAddress,
+      withoutReimburse
+    )
+    arbitrableTransaction._getStateData = jest.fn(() =>
+      Promise.resolve(stateData)
+    )
+    arbitrableTransaction.getBlock = mockBlock(stateData.lastInteraction)
+    arbitrableTransaction._sendTransaction = jest.fn()
+
+    await expect(
+      arbitrableTransaction.reimburse(partyB, '0.5')
+    ).rejects.toEqual(new Error(errorConstants.REIMBURSEMENT_NOT_SUPPORTED))
+    expect(arbitrableTransaction._sendTransaction).not.toHaveBeenCalled()
+    expect(
+      (await arbitrableTransaction.getAllowedActions(partyB)).map(
+        ({ action }) => action
+      )
+    ).toEqual([ACTION.PAY_ARBITRATION_FEE_BY_PARTY_B])
+
+    const withReimburse = new ArbitrableTransaction({}, contractAddress)
+    withReimburse._getStateData = arbitrableTransaction._getStateData
+    withReimburse.getBlock = arbitrableTransaction.getBlock
+    expect(
+      (await withReimburse.getAllowedActions(partyB)).map(
+        ({ action }) => action
+      )
+    ).toEqual([ACTION.REIMBURSE, ACTION.PAY_ARBITRATION_FEE_BY_PARTY_B])
+  })
+  it('checks the timeout against the time of the latest block', async () => {
+    const waitingPartyB = {
+      ...stateData,
+      status: STATUS.WAITING_PARTY_B,
+      partyAFee: '0.15'
+    }
+    const deadline = waitingPartyB.lastInteraction + waitingPartyB.timeout
+    const arbitrableTransaction = new ArbitrableTransaction({}, contractAddress)
+    arbitrableTransaction._getStateData = jest.fn(() =>
+      Promise.resolve(waitingPartyB)
+    )
+    arbitrableTransaction._sendTransaction = jest.fn(() =>
+      Promise.resolve({ txHash: '0xt' })
+    )
+    // the local clock is behind the chain
+    const dateNow = jest
+      .spyOn(Date, 'now')
+      .mockReturnValue((deadline - 600) * 1000)
+
+    try {
+      arbitrableTransaction.getBlock = mockBlock(deadline)
+      expect(
+        (await arbitrableTransaction.getAllowedActions(partyA)).map(
+          ({ action }) => action
+        )
+      ).toEqual([ACTION.PAY, ACTION.CALL_TIMEOUT_PARTY_A])
+      expect(await arbitrableTransaction.callTimeOutPartyA(partyA)).toEqual({
+        txHash: '0xt'
+      })
+      expect(arbitrableTransaction.getBlock).toHaveBeenCalledWith('latest')
+
+      // the local clock is ahead of the chain
+      dateNow.mockReturnValue((deadline + 600) * 1000)
+      arbitrableTransaction.getBlock = mockBlock(deadline - 1)
+      await expect(
+        arbitrableTransaction.callTimeOutPartyA(partyA)
+      ).rejects.toEqual(new Error(errorConstants.TIMEOUT_NOT_REACHED))
+      expect(arbitrableTransaction._sendTransaction).toHaveBeenCalledTimes(1)
+    } finally {
+      dateNow.mockRestore()
+    }
+  })
+})
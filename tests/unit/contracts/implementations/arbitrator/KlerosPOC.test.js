@@ -0,0 +1,115 @@
+import KlerosPOC from '../../../../../src/contracts/implementations/arbitrator/KlerosPOC'
+import EventListener from '../../../../../src/utils/EventListener'
+import { PERIOD } from '../../../../../src/constants/arbitrator'
+import * as errorConstants from '../../../../../src/constants/error'
+
+// the parts of a BigNumber returned by web3 that are used
+const mockBigNumber = n => ({
+  toNumber: () => n,
+  toString: () => String(n),
+  minus: other => mockBigNumber(n - other.toNumber()),
+  isNegative: () => n < 0
+})
+
+// jurors(account) struct: balance, atStake, lastSession, segmentStart, segmentEnd
+const mockJuror = (balance, atStake, lastSession, activatedTokens = 0) =>
+  [balance, atStake, lastSession, 0, activatedTokens].map(mockBigNumber)
+
+describe('KlerosPOC', () => {
+  const contractAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7a'
+  const account = '0x3af76ef44932695a33ba2af52018cd24a74c904f'
+  let klerosPOC
+
+  beforeEach(() => {
+    klerosPOC = new KlerosPOC({}, contractAddress)
+    klerosPOC.contractInstance = {}
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('getWithdrawablePNK', () => {
+    const mockBatchCall = (juror, session) =>
+      jest.fn(() => [
+        Promise.resolve(juror),
+        Promise.resolve(mockBigNumber(session))
+      ])
+
+    it('leaves out the tokens locked in disputes', async () => {
+      klerosPOC._batchCall = mockBatchCall(mockJuror(5e18, 2e18, 3), 4)
+
+      expect(await klerosPOC.getWithdrawablePNK(account)).toEqual('3')
+      expect(klerosPOC._batchCall).toHaveBeenCalledWith([
+        ['jurors', account],
+        ['session']
+      ])
+    })
+
+    it('is 0 in the session the tokens were activated in', async () => {
+      klerosPOC._batchCall = mockBatchCall(mockJuror(5e18, 0, 4), 4)
+
+      expect(await klerosPOC.getWithdrawablePNK(account)).toEqual('0')
+    })
+
+    it('is 0 when more tokens are locked than deposited', async () => {
+      klerosPOC._batchCall = mockBatchCall(mockJuror(1e18, 2e18, 3), 4)
+
+      expect(await klerosPOC.getWithdrawablePNK(account)).toEqual('0')
+    })
+  })
+
+  describe('getActivationHistory', () => {
+    const mockPeriodLog = (period, blockNumber) => ({
+      event: 'NewPeriod',
+      blockNumber,
+      args: { _period: mockBigNumber(period) }
+    })
+
+    it('requires the block to start from', () => {
+      expect(() => klerosPOC.getActivationHistory(account)).toThrow(
+        errorConstants.MISSING_PARAMETERS('fromBlock')
+      )
+    })
+
+    it('reads each activation once, at the end of its activation period', async () => {
+      const getEventLogs = jest
+        .spyOn(EventListener, 'getEventLogs')
+        .mockImplementation(() =>
+          Promise.resolve([
+            mockPeriodLog(PERIOD.DRAW, 50),
+            mockPeriodLog(PERIOD.DRAW, 100),
+            mockPeriodLog(PERIOD.VOTE, 150),
+            mockPeriodLog(PERIOD.DRAW, 200),
+            mockPeriodLog(PERIOD.DRAW, 300)
+          ])
+        )
+      // map block -> juror at the block. Not activated yet, then activated in sessions 1 and 3
+      const jurorsAtBlock = {
+        50: mockJuror(2e18, 0, 0),
+        100: mockJuror(2e18, 0, 1, 2e18),
+        200: mockJuror(2e18, 0, 1, 2e18),
+        300: mockJuror(2e18, 0, 3, 1e18)
+      }
+      klerosPOC._batchCall = jest.fn((_calls, block) => [
+        Promise.resolve(jurorsAtBlock[block])
+      ])
+      klerosPOC.contractInstance.jurors = jest.fn(() =>
+        Promise.resolve(mockJuror(2e18, 0, 3, 1e18))
+      )
+
+      expect(await klerosPOC.getActivationHistory(account, 40)).toEqual([
+        { session: 1, activatedTokens: '2', blockNumber: 100 },
+        { session: 3, activatedTokens: '1', blockNumber: 300 }
+      ])
+      expect(getEventLogs).toHaveBeenCalledWith(klerosPOC, 'NewPeriod', 40)
+      // the vote period isn't read
+      expect(klerosPOC._batchCall.mock.calls.map(call => call[1])).toEqual([
+        50,
+        100,
+        200,
+        300
+      ])
+    })
+  })
+})
@@ -0,0 +1,97 @@
+import StoreProviderWrapper from '../../../src/utils/StoreProviderWrapper'
+import setUpStoreServer from '../../helpers/setUpStoreServer'
+
+describe('createStoreServer', () => {
+  let arbitratorAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+  let contractAddress = '0xEcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+  let account = '0x0'
+  let server
+  let storeProviderWrapper
+
+  beforeAll(async () => {
+    const { server: storeServer, storeUri } = await setUpStoreServer()
+    server = storeServer
+    storeProviderWrapper = new StoreProviderWrapper(storeUri)
+  })
+
+  afterAll(() => {
+    server.close()
+  })
+
+  it('serves user profiles', async () => {
+    expect(await storeProviderWrapper.getUserProfile(account)).toBeNull()
+
+    const profile = await storeProviderWrapper.setUpUserProfile(account)
+    expect(profile.address).toEqual(account)
+
+    const response = await storeProviderWrapper.updateUserProfile(account, {
+      session: 2
+    })
+    expect(response.status).toBe(201)
+    expect(response.body.session).toBe(2)
+  })
+
+  it('serves contracts and evidence', async () => {
+    const contract = await storeProviderWrapper.updateContract(
+      account,
+      contractAddress,
+      { description: 'test description' }
+    )
+    expect(contract.address).toEqual(contractAddress)
+
+    const response = await storeProviderWrapper.addEvidenceContract(
+      contractAddress,
+      account,
+      { title: 'test name', description: 'test description' }
+    )
+    expect(response.status).toBe(201)
+
+    const storedContract = await storeProviderWrapper.getContractByAddress(
+      account,
+      contractAddress
+    )
+    expect(storedContract.evidences[0].title).toEqual('test name')
+  })
+
+  it('serves disputes', async () => {
+    expect(
+      await storeProviderWrapper.getDispute(arbitratorAddress, 0)
+    ).toBeNull()
+
+    await storeProviderWrapper.updateDispute(arbitratorAddress, 0, {
+      partyA: account
+    })
+    await storeProviderWrapper.updateDisputeProfile(
+      account,
+      arbitratorAddress,
+      0,
+      { appealDraws: [[1]] }
+    )
+
+    const dispute = await storeProviderWrapper.getDisputeData(
+      arbitratorAddress,
+      0,
+      account
+    )
+    expect(dispute.partyA).toEqual(account)
+    expect(dispute.appealDraws).toEqual([[1]])
+  })
+
+  it('serves notifications', async () => {
+    const response = await storeProviderWrapper.newNotification(
+      account,
+      '0xtxhash',
+      0,
+      0,
+      'test message'
+    )
+    expect(response.status).toBe(201)
+
+    const notifications = await storeProviderWrapper.markNotificationAsRead(
+      account,
+      '0xtxhash',
+      0
+    )
+    expect(notifications[0].read).toBe(true)
+  })
+})
@@ -66,18 +66,22 @@ describe('Disputes', () => {
         canRuleDispute: jest.fn().mockReturnValue(false),
         getContractAddress: jest.fn().mockReturnValue(arbitratorAddress)
       }
-      disputesInstance._ArbitratorInstance = mockArbitrator
+      disputesInstance.setArbitratorInstance(mockArbitrator)
 
       const mockArbitrableContractData = {
         partyA,
         partyB,
+        parties: [partyA, partyB],
         status: 0
       }
       const mockArbitrableContract = {
         getData: jest.fn().mockReturnValue(mockArbitrableContractData),
         getEvidenceForArbitrableContract: jest.fn().mockReturnValue([]),
-        setContractInstance: jest.fn()
+        getInstanceForAddressAsync: jest.fn()
       }
+      mockArbitrableContract.getInstanceForAddressAsync.mockReturnValue(
+        mockArbitrableContract
+      )
       disputesInstance._ArbitrableInstance = mockArbitrableContract
 
       const mockContract = {
@@ -101,6 +105,7 @@ describe('Disputes', () => {
       expect(disputeData.arbitrableContractStatus).toEqual(0)
       expect(disputeData.arbitratorAddress).toEqual(arbitratorAddress)
       expect(disputeData.partyA).toEqual(partyA)
+      expect(disputeData.parties).toEqual([partyA, partyB])
       expect(disputeData.partyB).toEqual(partyB)
       expect(disputeData.disputeId).toEqual(disputeId)
       expect(disputeData.firstSession).toEqual(session)
@@ -151,18 +156,22 @@ describe('Disputes', () => {
         canRuleDispute: jest.fn().mockReturnValue(true),
         getContractAddress: jest.fn().mockReturnValue(arbitratorAddress)
       }
-      disputesInstance._ArbitratorInstance = mockArbitrator
+      disputesInstance.setArbitratorInstance(mockArbitrator)
 
       const mockArbitrableContractData = {
         partyA,
         partyB,
+        parties: [partyA, partyB],
         status: 0
       }
       const mockArbitrableContract = {
         getData: jest.fn().mockReturnValue(mockArbitrableContractData),
         getEvidenceForArbitrableContract: jest.fn().mockReturnValue([]),
-        setContractInstance: jest.fn()
+        getInstanceForAddressAsync: jest.fn()
       }
+      mockArbitrableContract.getInstanceForAddressAsync.mockReturnValue(
+        mockArbitrableContract
+      )
       disputesInstance._ArbitrableInstance = mockArbitrableContract
 
       const mockContract = {
@@ -207,10 +216,8 @@ describe('Disputes', () => {
       expect(jurorData.createdAt).toEqual(
         mockUserData.appealCreatedAt[numberOfAppeals]
       )
-      expect(jurorData.fee).toEqual(
-        arbitrationFeePerJuror *
-          mockUserData.appealDraws[numberOfAppeals].length
-      )
+      // fee per juror times the number of draws, as an exact amount
+      expect(jurorData.fee).toEqual('0.3')
       expect(jurorData.draws).toEqual(mockUserData.appealDraws[numberOfAppeals])
       expect(jurorData.canRule).toBeTruthy()
 
@@ -266,18 +273,22 @@ describe('Disputes', () => {
         canRuleDispute: jest.fn().mockReturnValue(false),
         getContractAddress: jest.fn().mockReturnValue(arbitratorAddress)
       }
-      disputesInstance._ArbitratorInstance = mockArbitrator
+      disputesInstance.setArbitratorInstance(mockArbitrator)
 
       const mockArbitrableContractData = {
         partyA,
         partyB,
+        parties: [partyA, partyB],
         status: 3
       }
       const mockArbitrableContract = {
         getData: jest.fn().mockReturnValue(mockArbitrableContractData),
         getEvidenceForArbitrableContract: jest.fn().mockReturnValue([]),
-        setContractInstance: jest.fn()
+        getInstanceForAddressAsync: jest.fn()
       }
+      mockArbitrableContract.getInstanceForAddressAsync.mockReturnValue(
+        mockArbitrableContract
+      )
       disputesInstance._ArbitrableInstance = mockArbitrableContract
 
       const mockContract = {
@@ -322,10 +333,8 @@ describe('Disputes', () => {
       expect(jurorData.createdAt).toEqual(
         mockUserData.appealCreatedAt[numberOfAppeals]
       )
-      expect(jurorData.fee).toEqual(
-        arbitrationFeePerJuror *
-          mockUserData.appealDraws[numberOfAppeals].length
-      )
+      // fee per juror times the number of draws, as an exact amount
+      expect(jurorData.fee).toEqual('0.3')
       expect(jurorData.draws).toEqual(mockUserData.appealDraws[numberOfAppeals])
       expect(jurorData.canRule).toBeFalsy()
 
@@ -383,18 +392,22 @@ describe('Disputes', () => {
         canRuleDispute: jest.fn().mockReturnValue(false),
         getContractAddress: jest.fn().mockReturnValue(arbitratorAddress)
       }
-      disputesInstance._ArbitratorInstance = mockArbitrator
+      disputesInstance.setArbitratorInstance(mockArbitrator)
 
       const mockArbitrableContractData = {
         partyA,
         partyB,
+        parties: [partyA, partyB],
         status: 3
       }
       const mockArbitrableContract = {
         getData: jest.fn().mockReturnValue(mockArbitrableContractData),
         getEvidenceForArbitrableContract: jest.fn().mockReturnValue([]),
-        setContractInstance: jest.fn()
+        getInstanceForAddressAsync: jest.fn()
       }
+      mockArbitrableContract.getInstanceForAddressAsync.mockReturnValue(
+        mockArbitrableContract
+      )
       disputesInstance._ArbitrableInstance = mockArbitrableContract
 
       const mockContract = {
@@ -439,10 +452,8 @@ describe('Disputes', () => {
       expect(jurorData.createdAt).toEqual(
         mockUserData.appealCreatedAt[numberOfAppeals]
       )
-      expect(jurorData.fee).toEqual(
-        arbitrationFeePerJuror *
-          mockUserData.appealDraws[numberOfAppeals].length
-      )
+      // fee per juror times the number of draws, as an exact amount
+      expect(jurorData.fee).toEqual('0.3')
       expect(jurorData.draws).toEqual(mockUserData.appealDraws[numberOfAppeals])
       expect(jurorData.canRule).toBeFalsy()
 
@@ -465,4 +476,39 @@ describe('Disputes', () => {
       expect(disputeData.netPNK).toEqual(2)
     })
   })
+
+  describe('getDisputesForUser', async () => {
+    it('aggregates disputes across arbitrators or filters to one', async () => {
+      const otherArbitratorAddress =
+        '0xFcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+      const mockArbitrator = {
+        getContractAddress: jest.fn().mockReturnValue(arbitratorAddress),
+        getDisputesForUser: jest
+          .fn()
+          .mockReturnValue(_asyncMockResponse([{ disputeId: 0 }]))
+      }
+      const mockOtherArbitrator = {
+        getContractAddress: jest.fn().mockReturnValue(otherArbitratorAddress),
+        getDisputesForUser: jest
+          .fn()
+          .mockReturnValue(_asyncMockResponse([{ disputeId: 1 }]))
+      }
+      disputesInstance.setArbitratorInstance(mockArbitrator)
+      disputesInstance.addArbitratorInstance(mockOtherArbitrator)
+
+      expect(await disputesInstance.getDisputesForUser(account)).toEqual([
+        { disputeId: 0 },
+        { disputeId: 1 }
+      ])
+      expect(
+        await disputesInstance.getDisputesForUser(
+          account,
+          otherArbitratorAddress.toLowerCase()
+        )
+      ).toEqual([{ disputeId: 1 }])
+      await expect(
+        disputesInstance.getDisputesForUser(account, '0x2')
+      ).rejects.toBeTruthy()
+    })
+  })
 })
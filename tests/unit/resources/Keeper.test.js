@@ -0,0 +1,151 @@
+import Keeper from '../../../src/resources/Keeper'
+import * as arbitratorConstants from '../../../src/constants/arbitrator'
+import * as disputeConstants from '../../../src/constants/dispute'
+
+describe('Keeper', () => {
+  const account = '0x0'
+  let chain
+  let mockArbitrator
+  let keeper
+
+  beforeEach(() => {
+    // contract state the mock arbitrator reads and writes
+    chain = {
+      period: arbitratorConstants.PERIOD.EXECUTE,
+      session: 2,
+      lastPeriodChange: 1000,
+      timestamp: 1100,
+      disputeStates: {
+        0: disputeConstants.STATE.OPEN,
+        1: disputeConstants.STATE.EXECUTABLE,
+        2: disputeConstants.STATE.RESOLVED
+      }
+    }
+    const transaction = txHash => ({ txHash, receipt: Promise.resolve({}) })
+    const succeeds = () =>
+      Promise.resolve({ success: true, gas: 100000, value: 0, reason: null })
+
+    mockArbitrator = {
+      getData: jest.fn(() =>
+        Promise.resolve({
+          period: chain.period,
+          session: chain.session,
+          lastPeriodChange: chain.lastPeriodChange
+        })
+      ),
+      getTimeForPeriod: jest.fn(() => Promise.resolve(60)),
+      getBlock: jest.fn(() => Promise.resolve({ timestamp: chain.timestamp })),
+      getOpenDisputesForSession: jest.fn(() => Promise.resolve([0, 1, 2])),
+      getDispute: jest.fn(disputeId =>
+        Promise.resolve({ disputeId, state: chain.disputeStates[disputeId] })
+      ),
+      simulate: {
+        passPeriod: jest.fn(succeeds),
+        repartitionJurorTokens: jest.fn(succeeds),
+        executeRuling: jest.fn(succeeds)
+      },
+      passPeriod: jest.fn(() => {
+        chain.period = arbitratorConstants.PERIOD.ACTIVATION
+        chain.session++
+        chain.lastPeriodChange = chain.timestamp
+        return Promise.resolve(transaction('0xpass'))
+      }),
+      repartitionJurorTokens: jest.fn(disputeId => {
+        chain.disputeStates[disputeId] = disputeConstants.STATE.EXECUTABLE
+        return Promise.resolve(transaction(`0xrepartition${disputeId}`))
+      }),
+      executeRuling: jest.fn(disputeId => {
+        chain.disputeStates[disputeId] = disputeConstants.STATE.RESOLVED
+        return Promise.resolve(transaction(`0xexecute${disputeId}`))
+      })
+    }
+    keeper = new Keeper(mockArbitrator, account)
+  })
+
+  it('finalizes the disputes of the session and passes the period', async () => {
+    const report = await keeper.run()
+
+    expect(report.actions).toEqual([
+      {
+        method: 'repartitionJurorTokens',
+        disputeId: 0,
+        txHash: '0xrepartition0'
+      },
+      { method: 'executeRuling', disputeId: 0, txHash: '0xexecute0' },
+      { method: 'executeRuling', disputeId: 1, txHash: '0xexecute1' },
+      { method: 'passPeriod', txHash: '0xpass' }
+    ])
+    expect(
+      report.skipped.map(({ method, disputeId }) => [method, disputeId])
+    ).toEqual([
+      ['repartitionJurorTokens', 1],
+      ['repartitionJurorTokens', 2],
+      ['executeRuling', 2]
+    ])
+    expect(report.failed).toEqual([])
+    expect(report.period).toEqual(arbitratorConstants.PERIOD.ACTIVATION)
+    expect(report.session).toEqual(3)
+    expect(report.nextPeriodChange).toEqual(1160)
+    expect(mockArbitrator.executeRuling).toHaveBeenCalledWith(0, account)
+  })
+
+  it('does nothing when run again', async () => {
+    await keeper.run()
+    const report = await keeper.run()
+
+    expect(report.actions).toEqual([])
+    expect(mockArbitrator.passPeriod).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not pass a period that is not over', async () => {
+    chain.period = arbitratorConstants.PERIOD.VOTE
+    chain.timestamp = 1059
+
+    const report = await keeper.run()
+
+    expect(report.actions).toEqual([])
+    expect(mockArbitrator.getOpenDisputesForSession).not.toHaveBeenCalled()
+    expect(mockArbitrator.simulate.passPeriod).not.toHaveBeenCalled()
+  })
+
+  it('skips actions that would fail and reports failed transactions', async () => {
+    chain.disputeStates = { 0: disputeConstants.STATE.OPEN }
+    mockArbitrator.getOpenDisputesForSession.mockReturnValue(
+      Promise.resolve([0])
+    )
+    mockArbitrator.simulate.repartitionJurorTokens.mockReturnValue(
+      Promise.resolve({ success: false, reason: 'revert' })
+    )
+    mockArbitrator.passPeriod.mockReturnValue(
+      Promise.resolve({
+        txHash: '0xpass',
+        receipt: Promise.reject(new Error('failed'))
+      })
+    )
+
+    const report = await keeper.run()
+
+    expect(report.actions).toEqual([])
+    expect(report.skipped).toContainEqual({
+      method: 'repartitionJurorTokens',
+      disputeId: 0,
+      reason: 'revert'
+    })
+    expect(report.failed).toEqual([{ method: 'passPeriod', error: 'failed' }])
+  })
+  it('passes the errors of failed runs to onError and keeps running', async () => {
+    const error = new Error('connection refused')
+    mockArbitrator.getData.mockReturnValue(Promise.reject(error))
+    const callback = jest.fn()
+    const onError = jest.fn()
+
+    keeper = new Keeper(mockArbitrator, account, 0)
+    keeper.start(callback, { onError })
+    await new Promise(resolve => setTimeout(resolve, 10))
+    keeper.stop()
+
+    expect(callback).not.toHaveBeenCalled()
+    expect(onError).toHaveBeenCalledWith(error)
+    expect(onError.mock.calls.length).toBeGreaterThan(1)
+  })
+})
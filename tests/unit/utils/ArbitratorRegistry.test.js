@@ -0,0 +1,51 @@
+import ArbitratorRegistry from '../../../src/utils/ArbitratorRegistry'
+import * as errorConstants from '../../../src/constants/error'
+
+describe('ArbitratorRegistry', () => {
+  const mockArbitrator = address => ({
+    getContractAddress: jest.fn().mockReturnValue(address)
+  })
+  const defaultArbitrator = mockArbitrator(
+    '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7a'
+  )
+  const otherArbitrator = mockArbitrator(
+    '0x3af76ef44932695a33ba2af52018cd24a74c904f'
+  )
+
+  it('gets the default arbitrator without an address', () => {
+    const registry = new ArbitratorRegistry(defaultArbitrator)
+
+    expect(registry.get()).toBe(defaultArbitrator)
+    expect(registry.getAll()).toEqual([defaultArbitrator])
+
+    registry.setDefault(otherArbitrator)
+    expect(registry.get()).toBe(otherArbitrator)
+  })
+
+  it('finds added arbitrators by address in any case', () => {
+    const registry = new ArbitratorRegistry(defaultArbitrator)
+
+    expect(registry.add(otherArbitrator)).toBe(otherArbitrator)
+    expect(
+      registry.add(mockArbitrator('0x3AF76EF44932695A33BA2AF52018CD24A74C904F'))
+    ).toBe(otherArbitrator)
+    expect(registry.add(defaultArbitrator)).toBe(defaultArbitrator)
+
+    expect(registry.get('0x3AF76EF44932695A33BA2AF52018CD24A74C904F')).toBe(
+      otherArbitrator
+    )
+    expect(registry.find('0xdcb2db3e3fa7a6cba5dfe964408099d860246d7a')).toBe(
+      defaultArbitrator
+    )
+    expect(registry.getAll()).toEqual([defaultArbitrator, otherArbitrator])
+  })
+
+  it('throws for arbitrators that are not registered', () => {
+    const registry = new ArbitratorRegistry(defaultArbitrator)
+
+    expect(registry.find('0x1')).toBeUndefined()
+    expect(() => registry.get('0x1')).toThrow(
+      errorConstants.ARBITRATOR_NOT_REGISTERED('0x1')
+    )
+  })
+})
@@ -0,0 +1,86 @@
+import ContractCache from '../../../src/utils/ContractCache'
+import delaySecond from '../../helpers/delaySecond'
+
+describe('ContractCache', () => {
+  const contractAddress = '0xAbC'
+  let fetch
+  let cache
+
+  beforeEach(() => {
+    let calls = 0
+    fetch = jest.fn(() => Promise.resolve(calls++))
+    cache = new ContractCache({ ttl: 50, enabled: true })
+  })
+
+  it('answers repeated calls from the cache', async () => {
+    expect(await cache.get(contractAddress, 'getDispute', [0], fetch)).toBe(0)
+    expect(await cache.get(contractAddress, 'getDispute', ['0'], fetch)).toBe(0)
+    expect(await cache.get(contractAddress, 'getDispute', [1], fetch)).toBe(1)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('gives each caller its own copy of the result', async () => {
+    const fetchDispute = jest.fn(() => Promise.resolve({ numberOfAppeals: 0 }))
+
+    const first = await cache.get(
+      contractAddress,
+      'getDispute',
+      [0],
+      fetchDispute
+    )
+    first.appealDraws = [[1]]
+
+    expect(
+      await cache.get(contractAddress, 'getDispute', [0], fetchDispute)
+    ).toEqual({ numberOfAppeals: 0 })
+    expect(fetchDispute).toHaveBeenCalledTimes(1)
+  })
+
+  it('expires entries after the ttl', async () => {
+    await cache.get(contractAddress, 'getPeriod', [], fetch)
+    await delaySecond(0.1)
+
+    expect(await cache.get(contractAddress, 'getPeriod', [], fetch)).toBe(1)
+  })
+
+  it('removes expired entries', async () => {
+    await cache.get(contractAddress, 'getPeriod', [], fetch)
+    await cache.get(contractAddress, 'getSession', [], fetch)
+    await delaySecond(0.1)
+    await cache.get(contractAddress, 'getDispute', [0], fetch)
+
+    expect(Object.keys(cache._entries)).toHaveLength(1)
+  })
+
+  it('invalidates entries by contract, method and leading arguments', async () => {
+    await cache.get(contractAddress, 'getPeriod', [], fetch)
+    await cache.get(contractAddress, 'getDispute', [0, '0x1'], fetch)
+    await cache.get(contractAddress, 'getDispute', [1], fetch)
+
+    cache.invalidate('0xabc', 'getDispute', [0])
+    expect(
+      await cache.get(contractAddress, 'getDispute', [0, '0x1'], fetch)
+    ).toBe(3)
+    expect(await cache.get(contractAddress, 'getDispute', [1], fetch)).toBe(2)
+
+    cache.invalidate(contractAddress)
+    expect(await cache.get(contractAddress, 'getPeriod', [], fetch)).toBe(4)
+  })
+
+  it('does not cache failed calls', async () => {
+    const failingFetch = jest.fn(() => Promise.reject(new Error('failed')))
+
+    await expect(
+      cache.get(contractAddress, 'getDispute', [0], failingFetch)
+    ).rejects.toBeTruthy()
+    expect(await cache.get(contractAddress, 'getDispute', [0], fetch)).toBe(0)
+  })
+
+  it('sends every call to the contract when disabled', async () => {
+    cache = new ContractCache()
+
+    await cache.get(contractAddress, 'getPeriod', [], fetch)
+    await cache.get(contractAddress, 'getPeriod', [], fetch)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+})
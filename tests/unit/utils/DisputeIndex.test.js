@@ -0,0 +1,178 @@
+import DisputeIndex from '../../../src/utils/DisputeIndex'
+import StoreProviderWrapper from '../../../src/utils/StoreProviderWrapper'
+import MemoryStoreAdapter from '../../../src/utils/storeAdapters/MemoryStoreAdapter'
+
+const mockNumber = n => ({ toNumber: () => n })
+
+const mockLog = (event, disputeId, blockNumber) => ({
+  event,
+  blockNumber,
+  args: { _disputeID: mockNumber(disputeId) }
+})
+
+// disputes(id) struct: arbitrated, session, appeals, choices, jurors, fee, state
+const mockDispute = (firstSession, numberOfAppeals) => [
+  '0x0',
+  mockNumber(firstSession),
+  mockNumber(numberOfAppeals),
+  mockNumber(1),
+  mockNumber(3),
+  mockNumber(0),
+  mockNumber(0)
+]
+
+const mockFilter = logs => ({
+  get: callback => callback(null, logs)
+})
+
+describe('DisputeIndex', () => {
+  let arbitratorAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+  let mockContractInstance
+  let mockGetBlockNumber
+  let mockArbitratorImplementation
+  let disputeIndex
+
+  beforeEach(() => {
+    mockContractInstance = {
+      DisputeCreation: jest.fn(),
+      AppealDecision: jest.fn(),
+      disputes: jest.fn()
+    }
+
+    mockGetBlockNumber = jest.fn().mockReturnValue(Promise.resolve(20))
+
+    mockArbitratorImplementation = {
+      getContractAddress: jest.fn().mockReturnValue(arbitratorAddress),
+      loadContract: jest.fn().mockReturnValue(mockContractInstance),
+      getBlockNumber: mockGetBlockNumber
+    }
+    disputeIndex = new DisputeIndex(mockArbitratorImplementation)
+  })
+
+  it('indexes disputes from creation and appeal logs', async () => {
+    mockContractInstance.DisputeCreation.mockReturnValue(
+      mockFilter([
+        mockLog('DisputeCreation', 0, 10),
+        mockLog('DisputeCreation', 1, 12)
+      ])
+    )
+    mockContractInstance.AppealDecision.mockReturnValue(
+      mockFilter([mockLog('AppealDecision', 0, 15)])
+    )
+    mockContractInstance.disputes.mockImplementation(disputeId =>
+      Promise.resolve(disputeId === 0 ? mockDispute(1, 1) : mockDispute(2, 0))
+    )
+
+    const lastBlock = await disputeIndex.update()
+
+    // indexed up to the current block, not the last log
+    expect(lastBlock).toEqual(20)
+    expect(mockContractInstance.AppealDecision.mock.calls[0][1]).toEqual({
+      fromBlock: 0,
+      toBlock: 20
+    })
+    expect(mockContractInstance.disputes.mock.calls.length).toBe(2)
+    expect(disputeIndex.getOpenDisputesForSession(1)).toEqual([])
+    expect(disputeIndex.getOpenDisputesForSession(2)).toEqual([0, 1])
+  })
+
+  it('only reads disputes with new logs on update', async () => {
+    mockContractInstance.DisputeCreation.mockReturnValueOnce(
+      mockFilter([
+        mockLog('DisputeCreation', 0, 10),
+        mockLog('DisputeCreation', 1, 12)
+      ])
+    )
+    mockContractInstance.AppealDecision.mockReturnValueOnce(mockFilter([]))
+    mockContractInstance.disputes.mockReturnValue(
+      Promise.resolve(mockDispute(1, 0))
+    )
+    await disputeIndex.update()
+
+    mockGetBlockNumber.mockReturnValue(Promise.resolve(25))
+    mockContractInstance.DisputeCreation.mockReturnValueOnce(mockFilter([]))
+    mockContractInstance.AppealDecision.mockReturnValueOnce(
+      mockFilter([mockLog('AppealDecision', 1, 22)])
+    )
+    mockContractInstance.disputes.mockReturnValue(
+      Promise.resolve(mockDispute(1, 1))
+    )
+    expect(await disputeIndex.update()).toEqual(25)
+
+    // resumes from the block after the last indexed one
+    expect(mockContractInstance.DisputeCreation.mock.calls[1][1]).toEqual({
+      fromBlock: 21,
+      toBlock: 25
+    })
+    // nothing to index until a new block is mined
+    expect(await disputeIndex.update()).toEqual(25)
+    expect(mockContractInstance.DisputeCreation.mock.calls.length).toBe(2)
+    expect(mockContractInstance.disputes.mock.calls.length).toBe(3)
+    expect(mockContractInstance.disputes.mock.calls[2][0]).toBe(1)
+    expect(disputeIndex.getOpenDisputesForSession(1)).toEqual([0])
+    expect(disputeIndex.getOpenDisputesForSession(2)).toEqual([1])
+    // the appeal doesn't move the creation block
+    expect(disputeIndex.getDisputeCreationBlock(1)).toBe(12)
+  })
+
+  it('records the block each dispute was created in', async () => {
+    mockContractInstance.DisputeCreation.mockReturnValue(
+      mockFilter([mockLog('DisputeCreation', 0, 10)])
+    )
+    mockContractInstance.AppealDecision.mockReturnValue(
+      mockFilter([mockLog('AppealDecision', 0, 15)])
+    )
+    mockContractInstance.disputes.mockReturnValue(
+      Promise.resolve(mockDispute(1, 1))
+    )
+    await disputeIndex.update()
+
+    expect(disputeIndex.getDisputeCreationBlock(0)).toBe(10)
+    expect(disputeIndex.getDisputeCreationBlock(1)).toBeNull()
+  })
+  it('resumes from the index stored by another instance', async () => {
+    const storeProviderWrapper = new StoreProviderWrapper(
+      new MemoryStoreAdapter()
+    )
+    mockContractInstance.DisputeCreation.mockReturnValue(
+      mockFilter([mockLog('DisputeCreation', 0, 10)])
+    )
+    mockContractInstance.AppealDecision.mockReturnValue(mockFilter([]))
+    mockContractInstance.disputes.mockReturnValue(
+      Promise.resolve(mockDispute(1, 0))
+    )
+    await new DisputeIndex(
+      mockArbitratorImplementation,
+      storeProviderWrapper
+    ).update()
+
+    expect(
+      await storeProviderWrapper.getDisputeIndex(arbitratorAddress)
+    ).toEqual({
+      lastBlock: 20,
+      disputes: {
+        0: { firstSession: 1, numberOfAppeals: 0, state: 0, creationBlock: 10 }
+      }
+    })
+
+    mockGetBlockNumber.mockReturnValue(Promise.resolve(25))
+    mockContractInstance.DisputeCreation.mockReturnValue(mockFilter([]))
+    const resumedIndex = new DisputeIndex(
+      mockArbitratorImplementation,
+      storeProviderWrapper
+    )
+
+    expect(await resumedIndex.update()).toEqual(25)
+    expect(mockContractInstance.DisputeCreation.mock.calls[1][1]).toEqual({
+      fromBlock: 21,
+      toBlock: 25
+    })
+    // stored disputes are not read from the contract again
+    expect(mockContractInstance.disputes.mock.calls.length).toBe(1)
+    expect(resumedIndex.getOpenDisputesForSession(1)).toEqual([0])
+    expect(resumedIndex.getDisputeCreationBlock(0)).toBe(10)
+    expect(
+      (await storeProviderWrapper.getDisputeIndex(arbitratorAddress)).lastBlock
+    ).toBe(25)
+  })
+})
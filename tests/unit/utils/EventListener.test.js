@@ -0,0 +1,437 @@
+import EventListener from '../../../src/utils/EventListener'
+import StoreProviderWrapper from '../../../src/utils/StoreProviderWrapper'
+import MemoryStoreAdapter from '../../../src/utils/storeAdapters/MemoryStoreAdapter'
+import delaySecond from '../../helpers/delaySecond'
+
+const mockLog = (event, blockNumber, blockHash, logIndex = 0) => ({
+  event,
+  blockNumber,
+  blockHash,
+  logIndex,
+  args: {}
+})
+
+// filter over a list of logs that fails for ranges larger than maxRange
+const mockRangeFilter = (logs, maxRange) => ({ fromBlock, toBlock }) => ({
+  get: callback =>
+    toBlock - fromBlock + 1 > maxRange
+      ? callback(new Error('query returned more than 10000 results'))
+      : callback(
+          null,
+          logs.filter(
+            log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+          )
+        )
+})
+
+describe('EventListener', () => {
+  let contractAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+  let mockContractImplementation
+  let mockAllEvents
+  let emitLog
+  let mineBlock
+  let currentBlock
+  let blockHashes
+
+  beforeEach(() => {
+    currentBlock = 10
+    // map blockNumber -> hash of the block in the current chain
+    blockHashes = {}
+
+    const mockWatcher = {
+      watch: jest.fn(callback => {
+        emitLog = log => callback(null, log)
+      }),
+      stopWatching: jest.fn()
+    }
+    mockAllEvents = jest.fn().mockReturnValue(mockWatcher)
+    mockContractImplementation = {
+      getContractAddress: jest.fn().mockReturnValue(contractAddress),
+      loadContract: jest.fn().mockReturnValue(
+        Promise.resolve({
+          address: contractAddress,
+          allEvents: mockAllEvents
+        })
+      ),
+      getBlockNumber: jest.fn(() => Promise.resolve(currentBlock)),
+      getBlock: jest.fn(blockNumber =>
+        Promise.resolve({ hash: blockHashes[blockNumber] })
+      ),
+      watchBlocks: jest.fn(callback => {
+        mineBlock = () => {
+          currentBlock++
+          callback(null, `0x${currentBlock}`)
+        }
+        return { stopWatching: jest.fn() }
+      })
+    }
+  })
+
+  it('handles logs right away without confirmations', async () => {
+    const eventListener = new EventListener([mockContractImplementation])
+    const handler = jest.fn()
+    eventListener.addEventHandler(
+      mockContractImplementation,
+      'TokenShift',
+      handler
+    )
+    await eventListener.watchForEvents()
+
+    const log = mockLog('TokenShift', 10, '0xa')
+    emitLog(log)
+    // the same log delivered twice is only handled once
+    emitLog(log)
+    await delaySecond(0.1)
+
+    expect(handler.mock.calls.length).toBe(1)
+    expect(handler.mock.calls[0][0]).toBe(log)
+    expect(mockContractImplementation.watchBlocks.mock.calls.length).toBe(0)
+  })
+
+  it('calls revert handlers for handled logs removed by a reorg', async () => {
+    const eventListener = new EventListener([mockContractImplementation])
+    const handler = jest.fn()
+    const revertHandler = jest.fn()
+    eventListener.addEventHandler(
+      mockContractImplementation,
+      'TokenShift',
+      handler,
+      revertHandler
+    )
+    await eventListener.watchForEvents()
+
+    const log = mockLog('TokenShift', 10, '0xa')
+    emitLog(log)
+    emitLog({ ...log, removed: true })
+    // the transaction is included again in the new chain
+    emitLog(mockLog('TokenShift', 11, '0xb'))
+    await delaySecond(0.1)
+
+    expect(handler.mock.calls.length).toBe(2)
+    expect(revertHandler.mock.calls.length).toBe(1)
+    expect(revertHandler.mock.calls[0][0]).toBe(log)
+  })
+
+  it('calls token event handlers with the decoded event', async () => {
+    const eventListener = new EventListener([mockContractImplementation])
+    const handler = jest.fn()
+    mockContractImplementation.decodeTokenEvent = jest.fn(log => ({
+      event: log.event,
+      amount: 1
+    }))
+    eventListener.addTokenEventHandler(
+      mockContractImplementation,
+      'Transfer',
+      handler
+    )
+    expect(() =>
+      eventListener.addTokenEventHandler(
+        mockContractImplementation,
+        'TokenShift',
+        handler
+      )
+    ).toThrow()
+    await eventListener.watchForEvents()
+
+    const log = mockLog('Transfer', 10, '0xa')
+    emitLog(log)
+    await delaySecond(0.1)
+
+    expect(handler.mock.calls).toEqual([
+      [{ event: 'Transfer', amount: 1 }, log]
+    ])
+  })
+
+  it('calls ArbitrableTransaction event handlers with the decoded event', async () => {
+    const eventListener = new EventListener([mockContractImplementation])
+    const handler = jest.fn()
+    mockContractImplementation.decodeEvent = jest.fn(log => ({
+      event: log.event,
+      party: 'partyB'
+    }))
+    eventListener.addArbitrableTransactionEventHandler(
+      mockContractImplementation,
+      'HasToPayFee',
+      handler
+    )
+    expect(() =>
+      eventListener.addArbitrableTransactionEventHandler(
+        mockContractImplementation,
+        'Payment',
+        handler
+      )
+    ).toThrow()
+    await eventListener.watchForEvents()
+
+    const log = mockLog('HasToPayFee', 10, '0xa')
+    emitLog(log)
+    await delaySecond(0.1)
+
+    expect(handler.mock.calls).toEqual([
+      [{ event: 'HasToPayFee', party: 'partyB' }, log]
+    ])
+  })
+
+  it('holds logs back until they are confirmed', async () => {
+    const eventListener = new EventListener([mockContractImplementation], 2)
+    const handler = jest.fn()
+    eventListener.addEventHandler(
+      mockContractImplementation,
+      'TokenShift',
+      handler
+    )
+    await eventListener.watchForEvents()
+
+    blockHashes[10] = '0xa'
+    blockHashes[11] = '0xb'
+    emitLog(mockLog('TokenShift', 11, '0xb'))
+    emitLog(mockLog('TokenShift', 10, '0xa'))
+    mineBlock() // block 11
+    await delaySecond(0.1)
+    expect(handler.mock.calls.length).toBe(0)
+
+    mineBlock() // block 12
+    await delaySecond(0.1)
+    expect(handler.mock.calls.length).toBe(1)
+    expect(handler.mock.calls[0][0].blockNumber).toBe(10)
+
+    mineBlock() // block 13
+    await delaySecond(0.1)
+    expect(handler.mock.calls.length).toBe(2)
+    expect(handler.mock.calls[1][0].blockNumber).toBe(11)
+  })
+
+  it('drops pending logs that are removed or no longer in the chain', async () => {
+    const eventListener = new EventListener([mockContractImplementation], 1)
+    const handler = jest.fn()
+    const revertHandler = jest.fn()
+    eventListener.addEventHandler(
+      mockContractImplementation,
+      'TokenShift',
+      handler,
+      revertHandler
+    )
+    await eventListener.watchForEvents()
+
+    const removedLog = mockLog('TokenShift', 10, '0xa', 0)
+    emitLog(removedLog)
+    emitLog({ ...removedLog, removed: true })
+    // block 10 was replaced without the node reporting the log as removed
+    blockHashes[10] = '0xc'
+    emitLog(mockLog('TokenShift', 10, '0xa', 1))
+    mineBlock()
+    await delaySecond(0.1)
+
+    expect(handler.mock.calls.length).toBe(0)
+    expect(revertHandler.mock.calls.length).toBe(0)
+    expect(eventListener.pendingLogs[contractAddress]).toEqual([])
+  })
+
+  describe('event cursor', () => {
+    let account = '0x0'
+    let storeProviderWrapper
+
+    beforeEach(() => {
+      storeProviderWrapper = new StoreProviderWrapper(new MemoryStoreAdapter())
+    })
+
+    it('commits the cursor after handlers succeed and resumes from it', async () => {
+      let eventListener = new EventListener([mockContractImplementation])
+      eventListener.setEventCursorStore(storeProviderWrapper, account)
+      eventListener.addEventHandler(
+        mockContractImplementation,
+        'TokenShift',
+        jest.fn()
+      )
+      await eventListener.watchForEvents(0)
+
+      emitLog(mockLog('TokenShift', 10, '0xa', 0))
+      emitLog(mockLog('TokenShift', 10, '0xa', 1))
+      await delaySecond(0.1)
+
+      expect(
+        await storeProviderWrapper.getEventCursor(account, contractAddress)
+      ).toEqual({ blockNumber: 10, logIndex: 1 })
+
+      // restart
+      eventListener = new EventListener([mockContractImplementation])
+      eventListener.setEventCursorStore(storeProviderWrapper, account)
+      const handler = jest.fn()
+      eventListener.addEventHandler(
+        mockContractImplementation,
+        'TokenShift',
+        handler
+      )
+      await eventListener.watchForEvents(0)
+
+      expect(mockAllEvents.mock.calls[1][0].fromBlock).toBe(10)
+      emitLog(mockLog('TokenShift', 10, '0xa', 0))
+      emitLog(mockLog('TokenShift', 10, '0xa', 1))
+      emitLog(mockLog('TokenShift', 10, '0xa', 2))
+      await delaySecond(0.1)
+
+      expect(handler.mock.calls.length).toBe(1)
+      expect(handler.mock.calls[0][0].logIndex).toBe(2)
+    })
+
+    it('retries a failed log before handling the next ones', async () => {
+      const eventListener = new EventListener([mockContractImplementation], 0, {
+        retryDelay: 10
+      })
+      eventListener.setEventCursorStore(storeProviderWrapper, account)
+      const firstHandler = jest.fn()
+      const handler = jest
+        .fn()
+        .mockReturnValueOnce(Promise.reject(new Error('store timeout')))
+        .mockReturnValue(Promise.resolve())
+      eventListener.addEventHandler(
+        mockContractImplementation,
+        'TokenShift',
+        firstHandler
+      )
+      eventListener.addEventHandler(
+        mockContractImplementation,
+        'TokenShift',
+        handler
+      )
+      await eventListener.watchForEvents(0)
+
+      emitLog(mockLog('TokenShift', 10, '0xa'))
+      emitLog(mockLog('TokenShift', 11, '0xb'))
+      await delaySecond(0.1)
+
+      // handlers that succeeded are not called again
+      expect(firstHandler.mock.calls.length).toBe(2)
+      expect(handler.mock.calls.length).toBe(3)
+      expect(handler.mock.calls[1][0].blockNumber).toBe(10)
+      expect(eventListener.isHalted(contractAddress)).toBe(false)
+      expect(
+        await storeProviderWrapper.getEventCursor(account, contractAddress)
+      ).toEqual({ blockNumber: 11, logIndex: 0 })
+    })
+
+    it('stops handling logs of a contract once a log runs out of retries', async () => {
+      const onError = jest.fn()
+      const eventListener = new EventListener([mockContractImplementation], 0, {
+        retries: 1,
+        retryDelay: 10,
+        onError
+      })
+      eventListener.setEventCursorStore(storeProviderWrapper, account)
+      const handler = jest
+        .fn()
+        .mockReturnValueOnce(Promise.resolve())
+        .mockReturnValue(Promise.reject(new Error('store down')))
+      eventListener.addEventHandler(
+        mockContractImplementation,
+        'TokenShift',
+        handler
+      )
+      await eventListener.watchForEvents(0)
+
+      emitLog(mockLog('TokenShift', 10, '0xa'))
+      emitLog(mockLog('TokenShift', 11, '0xb'))
+      emitLog(mockLog('TokenShift', 12, '0xc'))
+      await delaySecond(0.1)
+
+      expect(handler.mock.calls.length).toBe(3)
+      expect(eventListener.isHalted(contractAddress)).toBe(true)
+      expect(onError.mock.calls.length).toBe(1)
+      expect(onError.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ contractAddress, halted: true })
+      )
+      expect(onError.mock.calls[0][1].log.blockNumber).toBe(11)
+      // the failed log is handled again on the next watch
+      expect(
+        await storeProviderWrapper.getEventCursor(account, contractAddress)
+      ).toEqual({ blockNumber: 10, logIndex: 0 })
+      await eventListener.watchForEvents(0)
+      expect(eventListener.isHalted(contractAddress)).toBe(false)
+    })
+  })
+
+  describe('backfill', () => {
+    it('fetches past logs in chunks and retries failed chunks with a smaller size', async () => {
+      const pastLogs = [
+        mockLog('TokenShift', 1, '0x1'),
+        mockLog('NewPeriod', 4, '0x4'),
+        mockLog('TokenShift', 9, '0x9')
+      ]
+      mockAllEvents.mockImplementation(mockRangeFilter(pastLogs, 2))
+      const onProgress = jest.fn()
+
+      const logs = await EventListener.getAllEventLogs(
+        mockContractImplementation,
+        0,
+        'latest',
+        { chunkSize: 4, onProgress }
+      )
+
+      expect(logs).toEqual(pastLogs)
+      // all chunks are at most 2 blocks and cover the range up to the current block once
+      const ranges = mockAllEvents.mock.calls
+        .map(call => call[0])
+        .filter(range => range.toBlock - range.fromBlock < 2)
+      expect(ranges[0]).toEqual({ fromBlock: 0, toBlock: 1 })
+      expect(ranges[ranges.length - 1].toBlock).toBe(10)
+      expect(onProgress.mock.calls.length).toBe(ranges.length)
+      expect(onProgress.mock.calls[ranges.length - 1][0]).toEqual({
+        fromBlock: 0,
+        toBlock: 10,
+        lastFetchedBlock: 10
+      })
+    })
+
+    it('fails if a single block can not be fetched', async () => {
+      mockAllEvents.mockImplementation(mockRangeFilter([], 0))
+
+      await expect(
+        EventListener.getAllEventLogs(mockContractImplementation, 0, 3)
+      ).rejects.toBeTruthy()
+    })
+
+    it('hands off from past logs to live watching without gaps or duplicates', async () => {
+      const pastLogs = [
+        mockLog('TokenShift', 2, '0x2'),
+        mockLog('TokenShift', 10, '0xa')
+      ]
+      const mockWatcher = {
+        watch: jest.fn(callback => {
+          emitLog = log => callback(null, log)
+        }),
+        stopWatching: jest.fn()
+      }
+      mockAllEvents.mockImplementation(
+        options =>
+          options.toBlock === 'latest'
+            ? mockWatcher
+            : mockRangeFilter(pastLogs, 100)(options)
+      )
+
+      const eventListener = new EventListener([mockContractImplementation])
+      const handler = jest.fn()
+      eventListener.addEventHandler(
+        mockContractImplementation,
+        'TokenShift',
+        handler
+      )
+      await eventListener.backfillAndWatch(0)
+
+      // live watching starts after the current block
+      const watchOptions = mockAllEvents.mock.calls.find(
+        call => call[0].toBlock === 'latest'
+      )[0]
+      expect(watchOptions.fromBlock).toBe(11)
+      // a node can still send a log that was backfilled
+      emitLog(pastLogs[1])
+      emitLog(mockLog('TokenShift', 11, '0xb'))
+      await delaySecond(0.1)
+
+      expect(handler.mock.calls.map(call => call[0].blockNumber)).toEqual([
+        2,
+        10,
+        11
+      ])
+    })
+  })
+})
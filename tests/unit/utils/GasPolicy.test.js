@@ -0,0 +1,50 @@
+import GasPolicy from '../../../src/utils/GasPolicy'
+
+describe('GasPolicy', () => {
+  const estimateGas = () => Promise.resolve(100000)
+
+  it('sends the estimate plus a margin, capped per method', async () => {
+    const gasPolicy = new GasPolicy({
+      margin: 0.5,
+      caps: { passPeriod: 120000 }
+    })
+
+    expect(await gasPolicy.getGasParams('buyPinakion', estimateGas)).toEqual({
+      gas: 150000
+    })
+    expect(await gasPolicy.getGasParams('passPeriod', estimateGas)).toEqual({
+      gas: 120000
+    })
+    // estimate can be skipped, e.g. for methods whose estimate is unreliable
+    expect(
+      await gasPolicy.getGasParams('passPeriod', estimateGas, {
+        estimateGas: false
+      })
+    ).toEqual({ gas: 120000 })
+  })
+
+  it('fails if the estimate is over the cap', async () => {
+    const gasPolicy = new GasPolicy({ defaultCap: 50000 })
+
+    await expect(
+      gasPolicy.getGasParams('buyPinakion', estimateGas)
+    ).rejects.toBeTruthy()
+  })
+
+  it('gets the gas price from the oracle and lets callers override it', async () => {
+    const gasPriceOracle = jest.fn().mockReturnValue(Promise.resolve(2e9))
+    const gasPolicy = new GasPolicy({ useEstimate: false, gasPriceOracle })
+
+    expect(await gasPolicy.getGasParams('pay', estimateGas)).toEqual({
+      gas: 4400000,
+      gasPrice: 2e9
+    })
+    expect(gasPriceOracle.mock.calls[0][0]).toEqual('pay')
+    expect(
+      await gasPolicy.getGasParams('pay', estimateGas, {
+        gas: 30000,
+        gasPrice: 1e9
+      })
+    ).toEqual({ gas: 30000, gasPrice: 1e9 })
+  })
+})
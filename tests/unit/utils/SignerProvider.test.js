@@ -0,0 +1,109 @@
+import EthereumTx from 'ethereumjs-tx'
+
+import SignerProvider from '../../../src/utils/SignerProvider'
+import PrivateKeySigner from '../../../src/utils/signers/PrivateKeySigner'
+
+const privateKey =
+  '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318'
+const address = '0x2c7536e3605d9c16a7a3d7b1898e529396a65c23'
+
+describe('SignerProvider', () => {
+  let mockProvider
+  let sentTransactions
+  let signerProvider
+
+  beforeEach(() => {
+    sentTransactions = []
+    mockProvider = {
+      send: jest.fn(),
+      sendAsync: jest.fn((payload, callback) => {
+        const results = {
+          eth_gasPrice: '0x3b9aca00',
+          eth_chainId: '0x1',
+          eth_getTransactionCount: '0x5',
+          eth_getBalance: '0x0'
+        }
+        if (payload.method === 'eth_sendRawTransaction') {
+          sentTransactions.push(new EthereumTx(payload.params[0]))
+          results.eth_sendRawTransaction = '0xhash'
+        }
+
+        callback(null, {
+          id: payload.id,
+          jsonrpc: '2.0',
+          result: results[payload.method]
+        })
+      })
+    }
+    signerProvider = new SignerProvider(
+      mockProvider,
+      new PrivateKeySigner(privateKey)
+    )
+  })
+
+  const sendAsync = payload =>
+    new Promise((resolve, reject) =>
+      signerProvider.sendAsync(
+        payload,
+        (error, response) => (error ? reject(error) : resolve(response))
+      )
+    )
+
+  it('answers eth_accounts with the signer account', () => {
+    expect(
+      signerProvider.send({ id: 1, jsonrpc: '2.0', method: 'eth_accounts' })
+        .result
+    ).toEqual([address])
+  })
+
+  it('signs transactions of the signer account and assigns nonces', async () => {
+    const sendTransaction = id =>
+      sendAsync({
+        id,
+        jsonrpc: '2.0',
+        method: 'eth_sendTransaction',
+        params: [
+          {
+            from: address,
+            to: '0x1111111111111111111111111111111111111111',
+            gas: '0x5208',
+            value: '0x1'
+          }
+        ]
+      })
+
+    const responses = await Promise.all([
+      sendTransaction(1),
+      sendTransaction(2)
+    ])
+
+    expect(responses.map(response => response.result)).toEqual([
+      '0xhash',
+      '0xhash'
+    ])
+    expect(sentTransactions.length).toBe(2)
+    sentTransactions.forEach(transaction => {
+      expect(`0x${transaction.getSenderAddress().toString('hex')}`).toEqual(
+        address
+      )
+      expect(transaction.getChainId()).toBe(1)
+    })
+    expect(
+      sentTransactions.map(transaction =>
+        parseInt(transaction.nonce.toString('hex'), 16)
+      )
+    ).toEqual([5, 6])
+  })
+
+  it('forwards other requests', async () => {
+    const response = await sendAsync({
+      id: 1,
+      jsonrpc: '2.0',
+      method: 'eth_getBalance',
+      params: [address, 'latest']
+    })
+
+    expect(response.result).toEqual('0x0')
+    expect(mockProvider.sendAsync.mock.calls.length).toBe(1)
+  })
+})
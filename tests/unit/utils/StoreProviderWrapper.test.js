@@ -0,0 +1,117 @@
+import StoreProviderWrapper from '../../../src/utils/StoreProviderWrapper'
+import HTTPStoreAdapter from '../../../src/utils/storeAdapters/HTTPStoreAdapter'
+import MemoryStoreAdapter from '../../../src/utils/storeAdapters/MemoryStoreAdapter'
+
+describe('StoreProviderWrapper', () => {
+  let arbitratorAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+  let contractAddress = '0xEcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+  let account = '0x0'
+  let storeProviderWrapper
+
+  beforeEach(() => {
+    storeProviderWrapper = new StoreProviderWrapper(new MemoryStoreAdapter())
+  })
+
+  it('uses the http adapter when passed a uri', () => {
+    const wrapper = new StoreProviderWrapper('https://kleros.in')
+
+    expect(wrapper.getStoreAdapter()).toBeInstanceOf(HTTPStoreAdapter)
+  })
+
+  it('sets up a user profile', async () => {
+    expect(await storeProviderWrapper.getUserProfile(account)).toBeNull()
+
+    const profile = await storeProviderWrapper.setUpUserProfile(account)
+
+    expect(profile.address).toEqual(account)
+    expect(await storeProviderWrapper.getLastBlock(account)).toEqual(0)
+  })
+
+  it('stores event cursors per contract', async () => {
+    expect(
+      await storeProviderWrapper.getEventCursor(account, arbitratorAddress)
+    ).toBeNull()
+
+    await storeProviderWrapper.updateEventCursor(account, arbitratorAddress, {
+      blockNumber: 10,
+      logIndex: 2
+    })
+    await storeProviderWrapper.updateEventCursor(account, contractAddress, {
+      blockNumber: 12,
+      logIndex: 0
+    })
+
+    expect(
+      await storeProviderWrapper.getEventCursor(account, arbitratorAddress)
+    ).toEqual({ blockNumber: 10, logIndex: 2 })
+    expect(
+      await storeProviderWrapper.getEventCursor(account, contractAddress)
+    ).toEqual({ blockNumber: 12, logIndex: 0 })
+    expect(await storeProviderWrapper.getLastBlock(account)).toEqual(12)
+  })
+
+  it('updates contracts and adds evidence', async () => {
+    await storeProviderWrapper.setUpUserProfile(account)
+    const contract = await storeProviderWrapper.updateContract(
+      account,
+      contractAddress,
+      { description: 'test description' }
+    )
+    expect(contract.description).toEqual('test description')
+
+    await storeProviderWrapper.addEvidenceContract(contractAddress, account, {
+      title: 'test name',
+      fileURI: 'http://test.com',
+      evidenceHash: '0x1'
+    })
+
+    const storedContract = await storeProviderWrapper.getContractByAddress(
+      account,
+      contractAddress
+    )
+    expect(storedContract.description).toEqual('test description')
+    expect(storedContract.evidences.length).toBe(1)
+    expect(storedContract.evidences[0].fileURI).toEqual('http://test.com')
+    expect(storedContract.evidences[0].evidenceHash).toEqual('0x1')
+    expect(storedContract.evidences[0].submittedAt).toBeTruthy()
+  })
+
+  it('merges user and shared dispute data', async () => {
+    await storeProviderWrapper.setUpUserProfile(account)
+    await storeProviderWrapper.updateDisputeProfile(
+      account,
+      arbitratorAddress,
+      0,
+      { appealDraws: [[1, 2]] }
+    )
+    await storeProviderWrapper.updateDispute(arbitratorAddress, 0, {
+      partyA: account
+    })
+
+    const disputes = await storeProviderWrapper.getDisputesForUser(account)
+    expect(disputes.length).toBe(1)
+    expect(disputes[0].appealDraws).toEqual([[1, 2]])
+    expect(disputes[0].partyA).toEqual(account)
+  })
+
+  it('creates and reads notifications', async () => {
+    await storeProviderWrapper.setUpUserProfile(account)
+    const response = await storeProviderWrapper.newNotification(
+      account,
+      '0xtxhash',
+      1,
+      0,
+      'test message',
+      { arbitratorAddress }
+    )
+    expect(response.status).toBe(201)
+    expect(response.body.notifications.length).toBe(1)
+
+    const notifications = await storeProviderWrapper.markNotificationAsRead(
+      account,
+      '0xtxhash',
+      1
+    )
+    expect(notifications[0].read).toBe(true)
+  })
+})
@@ -0,0 +1,77 @@
+import Transaction from '../../../src/utils/Transaction'
+import * as errorConstants from '../../../src/constants/error'
+
+describe('Transaction', () => {
+  const txHash = '0xabc'
+  let mockContractImplementation
+  let receipt
+  let currentBlock
+
+  beforeEach(() => {
+    receipt = null
+    currentBlock = 10
+    mockContractImplementation = {
+      getTransactionReceipt: jest.fn(() => Promise.resolve(receipt)),
+      getBlockNumber: jest.fn(() => Promise.resolve(currentBlock)),
+      decodeLogs: jest.fn(logs =>
+        logs.map(log => ({ ...log, event: 'TokenShift' }))
+      )
+    }
+  })
+
+  it('exposes the hash right away and resolves once the transaction is confirmed', async () => {
+    const transaction = new Transaction(
+      txHash,
+      mockContractImplementation,
+      2,
+      1
+    )
+    expect(transaction.txHash).toEqual(txHash)
+
+    let isConfirmed = false
+    transaction.receipt.then(() => {
+      isConfirmed = true
+    })
+
+    receipt = { blockNumber: 10, gasUsed: 21000, status: '0x1', logs: [{}] }
+    currentBlock = 11
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(isConfirmed).toBe(false)
+
+    currentBlock = 12
+    expect(await transaction.receipt).toBe(receipt)
+    expect(await transaction.gasUsed).toEqual(21000)
+    expect(await transaction.logs).toEqual([{ event: 'TokenShift' }])
+  })
+
+  it('rejects if the transaction failed', async () => {
+    receipt = { blockNumber: 10, gasUsed: 21000, status: '0x0', logs: [] }
+    const transaction = new Transaction(txHash, mockContractImplementation)
+
+    await expect(transaction.receipt).rejects.toBeTruthy()
+    await expect(transaction.logs).rejects.toBeTruthy()
+  })
+
+  it('rejects if the transaction is not mined within the max blocks', async () => {
+    const transaction = new Transaction(
+      txHash,
+      mockContractImplementation,
+      0,
+      1,
+      3
+    )
+
+    let isRejected = false
+    transaction.receipt.catch(() => {
+      isRejected = true
+    })
+    currentBlock = 12
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(isRejected).toBe(false)
+
+    currentBlock = 13
+    await expect(transaction.receipt).rejects.toEqual(
+      new Error(errorConstants.TRANSACTION_NOT_MINED(txHash, 3))
+    )
+  })
+})
@@ -0,0 +1,95 @@
+import TransactionQueue from '../../../src/utils/TransactionQueue'
+import Transaction from '../../../src/utils/Transaction'
+import delaySecond from '../../helpers/delaySecond'
+
+describe('TransactionQueue', () => {
+  const account = '0x0'
+  let mockWeb3Wrapper
+  let mockContractImplementation
+  let sentTransactions
+  let receipts
+  let transactionQueue
+
+  beforeEach(() => {
+    sentTransactions = []
+    // map txHash -> receipt
+    receipts = {}
+    mockWeb3Wrapper = {
+      getTransactionCount: jest.fn(() => Promise.resolve(3)),
+      getGasPrice: jest.fn(() => Promise.resolve(1000)),
+      sendTransaction: jest.fn(txParams => {
+        sentTransactions.push(txParams)
+        return Promise.resolve(`0x${sentTransactions.length}`)
+      })
+    }
+    mockContractImplementation = {
+      getTransactionReceipt: jest.fn(txHash =>
+        Promise.resolve(receipts[txHash] || null)
+      ),
+      getBlockNumber: jest.fn(() => Promise.resolve(10)),
+      decodeLogs: jest.fn(() => [])
+    }
+    transactionQueue = new TransactionQueue({ stuckTimeout: 50, maxBumps: 1 })
+  })
+
+  const send = () =>
+    transactionQueue.send(
+      mockWeb3Wrapper,
+      { from: account, to: '0x1', data: '0x2', gas: 100000 },
+      txHash => new Transaction(txHash, mockContractImplementation, 0, 10)
+    )
+
+  const mine = txHash => {
+    receipts[txHash] = { transactionHash: txHash, blockNumber: 10, logs: [] }
+  }
+
+  it('assigns consecutive nonces to parallel sends', async () => {
+    const transactions = await Promise.all([send(), send(), send()])
+
+    expect(sentTransactions.map(txParams => txParams.nonce)).toEqual([3, 4, 5])
+    expect(sentTransactions[0].gasPrice).toEqual(1000)
+    expect(transactionQueue.getPending(account)).toEqual(transactions)
+
+    transactions.forEach(transaction => mine(transaction.txHash))
+    await Promise.all(transactions.map(transaction => transaction.receipt))
+    expect(transactionQueue.getPending(account)).toEqual([])
+  })
+
+  it('resends stuck transactions with a higher gas price', async () => {
+    const transaction = await send()
+    const onReplaced = jest.fn()
+    transaction.onReplaced(onReplaced)
+
+    await delaySecond(0.1)
+
+    expect(sentTransactions.length).toBe(2)
+    expect(sentTransactions[1].nonce).toEqual(sentTransactions[0].nonce)
+    expect(sentTransactions[1].gasPrice).toEqual(1125)
+    expect(onReplaced.mock.calls[0][0]).toEqual({
+      txHash: '0x2',
+      previousTxHash: '0x1',
+      cancelled: false
+    })
+
+    // the original transaction can still be mined
+    mine('0x1')
+    expect((await transaction.receipt).transactionHash).toEqual('0x1')
+  })
+
+  it('cancels a pending transaction', async () => {
+    const transaction = await send()
+
+    const txHash = await transactionQueue.cancel(transaction)
+    mine(txHash)
+
+    expect(sentTransactions[1]).toEqual({
+      from: account,
+      to: account,
+      value: 0,
+      gas: 21000,
+      nonce: 3,
+      gasPrice: 1125
+    })
+    await expect(transaction.receipt).rejects.toBeTruthy()
+  })
+})
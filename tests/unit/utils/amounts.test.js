@@ -0,0 +1,58 @@
+import { BN } from 'ethereumjs-util'
+
+import {
+  setLegacyAmounts,
+  toWei,
+  fromWei,
+  addAmounts,
+  subtractAmounts,
+  compareAmounts,
+  multiplyAmount
+} from '../../../src/utils/amounts'
+
+describe('amounts', () => {
+  afterEach(() => setLegacyAmounts(false))
+
+  it('converts between ether and wei exactly', () => {
+    expect(toWei('0.15')).toEqual('150000000000000000')
+    expect(toWei(0.15)).toEqual('150000000000000000')
+    expect(toWei(1e-7)).toEqual('100000000000')
+    expect(toWei('12345678901.000000000000000001')).toEqual(
+      '12345678901000000000000000001'
+    )
+    expect(fromWei('12345678901000000000000000001')).toEqual(
+      '12345678901.000000000000000001'
+    )
+    expect(fromWei(new BN('150000000000000000'))).toEqual('0.15')
+    expect(fromWei('1e+21')).toEqual('1000')
+    expect(fromWei(0)).toEqual('0')
+    expect(fromWei('2000000000', 'gwei')).toEqual('2')
+  })
+
+  it('rejects amounts that are not whole numbers of wei', () => {
+    expect(() => toWei('0.0000000000000000001')).toThrow()
+    expect(() => fromWei('1.5')).toThrow()
+    expect(() => toWei('one')).toThrow()
+    expect(() => toWei('1', 'finney')).toThrow()
+  })
+
+  it('does arithmetic on amounts without losing precision', () => {
+    expect(addAmounts('0.1', 0.2)).toEqual('0.3')
+    expect(
+      subtractAmounts('9007199.254740993', '0.000000000000000001')
+    ).toEqual('9007199.254740992999999999')
+    expect(subtractAmounts(1, '1.5')).toEqual('-0.5')
+    expect(multiplyAmount('0.1', 3)).toEqual('0.3')
+    expect(compareAmounts('0.30', 0.3)).toEqual(0)
+    expect(compareAmounts('0.000000000000000001', 0)).toEqual(1)
+    expect(compareAmounts(-1, 0)).toEqual(-1)
+  })
+
+  it('returns numbers in legacy mode', () => {
+    setLegacyAmounts(true)
+
+    expect(toWei(0.15)).toEqual(150000000000000000)
+    expect(fromWei('150000000000000000')).toEqual(0.15)
+    expect(addAmounts('0.1', '0.2')).toEqual(0.3)
+  })
+})
@@ -0,0 +1,155 @@
+import {
+  checkAction,
+  getAllowedActions
+} from '../../../src/utils/arbitrableTransactionStateMachine'
+import { STATUS, ACTION } from '../../../src/constants/contract'
+import * as errorConstants from '../../../src/constants/error'
+
+describe('arbitrableTransactionStateMachine', () => {
+  const partyA = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7a'
+  const partyB = '0x8a2D34b1c3c3a1C7E2e9F4eB6cE9A0FcD0b3B7E1'
+  const contractData = {
+    partyA,
+    partyB,
+    status: STATUS.NO_DISPUTE,
+    amount: '1.5',
+    partyAFee: '0',
+    partyBFee: '0',
+    timeout: 3600,
+    lastInteraction: 1500000000
+  }
+  const actionNames = actions => actions.map(action => action.action)
+
+  it('offers to pay and raise a dispute before any fee is paid', () => {
+    expect(
+      actionNames(
+        getAllowedActions(contractData, partyA.toLowerCase(), {
+          arbitrationCost: '0.15'
+        })
+      )
+    ).toEqual([ACTION.PAY, ACTION.PAY_ARBITRATION_FEE_BY_PARTY_A])
+
+    const actions = getAllowedActions(contractData, partyB, {
+      arbitrationCost: '0.15'
+    })
+    expect(actions).toEqual([
+      expect.objectContaining({ action: ACTION.REIMBURSE }),
+      {
+        action: ACTION.PAY_ARBITRATION_FEE_BY_PARTY_B,
+        deadline: null,
+        value: '0.15',
+        reason: expect.any(String),
+        nextStatus: STATUS.WAITING_PARTY_A
+      }
+    ])
+    expect(getAllowedActions(contractData, '0x1')).toEqual([])
+  })
+
+  it('pays and reimburses at most the amount left in escrow', () => {
+    expect(
+      checkAction(ACTION.PAY, contractData, partyA, { amount: '1.5' }).allowed
+    ).toBe(true)
+    expect(
+      checkAction(ACTION.REIMBURSE, contractData, partyB, {
+        amount: '1.500000000000000001'
+      }).reason
+    ).toEqual(
+      errorConstants.AMOUNT_EXCEEDS_ESCROW('1.500000000000000001', '1.5')
+    )
+    expect(
+      checkAction(ACTION.REIMBURSE, contractData, partyA, { amount: '1' })
+        .reason
+    ).toEqual(errorConstants.ACCOUNT_NOT_A_PARTY(partyA, 'partyB'))
+    expect(
+      checkAction(ACTION.REIMBURSE, { ...contractData, amount: '0' }, partyB)
+        .reason
+    ).toEqual(errorConstants.NOTHING_LEFT_TO_REIMBURSE)
+  })
+
+  it('offers the timeout only once it is reached, in seconds', () => {
+    const waitingPartyB = {
+      ...contractData,
+      status: STATUS.WAITING_PARTY_B,
+      partyAFee: '0.15'
+    }
+    const deadline = (1500000000 + 3600) * 1000
+
+    expect(
+      checkAction(ACTION.CALL_TIMEOUT_PARTY_A, waitingPartyB, partyA, {
+        now: deadline - 1
+      })
+    ).toEqual(
+      expect.objectContaining({
+        allowed: false,
+        reason: errorConstants.TIMEOUT_NOT_REACHED
+      })
+    )
+    expect(
+      checkAction(ACTION.CALL_TIMEOUT_PARTY_A, waitingPartyB, partyA, {
+        now: deadline
+      })
+    ).toEqual(
+      expect.objectContaining({ allowed: true, nextStatus: STATUS.RESOLVED })
+    )
+    expect(
+      checkAction(ACTION.CALL_TIMEOUT_PARTY_B, waitingPartyB, partyB, {
+        now: deadline
+      }).reason
+    ).toEqual(errorConstants.CONTRACT_IS_NOT_WAITING_ON_OTHER_PARTY)
+
+    // the party waited on pays before the deadline
+    expect(
+      getAllowedActions(waitingPartyB, partyB, {
+        now: deadline - 1,
+        arbitrationCost: '0.2'
+      })
+    ).toEqual([
+      expect.objectContaining({ action: ACTION.REIMBURSE }),
+      expect.objectContaining({
+        action: ACTION.PAY_ARBITRATION_FEE_BY_PARTY_B,
+        deadline,
+        value: '0.2',
+        nextStatus: STATUS.DISPUTE_CREATED
+      })
+    ])
+  })
+
+  it('offers evidence and appeals once the dispute is created', () => {
+    const disputeCreated = {
+      ...contractData,
+      status: STATUS.DISPUTE_CREATED,
+      amount: '0'
+    }
+
+    expect(actionNames(getAllowedActions(disputeCreated, partyB))).toEqual([
+      ACTION.SUBMIT_EVIDENCE
+    ])
+    expect(
+      getAllowedActions(disputeCreated, partyA, {
+        appeal: { cost: '0.3', deadline: 1 }
+      })
+    ).toEqual([
+      expect.objectContaining({ action: ACTION.SUBMIT_EVIDENCE }),
+      expect.objectContaining({
+        action: ACTION.APPEAL,
+        value: '0.3',
+        deadline: 1
+      })
+    ])
+    expect(checkAction(ACTION.PAY, disputeCreated, partyA).reason).toEqual(
+      errorConstants.NOTHING_LEFT_TO_PAY
+    )
+    expect(
+      checkAction(ACTION.PAY_ARBITRATION_FEE_BY_PARTY_A, disputeCreated, partyA)
+        .reason
+    ).toEqual(
+      errorConstants.ACTION_NOT_ALLOWED_IN_STATUS(
+        ACTION.PAY_ARBITRATION_FEE_BY_PARTY_A,
+        'DISPUTE_CREATED'
+      )
+    )
+    expect(
+      getAllowedActions({ ...disputeCreated, status: STATUS.RESOLVED }, partyA)
+    ).toEqual([])
+  })
+})
@@ -0,0 +1,23 @@
+import decodeRevertReason from '../../../src/utils/decodeRevertReason'
+
+describe('decodeRevertReason', () => {
+  it('decodes the reason of a revert', () => {
+    // Error('Not enough funds')
+    const data =
+      '0x08c379a0' +
+      '0000000000000000000000000000000000000000000000000000000000000020' +
+      '0000000000000000000000000000000000000000000000000000000000000010' +
+      '4e6f7420656e6f7567682066756e647300000000000000000000000000000000'
+
+    expect(decodeRevertReason(data)).toEqual('Not enough funds')
+  })
+
+  it('returns null for other data', () => {
+    expect(decodeRevertReason('0x')).toBeNull()
+    expect(
+      decodeRevertReason(
+        '0x0000000000000000000000000000000000000000000000000000000000000001'
+      )
+    ).toBeNull()
+  })
+})
@@ -0,0 +1,75 @@
+import {
+  hashFile,
+  createEvidence,
+  hashEvidence,
+  verifyEvidence
+} from '../../../src/utils/evidence'
+
+describe('evidence', () => {
+  const submitter = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7a'
+  const fileHash = hashFile('contract.pdf content')
+
+  it('creates evidence documents', () => {
+    const evidence = createEvidence({
+      title: 'Contract',
+      fileURI: 'ipfs://Qm',
+      fileHash,
+      fileType: 'application/pdf',
+      submitter
+    })
+
+    expect(evidence).toEqual({
+      standard: 'kleros-evidence/1.0',
+      title: 'Contract',
+      description: '',
+      fileURI: 'ipfs://Qm',
+      fileHash,
+      fileType: 'application/pdf',
+      submitter: submitter.toLowerCase()
+    })
+    expect(fileHash).toMatch(/^0x[0-9a-f]{64}$/)
+  })
+
+  it('rejects invalid documents', () => {
+    expect(() => createEvidence({ submitter })).toThrow()
+    expect(() => createEvidence({ title: 'Contract' })).toThrow()
+    expect(() =>
+      createEvidence({ title: 'Contract', fileURI: 'ipfs://Qm', submitter })
+    ).toThrow()
+    expect(() =>
+      createEvidence({ title: 'Contract', fileHash: '0x1', submitter })
+    ).toThrow()
+    expect(() =>
+      createEvidence({ title: 'Contract', fileType: 'pdf', submitter })
+    ).toThrow()
+  })
+
+  it('hashes only the fields of the standard', () => {
+    const evidence = createEvidence({ title: 'Contract', submitter })
+    const evidenceHash = hashEvidence(evidence)
+
+    expect(evidenceHash).toMatch(/^0x[0-9a-f]{64}$/)
+    expect(hashEvidence({ ...evidence, submittedAt: 1 })).toEqual(evidenceHash)
+    expect(hashEvidence({ ...evidence, title: 'Contracts' })).not.toEqual(
+      evidenceHash
+    )
+  })
+
+  it('verifies documents against the evidence logs', () => {
+    const evidence = createEvidence({ title: 'Contract', submitter })
+    const evidenceLogs = [
+      { party: submitter, evidence: hashEvidence(evidence) }
+    ]
+
+    expect(verifyEvidence(evidence, evidenceLogs)).toBe(true)
+    expect(
+      verifyEvidence({ ...evidence, description: 'edited' }, evidenceLogs)
+    ).toBe(false)
+    expect(
+      verifyEvidence(evidence, [{ ...evidenceLogs[0], party: '0x1' }])
+    ).toBe(false)
+    expect(verifyEvidence({ name: 'Contract', submitter }, evidenceLogs)).toBe(
+      false
+    )
+  })
+})
@@ -0,0 +1,22 @@
+import Wallet from 'ethereumjs-wallet'
+
+import KeystoreSigner from '../../../../src/utils/signers/KeystoreSigner'
+
+describe('KeystoreSigner', () => {
+  const wallet = Wallet.generate()
+  // low scrypt cost so the test runs fast
+  const keystore = wallet.toV3('password', { n: 1024 })
+
+  it('decrypts the keystore', () => {
+    const keystoreSigner = new KeystoreSigner(
+      JSON.stringify(keystore),
+      'password'
+    )
+
+    expect(keystoreSigner.getAddress()).toEqual(wallet.getAddressString())
+  })
+
+  it('fails with the wrong password', () => {
+    expect(() => new KeystoreSigner(keystore, 'wrong')).toThrow()
+  })
+})
@@ -0,0 +1,72 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import StoreProviderWrapper from '../../../../src/utils/StoreProviderWrapper'
+import FileStoreAdapter from '../../../../src/utils/storeAdapters/FileStoreAdapter'
+
+describe('FileStoreAdapter', () => {
+  const arbitratorAddress = '0xDcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+  const contractAddress = '0xEcB2db3E3fA7a6cba5dFE964408099d860246D7Z'
+  const account = '0x0'
+  let directory
+  let filePath
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kleros-store-'))
+    filePath = path.join(directory, 'store.json')
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath)
+    fs.rmdirSync(directory)
+  })
+
+  it('creates the file on the first write', async () => {
+    const storeAdapter = new FileStoreAdapter(filePath)
+    expect(fs.existsSync(filePath)).toBe(false)
+
+    await storeAdapter.updateUserProfile(account, { lastBlock: 5 })
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual(
+      storeAdapter.getState()
+    )
+  })
+
+  it('loads the data written by another instance', async () => {
+    const storeProviderWrapper = new StoreProviderWrapper(
+      new FileStoreAdapter(filePath)
+    )
+    await storeProviderWrapper.setUpUserProfile(account)
+    await storeProviderWrapper.updateEventCursor(account, arbitratorAddress, {
+      blockNumber: 10,
+      logIndex: 2
+    })
+    await storeProviderWrapper.updateContract(account, contractAddress, {
+      partyA: account
+    })
+    await storeProviderWrapper.updateDispute(arbitratorAddress, 1, {
+      contractAddress
+    })
+
+    const storeAdapter = new FileStoreAdapter(filePath)
+    const reloaded = new StoreProviderWrapper(storeAdapter)
+
+    expect(storeAdapter.getState()).toEqual(
+      storeProviderWrapper.getStoreAdapter().getState()
+    )
+    expect(await reloaded.getLastBlock(account)).toEqual(10)
+    expect(await reloaded.getEventCursor(account, arbitratorAddress)).toEqual({
+      blockNumber: 10,
+      logIndex: 2
+    })
+    expect(
+      await reloaded.getContractByAddress(account, contractAddress)
+    ).toEqual(
+      expect.objectContaining({ address: contractAddress, partyA: account })
+    )
+    expect(await reloaded.getDispute(arbitratorAddress, 1)).toEqual(
+      expect.objectContaining({ contractAddress })
+    )
+  })
+})
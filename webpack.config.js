@@ -12,6 +12,11 @@ module.exports = {
 
   devtool: 'source-map',
 
+  // FileStoreAdapter is Node only
+  node: {
+    fs: 'empty'
+  },
+
   module: {
     rules: [
       {